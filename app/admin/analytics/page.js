@@ -0,0 +1,224 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { getAnalyticsReport } from '@/lib/api';
+import TimeSeriesChart from '@/components/TimeSeriesChart';
+
+const PERIODS = [7, 30, 90];
+
+const MODE_SERIES = [
+  { key: 'critique', label: 'Critique', fill: 'fill-amber-500' },
+  { key: 'optimise', label: 'Optimise', fill: 'fill-blue-500' },
+  { key: 'generate', label: 'Generate', fill: 'fill-emerald-500' },
+  { key: 'refine', label: 'Refine', fill: 'fill-purple-500' }
+].map(s => ({ ...s, value: day => day.byMode[s.key] }));
+
+const OUTCOME_SERIES = [
+  { key: 'ok', label: 'OK', fill: 'fill-emerald-500' },
+  { key: 'cached', label: 'Cached', fill: 'fill-slate-500' },
+  { key: 'invalid_reply', label: 'Unparseable', fill: 'fill-amber-500' },
+  { key: 'upstream_error', label: 'Upstream error', fill: 'fill-red-500' },
+  { key: 'error', label: 'Other error', fill: 'fill-red-800' }
+].map(s => ({ ...s, value: day => day.byOutcome[s.key] }));
+
+const TOKEN_SERIES = [
+  { key: 'in', label: 'Input', fill: 'fill-blue-500', value: day => day.inputTokens },
+  { key: 'out', label: 'Output', fill: 'fill-emerald-500', value: day => day.outputTokens }
+];
+
+const LATENCY_SERIES = [
+  { key: 'p95', label: 'p95', fill: 'fill-blue-900', value: day => day.latencyP95 },
+  { key: 'p50', label: 'p50', fill: 'fill-blue-500', value: day => day.latencyP50 }
+];
+
+const COST_SERIES = [{ key: 'cost', label: 'Estimated cost', fill: 'fill-amber-500', value: day => day.costUsd }];
+
+const formatSeconds = ms => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+const formatCost = usd => `$${usd.toFixed(2)}`;
+
+// Share of replies read in full, first time or after the repair call
+function parsedShare(parses) {
+  const total = parses.reduce((sum, p) => sum + p.calls, 0);
+  const parsed = parses.filter(p => p.name === 'ok' || p.name === 'repaired').reduce((sum, p) => sum + p.calls, 0);
+  return total > 0 ? `${Math.round((parsed / total) * 100)}%` : '-';
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+}
+
+function Breakdown({ title, rows }) {
+  const max = Math.max(1, ...rows.map(r => r.calls));
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-slate-400 mb-2">{title}</h3>
+      {rows.length === 0 && <p className="text-sm text-slate-500">Nothing yet.</p>}
+      <div className="space-y-1">
+        {rows.map(row => (
+          <div key={row.name} className="text-sm">
+            <div className="flex justify-between text-slate-300">
+              <span className="truncate">{row.name}</span>
+              <span className="text-slate-400 ml-2">{row.calls.toLocaleString()}</span>
+            </div>
+            <div className="h-1 bg-slate-700 rounded">
+              <div className="h-1 bg-blue-500 rounded" style={{ width: `${(row.calls / max) * 100}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 border border-slate-700">
+      <p className="text-xs text-slate-500">{label}</p>
+      <p className="text-xl font-semibold text-white mt-1">{value}</p>
+    </div>
+  );
+}
+
+export default function Analytics() {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    getAnalyticsReport(days)
+      .then(setReport)
+      .catch(err => setError(err.message));
+  }, [days]);
+
+  return (
+    <div className="min-h-screen p-4 md:p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6">
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-2xl md:text-3xl font-bold text-white mb-2">Analytics</h1>
+            <Link
+              href="/admin"
+              className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+            >
+              Back to admin
+            </Link>
+          </div>
+          <p className="text-slate-400 text-sm">
+            How the analyser is used: one event per call, with no prompt text.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {report && !report.enabled && (
+          <div className="mb-4 p-3 bg-amber-900/30 border border-amber-700 rounded-lg">
+            <p className="text-amber-300 text-sm">
+              Analytics is off. Set ANALYTICS_RETENTION_DAYS (e.g. 90) to start recording analyser calls.
+            </p>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between mb-4">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-white text-sm"
+          >
+            {PERIODS.map(d => <option key={d} value={d}>Last {d} days</option>)}
+          </select>
+          <a
+            href={`/api/admin/analytics?days=${days}&format=csv`}
+            className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-700 transition-colors"
+          >
+            Export CSV
+          </a>
+        </div>
+
+        {report && (
+          <div className="space-y-6">
+            {report.truncated && (
+              <p className="text-xs text-amber-400/80">
+                Only the most recent events in this period are included.
+              </p>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <Stat label="Calls" value={report.totals.calls.toLocaleString()} />
+              <Stat label="Parsed" value={parsedShare(report.parses)} />
+              <Stat label="Latency p50 / p95" value={`${formatSeconds(report.totals.latencyP50)} / ${formatSeconds(report.totals.latencyP95)}`} />
+              <Stat label="Tokens in / out" value={`${report.totals.inputTokens.toLocaleString()} / ${report.totals.outputTokens.toLocaleString()}`} />
+              <Stat label="Estimated cost" value={formatCost(report.totals.costUsd)} />
+            </div>
+
+            <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <TimeSeriesChart title="Calls by mode" days={report.days} series={MODE_SERIES} />
+              <TimeSeriesChart title="Outcome" days={report.days} series={OUTCOME_SERIES} />
+              <TimeSeriesChart title="Latency" days={report.days} series={LATENCY_SERIES} stacked={false} format={formatSeconds} />
+              <TimeSeriesChart title="Tokens" days={report.days} series={TOKEN_SERIES} />
+              <TimeSeriesChart title="Estimated cost" days={report.days} series={COST_SERIES} format={formatCost} />
+            </div>
+
+            <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <Breakdown title="Modes" rows={report.modes} />
+              <Breakdown title="Target models" rows={report.models} />
+              <Breakdown title="Reply parsing" rows={report.parses} />
+              <Breakdown title="Critique question categories" rows={report.questionCategories} />
+            </div>
+
+            {/* Audit log */}
+            <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700">
+              <h2 className="text-lg font-semibold text-white mb-4">Recent calls</h2>
+              {report.recent.length === 0 ? (
+                <p className="text-sm text-slate-500">No calls recorded in this period.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-slate-500">
+                        <th className="py-1 pr-3 font-medium">When</th>
+                        <th className="py-1 pr-3 font-medium">Mode</th>
+                        <th className="py-1 pr-3 font-medium">Model</th>
+                        <th className="py-1 pr-3 font-medium text-right">Input</th>
+                        <th className="py-1 pr-3 font-medium text-right">Latency</th>
+                        <th className="py-1 pr-3 font-medium text-right">Tokens</th>
+                        <th className="py-1 pr-3 font-medium">Outcome</th>
+                        <th className="py-1 font-medium">Who</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.recent.map((e, i) => (
+                        <tr key={`${e.at}-${i}`} className="border-t border-slate-700 text-slate-300">
+                          <td className="py-1.5 pr-3 whitespace-nowrap">{formatTime(e.at)}</td>
+                          <td className="py-1.5 pr-3">{e.mode}{e.followUp && ' (follow-up)'}</td>
+                          <td className="py-1.5 pr-3">{e.vendor} · {e.model}</td>
+                          <td className="py-1.5 pr-3 text-right">{e.inputLength.toLocaleString()}</td>
+                          <td className="py-1.5 pr-3 text-right">{formatSeconds(e.latencyMs)}</td>
+                          <td className="py-1.5 pr-3 text-right">{(e.inputTokens + e.outputTokens).toLocaleString()}</td>
+                          <td className="py-1.5 pr-3">
+                            {e.outcome}
+                            {e.parse && e.parse !== 'ok' && <span className="text-slate-500"> · {e.parse}</span>}
+                            {e.upstreamStatus && <span className="text-slate-500"> · {e.upstreamStatus}</span>}
+                          </td>
+                          <td className="py-1.5 text-slate-400">
+                            {e.team || (e.ownKey ? 'own key' : '-')}
+                            {e.keyId && <span className="block text-xs text-slate-500">{e.keyId}</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
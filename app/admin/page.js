@@ -0,0 +1,333 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import {
+  listUsers,
+  createUser,
+  deleteUser,
+  listApiKeys,
+  issueApiKey,
+  revokeApiKey,
+  getUsageReport
+} from '@/lib/api';
+import { SCOPES, ROLES } from '@/lib/access';
+import CopyButton from '@/components/CopyButton';
+
+const USAGE_PERIODS = [1, 7, 30, 90];
+
+const INPUT_CLASS = 'bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : 'Never';
+}
+
+function UsageTable({ title, rows }) {
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-slate-400 mb-2">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-500">No usage in this period.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-500">
+              <th className="py-1 font-medium">Name</th>
+              <th className="py-1 font-medium text-right">Calls</th>
+              <th className="py-1 font-medium text-right">Tokens in / out</th>
+              <th className="py-1 font-medium text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id} className="border-t border-slate-700">
+                <td className="py-1.5 text-white">
+                  {row.label}
+                  <span className="block text-xs text-slate-500">
+                    {Object.entries(row.byMode).map(([mode, count]) => `${mode} ${count}`).join(' · ')}
+                  </span>
+                </td>
+                <td className="py-1.5 text-right text-slate-300">{row.calls}</td>
+                <td className="py-1.5 text-right text-slate-300">
+                  {row.inputTokens.toLocaleString()} / {row.outputTokens.toLocaleString()}
+                </td>
+                <td className="py-1.5 text-right text-slate-300">${row.costUsd.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default function Admin() {
+  const [users, setUsers] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [usageDays, setUsageDays] = useState(30);
+
+  // Add user form
+  const [newUser, setNewUser] = useState({ email: '', team: '', role: 'member', password: '' });
+
+  // Issue key form, and the secret of the key just issued (shown once)
+  const [newKey, setNewKey] = useState({ userId: '', name: '', scopes: [...SCOPES] });
+  const [issued, setIssued] = useState(null);
+
+  const [error, setError] = useState('');
+
+  // Run an admin action, showing any failure at the top of the page
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const refresh = () => run(async () => {
+    const [{ users: userList }, { keys: keyList }] = await Promise.all([listUsers(), listApiKeys()]);
+    setUsers(userList);
+    setKeys(keyList);
+  });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  useEffect(() => {
+    run(async () => setUsage(await getUsageReport(usageDays)));
+  }, [usageDays]);
+
+  const addUser = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createUser(newUser);
+      setNewUser({ email: '', team: newUser.team, role: 'member', password: '' });
+      await refresh();
+    });
+  };
+
+  const removeUser = (user) => {
+    if (!window.confirm(`Remove ${user.email}? Their API keys are revoked too.`)) return;
+    run(async () => {
+      await deleteUser(user.id);
+      await refresh();
+    });
+  };
+
+  const toggleScope = (scope) => {
+    setNewKey(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(s => s !== scope) : [...prev.scopes, scope]
+    }));
+  };
+
+  const addKey = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setIssued(await issueApiKey(newKey));
+      setNewKey(prev => ({ ...prev, name: '' }));
+      await refresh();
+    });
+  };
+
+  const revokeKey = (key) => {
+    if (!window.confirm(`Revoke "${key.name}"? Anything using it stops working straight away.`)) return;
+    run(async () => {
+      await revokeApiKey(key.id);
+      await refresh();
+    });
+  };
+
+  return (
+    <div className="min-h-screen p-4 md:p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6">
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-2xl md:text-3xl font-bold text-white mb-2">Admin</h1>
+            <div className="flex gap-2">
+              <Link
+                href="/admin/analytics"
+                className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+              >
+                Analytics
+              </Link>
+              <Link
+                href="/"
+                className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+              >
+                Back to optimiser
+              </Link>
+            </div>
+          </div>
+          <p className="text-slate-400 text-sm">
+            Users, team API keys and who is spending what.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="space-y-6">
+          {/* Users */}
+          <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700">
+            <h2 className="text-lg font-semibold text-white mb-4">Users</h2>
+            <div className="space-y-2 mb-4">
+              {users.map(user => (
+                <div key={user.id} className="flex items-center gap-3 rounded-lg px-3 py-2 text-sm bg-slate-700/40">
+                  <span className="flex-1 text-white">{user.email}</span>
+                  <span className="text-slate-400">{user.team}</span>
+                  <span className="text-xs text-slate-500 w-16">{user.role}</span>
+                  {user.builtIn ? (
+                    <span className="text-xs text-slate-600 w-14 text-right">Built-in</span>
+                  ) : (
+                    <button onClick={() => removeUser(user)} className="text-xs text-red-400 hover:text-red-300 w-14 text-right">
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            <form onSubmit={addUser} className="flex flex-wrap gap-2">
+              <input
+                type="email"
+                value={newUser.email}
+                onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                placeholder="Email"
+                required
+                className={`${INPUT_CLASS} flex-1 min-w-48`}
+              />
+              <input
+                value={newUser.team}
+                onChange={(e) => setNewUser({ ...newUser, team: e.target.value })}
+                placeholder="Team"
+                required
+                className={`${INPUT_CLASS} w-32`}
+              />
+              <select
+                value={newUser.role}
+                onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                className={INPUT_CLASS}
+              >
+                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+              <input
+                type="password"
+                value={newUser.password}
+                onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                placeholder="First password"
+                autoComplete="new-password"
+                required
+                className={`${INPUT_CLASS} w-44`}
+              />
+              <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-sm font-medium transition-colors">
+                Add user
+              </button>
+            </form>
+          </div>
+
+          {/* API keys */}
+          <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700">
+            <h2 className="text-lg font-semibold text-white mb-4">API keys</h2>
+
+            {issued && (
+              <div className="mb-4 p-3 bg-emerald-900/30 border border-emerald-700 rounded-lg">
+                <p className="text-sm text-emerald-300 mb-2">
+                  Key &quot;{issued.name}&quot; for {issued.email}. Copy it now - it won&apos;t be shown again.
+                </p>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 bg-slate-900 rounded px-3 py-1.5 text-sm text-white font-mono break-all">{issued.secret}</code>
+                  <CopyButton text={issued.secret} />
+                  <button onClick={() => setIssued(null)} className="text-sm text-slate-400 hover:text-white">
+                    Done
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <form onSubmit={addKey} className="flex flex-wrap items-center gap-2 mb-4">
+              <select
+                value={newKey.userId}
+                onChange={(e) => setNewKey({ ...newKey, userId: e.target.value })}
+                required
+                className={INPUT_CLASS}
+              >
+                <option value="">Issue to...</option>
+                {users.map(user => <option key={user.id} value={user.id}>{user.email}</option>)}
+              </select>
+              <input
+                value={newKey.name}
+                onChange={(e) => setNewKey({ ...newKey, name: e.target.value })}
+                placeholder="Key name, e.g. CI pipeline"
+                required
+                className={`${INPUT_CLASS} flex-1 min-w-48`}
+              />
+              {SCOPES.map(scope => (
+                <label key={scope} className="flex items-center gap-1 text-sm text-slate-300">
+                  <input type="checkbox" checked={newKey.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                  {scope}
+                </label>
+              ))}
+              <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-sm font-medium transition-colors">
+                Issue key
+              </button>
+            </form>
+
+            <div className="space-y-2">
+              {keys.length === 0 && <p className="text-sm text-slate-500">No keys issued yet.</p>}
+              {keys.map(key => (
+                <div
+                  key={key.id}
+                  className={`flex items-center gap-3 rounded-lg px-3 py-2 text-sm bg-slate-700/40 ${key.revokedAt ? 'opacity-50' : ''}`}
+                >
+                  <span className="flex-1">
+                    <span className="text-white">{key.name}</span>
+                    <span className="text-slate-500 ml-2 font-mono text-xs">{key.prefix}...</span>
+                    <span className="block text-xs text-slate-500">
+                      {key.email} · {key.team} · {key.scopes.join(', ')} · last used {formatDate(key.lastUsedAt)}
+                    </span>
+                  </span>
+                  {key.revokedAt ? (
+                    <span className="text-xs text-slate-500">Revoked {formatDate(key.revokedAt)}</span>
+                  ) : (
+                    <button onClick={() => revokeKey(key)} className="text-xs text-red-400 hover:text-red-300">
+                      Revoke
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Usage */}
+          <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-white">Usage</h2>
+              <select
+                value={usageDays}
+                onChange={(e) => setUsageDays(Number(e.target.value))}
+                className="bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-white text-sm"
+              >
+                {USAGE_PERIODS.map(days => (
+                  <option key={days} value={days}>{days === 1 ? 'Today' : `Last ${days} days`}</option>
+                ))}
+              </select>
+            </div>
+            {usage && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <UsageTable title="Teams" rows={usage.teams} />
+                <UsageTable title="Users" rows={usage.users} />
+                <UsageTable title="API keys" rows={usage.keys} />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
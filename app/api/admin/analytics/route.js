@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { analyticsReport, analyticsCsv } from '@/lib/analytics';
+import { authFailureResponse } from '@/lib/responses';
+
+const PERIODS = [1, 7, 30, 90];
+
+// Events are added with every analyser call, so never serve a cached copy
+export const dynamic = 'force-dynamic';
+
+// The analytics dashboard for the last ?days= days, or every event in that
+// period with ?format=csv
+export async function GET(request) {
+  try {
+    await requireAdmin(request);
+    const params = new URL(request.url).searchParams;
+    const days = PERIODS.includes(Number(params.get('days'))) ? Number(params.get('days')) : 30;
+
+    if (params.get('format') === 'csv') {
+      return new Response(await analyticsCsv(days), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="analyser-events-${new Date().toISOString().slice(0, 10)}-${days}d.csv"`
+        }
+      });
+    }
+
+    return NextResponse.json(await analyticsReport(days));
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, revokeApiKey } from '@/lib/auth';
+import { authFailureResponse } from '@/lib/responses';
+
+export async function DELETE(request, { params }) {
+  try {
+    await requireAdmin(request);
+    return (await revokeApiKey(params.id))
+      ? NextResponse.json({ revoked: true })
+      : NextResponse.json({ error: 'Key not found' }, { status: 404 });
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, listApiKeys, issueApiKey } from '@/lib/auth';
+import { authFailureResponse } from '@/lib/responses';
+
+export async function GET(request) {
+  try {
+    await requireAdmin(request);
+    return NextResponse.json({ keys: await listApiKeys() });
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
+
+// Issue a key to a user. The response is the only time the secret is shown.
+export async function POST(request) {
+  try {
+    await requireAdmin(request);
+    const { userId, name, scopes } = await request.json();
+    return NextResponse.json(await issueApiKey({ userId, name, scopes }));
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
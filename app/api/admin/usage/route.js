@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { usageReport } from '@/lib/usage';
+import { authFailureResponse } from '@/lib/responses';
+
+// Usage changes with every analyser call, so never serve a cached copy
+export const dynamic = 'force-dynamic';
+
+const PERIODS = [1, 7, 30, 90];
+
+// Analyser calls and spend per user, team and key over the last ?days= days
+export async function GET(request) {
+  try {
+    await requireAdmin(request);
+    const days = Number(new URL(request.url).searchParams.get('days'));
+    return NextResponse.json(await usageReport(PERIODS.includes(days) ? days : 30));
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
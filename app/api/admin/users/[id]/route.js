@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, deleteUser } from '@/lib/auth';
+import { authFailureResponse } from '@/lib/responses';
+
+// Remove a user and revoke their API keys
+export async function DELETE(request, { params }) {
+  try {
+    const { user } = await requireAdmin(request);
+    if (user.id === params.id) {
+      return NextResponse.json({ error: 'You can\'t remove yourself' }, { status: 400 });
+    }
+    return (await deleteUser(params.id))
+      ? NextResponse.json({ deleted: true })
+      : NextResponse.json({ error: 'User not found' }, { status: 404 });
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
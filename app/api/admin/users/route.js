@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, listUsers, createUser } from '@/lib/auth';
+import { authFailureResponse } from '@/lib/responses';
+
+export async function GET(request) {
+  try {
+    await requireAdmin(request);
+    return NextResponse.json({ users: await listUsers() });
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
+
+// Add a user. The admin chooses the first password and passes it on.
+export async function POST(request) {
+  try {
+    await requireAdmin(request);
+    const { email, team, role, password } = await request.json();
+    return NextResponse.json(await createUser({ email, team, role, password }));
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
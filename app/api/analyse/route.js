@@ -1,102 +1,66 @@
 import { NextResponse } from 'next/server';
-import { GUIDANCE, formatGuidanceForAnalysis } from '@/lib/guidance';
-import { getSystemPrompt } from '@/lib/prompts';
+import { GUIDANCE, GUIDANCE_VERSION } from '@/lib/guidance';
+import { buildAnalysisRequest, ANALYSIS_MODES, REFINE_LIMITS } from '@/lib/analysis';
+import { parsePartialJson } from '@/lib/json';
+import { readAnalysisReply, OutputError } from '@/lib/outputSchema';
+import { getProvider, getOwnKeyProvider, ProviderError } from '@/lib/providers';
+import { getTargetProvider, buildPromptRun } from '@/lib/providers/targets';
+import { analyserUsage } from '@/lib/providers/pricing';
+import { limitRequest, recordCost, withRateLimitHeaders } from '@/lib/rateLimit';
+import { resultCacheKey } from '@/lib/resultCache';
+import { getCachedResult, putCachedResult } from '@/lib/resultCacheStore';
+import { authenticate, rateLimitIdentity } from '@/lib/auth';
+import { missingScope } from '@/lib/access';
+import { recordUsage } from '@/lib/usage';
+import { readOwnKey, OwnKeyError } from '@/lib/ownKey';
+import { analyserEvent, recordAnalyserEvent } from '@/lib/analytics';
+import { upstreamErrorResponse, sseResponse, rateLimitedResponse, authFailureResponse } from '@/lib/responses';
 
-// Simple in-memory rate limiting
-// Note: This resets when the server restarts. For production with multiple instances, use Redis.
-const rateLimit = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX = 20; // requests per window per IP
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const windowStart = now - RATE_LIMIT_WINDOW;
-  
-  let entry = rateLimit.get(ip);
-  if (!entry) {
-    entry = { requests: [] };
-    rateLimit.set(ip, entry);
+export async function POST(request) {
+  // A signed-in user or API key (anyone, when sign-in is off)
+  let auth;
+  try {
+    auth = await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
   }
   
-  // Remove old requests outside the window
-  entry.requests = entry.requests.filter(time => time > windowStart);
-  
-  // Check if over limit
-  if (entry.requests.length >= RATE_LIMIT_MAX) {
-    return false;
+  // The user's own provider key, if they sent one
+  let ownKey;
+  try {
+    ownKey = readOwnKey(request);
+  } catch (error) {
+    if (!(error instanceof OwnKeyError)) throw error;
+    return NextResponse.json({ error: error.message }, { status: 400 });
   }
   
-  // Add this request
-  entry.requests.push(now);
-  return true;
-}
-
-// Clean up old entries periodically
-if (typeof setInterval !== 'undefined') {
-  setInterval(() => {
-    const now = Date.now();
-    const windowStart = now - RATE_LIMIT_WINDOW;
-    
-    for (const [ip, entry] of rateLimit.entries()) {
-      entry.requests = entry.requests.filter(time => time > windowStart);
-      if (entry.requests.length === 0) {
-        rateLimit.delete(ip);
-      }
-    }
-  }, RATE_LIMIT_WINDOW);
-}
-
-// Validate and sanitize IP address to prevent spoofing
-function getClientIdentifier(request) {
-  // SECURITY: x-forwarded-for can be spoofed by clients.
-  // This rate limiting is defense-in-depth, not a security boundary.
-  // For production, use a trusted reverse proxy that overwrites (not appends to) this header,
-  // or use an external rate limiting service (e.g., Vercel's built-in, Cloudflare, Redis).
-
-  const forwardedFor = request.headers.get('x-forwarded-for');
-  const realIp = request.headers.get('x-real-ip');
-
-  // Get the first IP from x-forwarded-for (client IP in most proxy setups)
-  let ip = forwardedFor?.split(',')[0] || realIp || '';
-
-  // Trim whitespace and validate basic IP format
-  ip = ip.trim();
-
-  // Basic IPv4/IPv6 validation - reject obviously invalid values
-  const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-  const ipv6Regex = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
-
-  if (ip && (ipv4Regex.test(ip) || ipv6Regex.test(ip))) {
-    return ip;
+  // Check the caller's rate limit, and their daily cost quota unless the
+  // deployment isn't paying
+  const limit = await limitRequest(request, { quota: !ownKey, identity: rateLimitIdentity(auth) });
+  if (!limit.allowed) {
+    return rateLimitedResponse(limit);
   }
-
-  // Fallback: Use a combination of headers to create a fingerprint
-  // This makes it harder to bypass by simply omitting headers
-  const userAgent = request.headers.get('user-agent') || '';
-  const acceptLang = request.headers.get('accept-language') || '';
-
-  // Create a simple hash-like identifier from available headers
-  // This is not cryptographically secure but provides some differentiation
-  const fallbackId = `anon_${Buffer.from(userAgent + acceptLang).toString('base64').substring(0, 16)}`;
-  return fallbackId;
+  
+  return withRateLimitHeaders(await analyse(request, { auth, limit, ownKey }), limit);
 }
 
-export async function POST(request) {
-  // Get client identifier for rate limiting
-  const clientId = getClientIdentifier(request);
+// What the analyser spends is counted towards limit's daily quota and
+// attributed to auth's user, team and key - unless it ran on ownKey, which
+// costs the deployment nothing
+async function analyse(request, { auth, limit, ownKey }) {
+  const startedAt = Date.now();
   
-  // Check rate limit
-  if (!checkRateLimit(clientId)) {
-    return NextResponse.json(
-      { error: 'Too many requests. Please wait a moment and try again.' },
-      { status: 429 }
-    );
-  }
+  // Records the call for the opt-in analytics once it's known to be an
+  // analyser call (not a test drive or a bad request)
+  let logEvent = async () => {};
   
-  // Validate API key exists
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    console.error('ANTHROPIC_API_KEY not configured');
+  // Resolve the LLM backend: the configured one (fails if its API key is
+  // missing) or the user's own key's
+  let provider;
+  try {
+    provider = ownKey ? getOwnKeyProvider(ownKey) : getProvider();
+  } catch (configError) {
+    console.error(configError.message);
     return NextResponse.json(
       { error: 'Server configuration error. Please check the API key is set.' },
       { status: 500 }
@@ -105,7 +69,7 @@ export async function POST(request) {
   
   try {
     const body = await request.json();
-    const { mode, vendor, model, inputText, additionalContext, entryMode, problemContext } = body;
+    const { mode, vendor, model, inputText, additionalContext, entryMode, problemContext, sampleInput, stream, noCache, previousQuestions, instruction, history } = body;
     
     // Validate required fields
     if (!mode || !vendor || !model || !inputText) {
@@ -123,8 +87,16 @@ export async function POST(request) {
       );
     }
     
+    // Validate model
+    if (!GUIDANCE[vendor].models.includes(model)) {
+      return NextResponse.json(
+        { error: 'Invalid model' },
+        { status: 400 }
+      );
+    }
+    
     // Validate mode
-    if (!['critique', 'optimise', 'generate'].includes(mode)) {
+    if (![...ANALYSIS_MODES, 'testdrive'].includes(mode)) {
       return NextResponse.json(
         { error: 'Invalid mode' },
         { status: 400 }
@@ -139,121 +111,264 @@ export async function POST(request) {
       );
     }
     
-    // Build the prompt
-    const guidance = formatGuidanceForAnalysis(vendor);
-    const systemPrompt = getSystemPrompt(mode, vendor, model, guidance, {
-      additionalContext: additionalContext || '',
-      entryMode: entryMode || 'idea',
-      problemContext: problemContext || ''
-    });
-    const vendorName = GUIDANCE[vendor].name;
-    
-    let userMessage;
-    if (mode === 'critique') {
-      userMessage = `Critique this ${entryMode === 'prompt' ? 'prompt' : 'idea'} and identify what's missing or problematic:\n\n${inputText}`;
-    } else if (mode === 'optimise') {
-      userMessage = `Analyse and optimise this prompt for ${vendorName} (${model}):\n\n${inputText}`;
-    } else {
-      userMessage = `Create a well-structured ${vendorName} (${model}) prompt from this idea:\n\n${inputText}`;
+    // API keys only run the modes they were issued for
+    const scope = missingScope(auth, mode);
+    if (scope) {
+      return NextResponse.json(
+        { error: `This API key doesn't have the ${scope} scope` },
+        { status: 403 }
+      );
     }
     
-    // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: userMessage }
-        ]
-      })
-    });
+    // Follow-up critique round: the questions asked so far, with answers
+    if (previousQuestions !== undefined && !Array.isArray(previousQuestions)) {
+      return NextResponse.json(
+        { error: 'previousQuestions must be a list of questions and answers' },
+        { status: 400 }
+      );
+    }
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      // SECURITY: Only log status code, not full error response which may contain sensitive data
-      console.error('Anthropic API error: status', response.status);
-      
-      if (response.status === 429) {
+    // Refine: the change to make to the prompt (inputText)
+    if (mode === 'refine') {
+      if (typeof instruction !== 'string' || !instruction.trim()) {
         return NextResponse.json(
-          { error: 'API rate limit exceeded. Please try again in a few minutes.' },
-          { status: 429 }
+          { error: 'Say how the prompt should change' },
+          { status: 400 }
         );
       }
-      
-      if (response.status === 401) {
+      if (instruction.length > REFINE_LIMITS.maxInstructionLength) {
         return NextResponse.json(
-          { error: 'API authentication failed. Please check the API key.' },
-          { status: 500 }
+          { error: `Instruction too long (max ${REFINE_LIMITS.maxInstructionLength.toLocaleString('en-US')} characters)` },
+          { status: 400 }
         );
       }
-      
-      return NextResponse.json(
-        { error: 'Failed to process request. Please try again.' },
-        { status: response.status }
-      );
     }
     
-    const data = await response.json();
+    // Test-drive: run the finished prompt (inputText) on the target model
+    if (mode === 'testdrive') {
+      if (sampleInput && sampleInput.length > 50000) {
+        return NextResponse.json(
+          { error: 'Sample input too long (max 50,000 characters)' },
+          { status: 400 }
+        );
+      }
+      return await runTestDrive({ vendor, model, prompt: inputText, sampleInput, stream, fallback: provider, limit, auth, ownKey });
+    }
+    
+    const call = { mode, vendor, model, inputText, stream, followUp: Boolean(previousQuestions?.length), startedAt, provider, auth, ownKey };
+    logEvent = (outcome) => recordAnalyserEvent(analyserEvent(call, outcome));
+    
+    // Reuse an identical earlier run unless asked to regenerate anyway. A hit
+    // is always plain JSON, which the streaming client accepts too. Runs on
+    // the user's own key are neither served from the cache nor added to it,
+    // since the deployment paid for what's there and they didn't.
+    const cacheKey = ownKey ? null : await resultCacheKey({ mode, vendor, model, inputText, additionalContext, entryMode, problemContext });
+    const cacheScope = { analyser: `${provider.name}/${provider.model}`, team: auth?.user?.team };
+    if (cacheKey && !noCache) {
+      const cached = await readCache(cacheKey, cacheScope);
+      if (cached) {
+        await logEvent({ outcome: 'cached' });
+        return NextResponse.json(cached);
+      }
+    }
+    
+    // Build the prompt
+    const analysisRequest = buildAnalysisRequest({ mode, vendor, model, inputText, additionalContext, entryMode, problemContext, previousQuestions, instruction, history });
     
-    // Extract text content
-    const responseText = data.content
-      ?.filter(item => item.type === 'text')
-      ?.map(item => item.text)
-      ?.join('') || '';
+    if (stream) {
+      return streamAnalysis(await provider.stream(analysisRequest), { mode, request: analysisRequest, provider, cacheKey, cacheScope, limit, auth, ownKey, logEvent });
+    }
+    
+    const { text: responseText, usage } = await provider.complete(analysisRequest);
     
     if (!responseText) {
+      await logEvent({ outcome: 'error' });
       return NextResponse.json(
         { error: 'Empty response from API' },
         { status: 500 }
       );
     }
     
-    // Parse the JSON response
-    let parsed;
+    // Parse the JSON response, with one repair round-trip if it doesn't
+    // match the mode's schema
+    let reply;
     try {
-      // Remove markdown code blocks if present
-      let jsonStr = responseText;
-      const codeBlockMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (codeBlockMatch) {
-        jsonStr = codeBlockMatch[1];
-      }
-      
-      // Find JSON object
-      const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response');
-      }
-      
-      // Clean up common JSON issues
-      let cleanJson = jsonMatch[0]
-        .replace(/,\s*}/g, '}')
-        .replace(/,\s*]/g, ']');
-      
-      parsed = JSON.parse(cleanJson);
+      reply = await readAnalysisReply({ mode, request: analysisRequest, responseText, usage, provider });
     } catch (parseError) {
+      if (!(parseError instanceof OutputError)) throw parseError;
       // SECURITY: Only log error type, not response content which may contain sensitive data
       console.error('JSON parse error:', parseError.name);
+      await logEvent({ outcome: 'invalid_reply' });
       return NextResponse.json(
-        { error: 'Failed to parse response. Please try again.' },
+        { error: parseError.message },
         { status: 500 }
       );
     }
     
-    return NextResponse.json(parsed);
+    const result = stampReply(reply, { mode, provider, cacheKey });
+    await recordCost(limit, result.usage);
+    if (!ownKey) await recordUsage(auth, mode, result.usage);
+    await logEvent({ outcome: 'ok', reply, usage: result.usage });
+    await writeCache(result.cacheKey, cacheScope, result);
+    return NextResponse.json(result);
     
   } catch (error) {
+    if (error instanceof ProviderError) {
+      // SECURITY: Only log status code, not full error response which may contain sensitive data
+      console.error(`${error.provider} API error: status`, error.status);
+      await logEvent({ outcome: 'upstream_error', upstreamStatus: error.status });
+      return upstreamErrorResponse(error.status, { ownKey });
+    }
+    
     // SECURITY: Only log error name, not full stack trace which may expose implementation details
     console.error('Request error:', error.name || 'Unknown');
+    await logEvent({ outcome: 'error' });
     return NextResponse.json(
       { error: 'An unexpected error occurred. Please try again.' },
       { status: 500 }
     );
   }
 }
+
+// The guidance pack version that produced a result, what the call cost, and
+// the cache key it is stored under so the browser can recognise it again
+function stampResult(parsed, { provider, usage, cacheKey }) {
+  return {
+    ...parsed,
+    guidanceVersion: GUIDANCE_VERSION,
+    usage: analyserUsage(provider, usage),
+    ...(cacheKey && { cacheKey })
+  };
+}
+
+// A checked reply as a result. Fields that were still missing or invalid
+// after the repair are listed in partialFields; such results aren't cached
+// (or given a cache key) so the next run tries again.
+function stampReply({ result, usage, partialFields }, { mode, provider, cacheKey }) {
+  if (partialFields.length === 0) return stampResult(result, { provider, usage, cacheKey });
+  
+  // Field names only - never the content
+  console.error(`Incomplete ${mode} reply:`, partialFields.join(', '));
+  return { ...stampResult(result, { provider, usage }), partialFields };
+}
+
+// The cache only saves money - if storage fails, carry on without it
+async function readCache(cacheKey, scope) {
+  try {
+    return await getCachedResult(cacheKey, scope);
+  } catch (error) {
+    console.error('Result cache error:', error.name || 'Unknown', error.code || '');
+    return null;
+  }
+}
+
+async function writeCache(cacheKey, scope, result) {
+  if (!cacheKey) return;
+  try {
+    await putCachedResult(cacheKey, scope, result);
+  } catch (error) {
+    console.error('Result cache error:', error.name || 'Unknown', error.code || '');
+  }
+}
+
+// Run a prompt on the vendor's own backend (or the analyser's, if that isn't
+// configured). The run is priced on the model it ran on and counted like an
+// analyser call.
+async function runTestDrive({ vendor, model, prompt, sampleInput, stream, fallback, limit, auth, ownKey }) {
+  const { provider, matched, note } = getTargetProvider(vendor, model, fallback, { ownKey });
+  const ranOn = { provider: provider.label, model: provider.model, matched, note };
+  
+  const request = buildPromptRun(prompt, sampleInput);
+  
+  const recordRun = async (usage) => {
+    const spent = analyserUsage(provider, usage);
+    await recordCost(limit, spent);
+    if (!ownKey) await recordUsage(auth, 'testdrive', spent);
+  };
+  
+  if (stream) {
+    const chunks = await provider.stream(request);
+    return sseResponse(async (send) => {
+      let output = '';
+      let usage;
+      for await (const chunk of chunks) {
+        if (chunk.usage) usage = chunk.usage;
+        if (!chunk.text) continue;
+        output += chunk.text;
+        send('partial', { output, ranOn });
+      }
+      await recordRun(usage);
+      send('done', { output, ranOn });
+    }, { ownKey });
+  }
+  
+  const { text, usage } = await provider.complete(request);
+  await recordRun(usage);
+  return NextResponse.json({ output: text, ranOn });
+}
+
+// Relay the provider's text stream as our own SSE events:
+//   partial - best-effort parse of the JSON received so far
+//   done    - the final checked result (same shape as the non-streaming
+//             response, so repaired or partial as in readAnalysisReply),
+//             stamped as in stampReply; it is also cached under cacheKey
+//             (within cacheScope) when there is one and it's complete
+//   error   - { error } if the stream fails or the result can't be parsed
+// However it ends, the call is passed to logEvent.
+function streamAnalysis(chunks, { mode, request, provider, cacheKey, cacheScope, limit, auth, ownKey, logEvent }) {
+  return sseResponse(async (send) => {
+    try {
+      await relayAnalysis(send, chunks, { mode, request, provider, cacheKey, cacheScope, limit, auth, ownKey, logEvent });
+    } catch (error) {
+      await logEvent(error instanceof ProviderError
+        ? { outcome: 'upstream_error', upstreamStatus: error.status }
+        : { outcome: 'error' });
+      throw error;
+    }
+  }, { ownKey });
+}
+
+async function relayAnalysis(send, chunks, { mode, request, provider, cacheKey, cacheScope, limit, auth, ownKey, logEvent }) {
+  let responseText = '';
+  let lastPartial = '';
+  let usage;
+  
+  for await (const chunk of chunks) {
+    if (chunk.usage) usage = chunk.usage;
+    if (!chunk.text) continue;
+    responseText += chunk.text;
+    
+    // Only forward when the visible result has actually changed
+    const partial = parsePartialJson(responseText);
+    const serialised = partial && JSON.stringify(partial);
+    if (serialised && serialised !== lastPartial) {
+      lastPartial = serialised;
+      send('partial', partial);
+    }
+  }
+  
+  if (!responseText) {
+    await logEvent({ outcome: 'error' });
+    send('error', { error: 'Empty response from API' });
+    return;
+  }
+  
+  let reply;
+  try {
+    reply = await readAnalysisReply({ mode, request, responseText, usage, provider });
+  } catch (parseError) {
+    if (!(parseError instanceof OutputError)) throw parseError;
+    // SECURITY: Only log error type, not response content which may contain sensitive data
+    console.error('JSON parse error:', parseError.name);
+    await logEvent({ outcome: 'invalid_reply' });
+    send('error', { error: parseError.message });
+    return;
+  }
+  
+  const result = stampReply(reply, { mode, provider, cacheKey });
+  await recordCost(limit, result.usage);
+  if (!ownKey) await recordUsage(auth, mode, result.usage);
+  await logEvent({ outcome: 'ok', reply, usage: result.usage });
+  await writeCache(result.cacheKey, cacheScope, result);
+  send('done', result);
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { isAuthEnabled, signIn, sessionCookie, signInIpRateLimitIdentity, signInRateLimitIdentity } from '@/lib/auth';
+import { limitRequest } from '@/lib/rateLimit';
+import { rateLimitedResponse, authFailureResponse } from '@/lib/responses';
+
+// Sign in with email and password; sets the session cookie
+export async function POST(request) {
+  if (!isAuthEnabled()) {
+    return NextResponse.json({ error: 'Sign-in is off on this deployment' }, { status: 404 });
+  }
+
+  // Rate limited by IP address, which slows down password guessing
+  const limit = await limitRequest(request, { identity: signInIpRateLimitIdentity(request) });
+  if (!limit.allowed) {
+    return rateLimitedResponse(limit);
+  }
+
+  try {
+    const { email, password } = await request.json();
+
+    // ... and by the email being tried, since the IP address can be spoofed
+    const emailLimit = await limitRequest(request, { identity: signInRateLimitIdentity(email) });
+    if (!emailLimit.allowed) {
+      return rateLimitedResponse(emailLimit);
+    }
+
+    const user = await signIn(email, password);
+    if (!user) {
+      return NextResponse.json({ error: 'Wrong email or password' }, { status: 401 });
+    }
+
+    const { name, value, options } = await sessionCookie(user);
+    const response = NextResponse.json({ user });
+    response.cookies.set(name, value, options);
+    return response;
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
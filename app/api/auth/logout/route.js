@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, endSessions } from '@/lib/auth';
+import { authFailureResponse } from '@/lib/responses';
+
+// Sign out: the session is revoked on the server (on every device), not just
+// cleared from this browser
+export async function POST(request) {
+  try {
+    await endSessions(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  const response = NextResponse.json({ signedOut: true });
+  response.cookies.set(SESSION_COOKIE, '', { httpOnly: true, sameSite: 'lax', path: '/', maxAge: 0 });
+  return response;
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { authenticate, isAuthEnabled } from '@/lib/auth';
+import { authFailureResponse } from '@/lib/responses';
+
+// Depends on the session cookie, so never serve a copy rendered at build time
+export const dynamic = 'force-dynamic';
+
+// The signed-in user, or { authEnabled: false } when sign-in is off
+export async function GET(request) {
+  if (!isAuthEnabled()) {
+    return NextResponse.json({ authEnabled: false, user: null });
+  }
+
+  try {
+    const { user } = await authenticate(request);
+    return NextResponse.json({ authEnabled: true, user });
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+}
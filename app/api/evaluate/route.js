@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import { GUIDANCE, GUIDANCE_VERSION } from '@/lib/guidance';
+import { getProvider, getOwnKeyProvider, ProviderError } from '@/lib/providers';
+import { getTargetProvider } from '@/lib/providers/targets';
+import { buildRubric, runEvaluation, EVALUATION_LIMITS } from '@/lib/evaluation';
+import { limitRequest, recordCost, withRateLimitHeaders } from '@/lib/rateLimit';
+import { authenticate, rateLimitIdentity } from '@/lib/auth';
+import { recordUsage } from '@/lib/usage';
+import { readOwnKey, OwnKeyError } from '@/lib/ownKey';
+import { upstreamErrorResponse, sseResponse, rateLimitedResponse, authFailureResponse } from '@/lib/responses';
+
+const badRequest = (error) => NextResponse.json({ error }, { status: 400 });
+
+export async function POST(request) {
+  let auth;
+  try {
+    auth = await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+  
+  // Runs and judging all go on the user's own key when they sent one
+  let ownKey;
+  try {
+    ownKey = readOwnKey(request);
+  } catch (error) {
+    if (!(error instanceof OwnKeyError)) throw error;
+    return badRequest(error.message);
+  }
+  
+  let provider;
+  try {
+    provider = ownKey ? getOwnKeyProvider(ownKey) : getProvider();
+  } catch (configError) {
+    console.error(configError.message);
+    return NextResponse.json(
+      { error: 'Server configuration error. Please check the API key is set.' },
+      { status: 500 }
+    );
+  }
+
+  try {
+    const body = await request.json();
+    const { vendor, model, variants, inputs, practices, customCriteria, stream } = body;
+
+    // Validate shape
+    if (!vendor || !model || !Array.isArray(variants) || !Array.isArray(inputs)) {
+      return badRequest('Missing required fields');
+    }
+
+    if (!GUIDANCE[vendor]) {
+      return badRequest('Invalid vendor');
+    }
+
+    if (variants.length < 2 || variants.length > EVALUATION_LIMITS.maxVariants) {
+      return badRequest(`Provide between 2 and ${EVALUATION_LIMITS.maxVariants} prompt variants`);
+    }
+
+    if (inputs.length < 1 || inputs.length > EVALUATION_LIMITS.maxInputs) {
+      return badRequest(`Provide between 1 and ${EVALUATION_LIMITS.maxInputs} test inputs`);
+    }
+
+    const runCount = variants.length * inputs.length;
+    if (runCount > EVALUATION_LIMITS.maxRuns) {
+      return badRequest(`Too many runs (${runCount}). Variants x test inputs must be at most ${EVALUATION_LIMITS.maxRuns}`);
+    }
+
+    if (variants.some(v => typeof v?.prompt !== 'string' || !v.prompt.trim())) {
+      return badRequest('Every variant needs a prompt');
+    }
+
+    if (variants.some(v => v.prompt.length > EVALUATION_LIMITS.maxPromptLength)) {
+      return badRequest('Variant too long (max 50,000 characters)');
+    }
+
+    if (inputs.some(i => typeof i !== 'string' || i.length > EVALUATION_LIMITS.maxInputLength)) {
+      return badRequest('Test input too long (max 10,000 characters)');
+    }
+
+    const rubric = buildRubric(vendor, {
+      practices: Array.isArray(practices) ? practices : undefined,
+      customCriteria: Array.isArray(customCriteria) ? customCriteria.filter(c => typeof c === 'string') : []
+    });
+
+    if (rubric.length === 0 || rubric.length > EVALUATION_LIMITS.maxCriteria) {
+      return badRequest(`Choose between 1 and ${EVALUATION_LIMITS.maxCriteria} rubric criteria`);
+    }
+
+    // Each run makes its own model calls, so it spends one rate-limit token.
+    // A caller over their daily quota is turned away (unless the runs are on
+    // their own key), and what the runs and judging cost is counted afterwards.
+    const limit = await limitRequest(request, { cost: runCount, quota: !ownKey, identity: rateLimitIdentity(auth) });
+    if (!limit.allowed) {
+      return rateLimitedResponse(limit);
+    }
+
+    const { provider: target, matched, note } = getTargetProvider(vendor, model, provider, { ownKey });
+    const evaluation = {
+      variants: variants.map((v, i) => ({ name: v.name?.trim() || `Variant ${String.fromCharCode(65 + i)}`, prompt: v.prompt })),
+      inputs,
+      rubric,
+      target,
+      judge: provider
+    };
+    const meta = {
+      createdAt: new Date().toISOString(),
+      vendor,
+      model,
+      ranOn: { provider: target.label, model: target.model, matched, note },
+      judgedBy: { provider: provider.label, model: provider.model },
+      guidanceVersion: GUIDANCE_VERSION
+    };
+
+    const recordSpend = async (usage) => {
+      await recordCost(limit, usage);
+      if (!ownKey) await recordUsage(auth, 'evaluate', usage);
+    };
+
+    if (stream) {
+      return withRateLimitHeaders(sseResponse(async (send) => {
+        const report = await runEvaluation({
+          ...evaluation,
+          onProgress: (completed, total) => send('partial', { progress: { completed, total } })
+        });
+        await recordSpend(report.usage);
+        send('done', { ...meta, ...report });
+      }, { ownKey }), limit);
+    }
+
+    const report = await runEvaluation(evaluation);
+    await recordSpend(report.usage);
+    return withRateLimitHeaders(NextResponse.json({ ...meta, ...report }), limit);
+
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      // SECURITY: Only log status code, not full error response which may contain sensitive data
+      console.error(`${error.provider} API error: status`, error.status);
+      return upstreamErrorResponse(error.status, { ownKey });
+    }
+
+    // SECURITY: Only log error name, not full stack trace which may expose implementation details
+    console.error('Request error:', error.name || 'Unknown');
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { getPrompt, updatePrompt, deletePrompt, LibraryError } from '@/lib/libraryStore';
+import { limitRequest, withRateLimitHeaders } from '@/lib/rateLimit';
+import { authenticate, rateLimitIdentity } from '@/lib/auth';
+import { rateLimitedResponse, authFailureResponse } from '@/lib/responses';
+
+const notFound = () => NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+
+function failure(error) {
+  if (error instanceof LibraryError) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+
+  console.error('Library error:', error.name || 'Unknown', error.code || '');
+  return NextResponse.json(
+    { error: 'Library request failed. Please try again.' },
+    { status: 500 }
+  );
+}
+
+// Run a change to an entry for a signed-in caller (anyone, when sign-in is
+// off) within their rate limit
+async function change(request, action) {
+  let auth;
+  try {
+    auth = await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  const limit = await limitRequest(request, { identity: rateLimitIdentity(auth) });
+  if (!limit.allowed) {
+    return rateLimitedResponse(limit);
+  }
+
+  try {
+    return withRateLimitHeaders(await action(), limit);
+  } catch (error) {
+    return failure(error);
+  }
+}
+
+export async function GET(request, { params }) {
+  try {
+    await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  try {
+    const entry = await getPrompt(params.id);
+    return entry ? NextResponse.json(entry) : notFound();
+  } catch (error) {
+    return failure(error);
+  }
+}
+
+// Rename or retag. Versions are only added through /versions.
+export async function PATCH(request, { params }) {
+  return change(request, async () => {
+    const { title, tags } = await request.json();
+    const entry = await updatePrompt(params.id, { title, tags });
+    return entry ? NextResponse.json(entry) : notFound();
+  });
+}
+
+export async function DELETE(request, { params }) {
+  return change(request, async () => (
+    (await deletePrompt(params.id)) ? NextResponse.json({ deleted: true }) : notFound()
+  ));
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { addVersion, rollbackPrompt, LibraryError } from '@/lib/libraryStore';
+import { limitRequest, withRateLimitHeaders } from '@/lib/rateLimit';
+import { authenticate, rateLimitIdentity } from '@/lib/auth';
+import { rateLimitedResponse, authFailureResponse } from '@/lib/responses';
+
+// Add a version: either a new prompt, or { rollbackTo: n } to restore version n
+export async function POST(request, { params }) {
+  let auth;
+  try {
+    auth = await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  const limit = await limitRequest(request, { identity: rateLimitIdentity(auth) });
+  if (!limit.allowed) {
+    return rateLimitedResponse(limit);
+  }
+
+  try {
+    const { rollbackTo, prompt, vendor, model, source, note, guidanceVersion } = await request.json();
+
+    const entry = rollbackTo !== undefined
+      ? await rollbackPrompt(params.id, Number(rollbackTo))
+      : await addVersion(params.id, { prompt, vendor, model, source, note, guidanceVersion });
+
+    if (!entry) {
+      return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+    }
+    return withRateLimitHeaders(NextResponse.json(entry), limit);
+  } catch (error) {
+    if (error instanceof LibraryError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Library error:', error.name || 'Unknown', error.code || '');
+    return NextResponse.json(
+      { error: 'Could not save the version. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
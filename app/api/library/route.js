@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { listPrompts, createPrompt, LibraryError } from '@/lib/libraryStore';
+import { limitRequest, withRateLimitHeaders } from '@/lib/rateLimit';
+import { authenticate, rateLimitIdentity } from '@/lib/auth';
+import { rateLimitedResponse, authFailureResponse } from '@/lib/responses';
+
+// With sign-in on, the library is only open to signed-in users and API keys
+export async function GET(request) {
+  try {
+    await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  try {
+    return NextResponse.json({ prompts: await listPrompts() });
+  } catch (error) {
+    console.error('Library error:', error.name || 'Unknown', error.code || '');
+    return NextResponse.json(
+      { error: 'Could not load the library. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+// Save a prompt as a new library entry (version 1)
+export async function POST(request) {
+  let auth;
+  try {
+    auth = await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  const limit = await limitRequest(request, { identity: rateLimitIdentity(auth) });
+  if (!limit.allowed) {
+    return rateLimitedResponse(limit);
+  }
+
+  try {
+    const { title, tags, prompt, vendor, model, source, note, guidanceVersion } = await request.json();
+    const entry = await createPrompt({ title, tags, prompt, vendor, model, source, note, guidanceVersion });
+    return withRateLimitHeaders(NextResponse.json(entry), limit);
+  } catch (error) {
+    if (error instanceof LibraryError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Library error:', error.name || 'Unknown', error.code || '');
+    return NextResponse.json(
+      { error: 'Could not save to the library. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { revokeShare } from '@/lib/share';
+
+// Revoke a share link. Needs the token returned when it was created.
+export async function DELETE(request, { params }) {
+  try {
+    const revokeToken = request.headers.get('x-revoke-token');
+    if (!revokeToken) {
+      return NextResponse.json({ error: 'Missing revoke token' }, { status: 400 });
+    }
+
+    if (!(await revokeShare(params.id, revokeToken))) {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ revoked: true });
+  } catch (error) {
+    console.error('Revoke error:', error.name || 'Unknown', error.code || '');
+    return NextResponse.json(
+      { error: 'Could not revoke the share link. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
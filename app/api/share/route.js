@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { buildSnapshot, createShare, ShareError } from '@/lib/share';
+import { limitRequest, withRateLimitHeaders } from '@/lib/rateLimit';
+import { authenticate, rateLimitIdentity } from '@/lib/auth';
+import { rateLimitedResponse, authFailureResponse } from '@/lib/responses';
+
+// Create a read-only link for a session. With sign-in on, only signed-in
+// users and API keys can; anyone with the link can still view it.
+export async function POST(request) {
+  let auth;
+  try {
+    auth = await authenticate(request);
+  } catch (error) {
+    return authFailureResponse(error);
+  }
+
+  const limit = await limitRequest(request, { identity: rateLimitIdentity(auth) });
+  if (!limit.allowed) {
+    return rateLimitedResponse(limit);
+  }
+
+  try {
+    const { session, expiresInDays } = await request.json();
+    const snapshot = buildSnapshot(session);
+    const share = await createShare(snapshot, { expiresInDays: expiresInDays ?? null });
+
+    return withRateLimitHeaders(NextResponse.json({ ...share, path: `/s/${share.id}` }), limit);
+  } catch (error) {
+    if (error instanceof ShareError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Share error:', error.name || 'Unknown', error.code || '');
+    return NextResponse.json(
+      { error: 'Could not create the share link. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
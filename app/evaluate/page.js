@@ -0,0 +1,309 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { GUIDANCE } from '@/lib/guidance';
+import { postEvaluate } from '@/lib/api';
+import { EVALUATION_LIMITS, EVALUATION_DRAFT_KEY } from '@/lib/evaluation';
+import EvaluationReport from '@/components/EvaluationReport';
+import OwnKeyButton from '@/components/OwnKeyButton';
+
+const emptyVariant = (index) => ({ name: `Variant ${String.fromCharCode(65 + index)}`, prompt: '' });
+
+export default function Evaluate() {
+  // Target model the variants run on
+  const [selectedVendor, setSelectedVendor] = useState('claude');
+  const [selectedModel, setSelectedModel] = useState('Sonnet 4.5');
+
+  // Evaluation setup
+  const [variants, setVariants] = useState([emptyVariant(0), emptyVariant(1)]);
+  const [inputs, setInputs] = useState(['']);
+  const [practices, setPractices] = useState(GUIDANCE.claude.bestPractices.map(p => p.rule));
+  const [customCriteria, setCustomCriteria] = useState('');
+
+  // Run state
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const vendors = Object.keys(GUIDANCE);
+  const currentGuidance = GUIDANCE[selectedVendor];
+  const runCount = variants.length * inputs.length;
+  const criteriaCount = practices.length + customCriteria.split('\n').filter(c => c.trim()).length;
+
+  // Pick up variants handed over from the optimiser's result view
+  useEffect(() => {
+    const draft = sessionStorage.getItem(EVALUATION_DRAFT_KEY);
+    if (!draft) return;
+    sessionStorage.removeItem(EVALUATION_DRAFT_KEY);
+
+    try {
+      const { vendor, model, variants: draftVariants } = JSON.parse(draft);
+      if (GUIDANCE[vendor]) {
+        setSelectedVendor(vendor);
+        setSelectedModel(GUIDANCE[vendor].models.includes(model) ? model : GUIDANCE[vendor].models[0]);
+        setPractices(GUIDANCE[vendor].bestPractices.map(p => p.rule));
+      }
+      if (Array.isArray(draftVariants) && draftVariants.length >= 2) {
+        setVariants(draftVariants.slice(0, EVALUATION_LIMITS.maxVariants));
+      }
+    } catch {
+      // Ignore a malformed draft and start blank
+    }
+  }, []);
+
+  const handleVendorChange = (vendor) => {
+    setSelectedVendor(vendor);
+    setSelectedModel(GUIDANCE[vendor].models[0]);
+    setPractices(GUIDANCE[vendor].bestPractices.map(p => p.rule));
+  };
+
+  const updateVariant = (index, field, value) => {
+    setVariants(prev => prev.map((v, i) => (i === index ? { ...v, [field]: value } : v)));
+  };
+
+  const togglePractice = (rule) => {
+    setPractices(prev => (prev.includes(rule) ? prev.filter(r => r !== rule) : [...prev, rule]));
+  };
+
+  const runEvaluation = async () => {
+    if (variants.some(v => !v.prompt.trim())) {
+      setError('Every variant needs a prompt.');
+      return;
+    }
+
+    setIsRunning(true);
+    setError('');
+    setReport(null);
+    setProgress({ completed: 0, total: runCount });
+
+    try {
+      const data = await postEvaluate({
+        vendor: selectedVendor,
+        model: selectedModel,
+        variants,
+        inputs,
+        practices,
+        customCriteria: customCriteria.split('\n')
+      }, (partial) => setProgress(partial.progress));
+
+      setReport(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen p-4 md:p-6">
+      <div className="max-w-5xl mx-auto">
+        {/* Header */}
+        <div className="mb-6">
+          <div className="flex items-center justify-between gap-4">
+            <Link href="/" className="text-sm text-slate-400 hover:text-white transition-colors">
+              ← Back to optimiser
+            </Link>
+            <OwnKeyButton />
+          </div>
+          <h1 className="text-2xl md:text-3xl font-bold text-white mt-2 mb-2">Prompt Evaluation</h1>
+          <p className="text-slate-400 text-sm">
+            Run prompt variants on the same test inputs and let a judge model score the outputs.
+          </p>
+        </div>
+
+        {/* Model Selection */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Target Model</label>
+            <div className="flex flex-wrap gap-2">
+              {vendors.map(vendor => (
+                <button
+                  key={vendor}
+                  onClick={() => handleVendorChange(vendor)}
+                  disabled={isRunning}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    selectedVendor === vendor
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                  }`}
+                >
+                  {GUIDANCE[vendor].name}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Variant</label>
+            <select
+              value={selectedModel}
+              onChange={(e) => setSelectedModel(e.target.value)}
+              disabled={isRunning}
+              className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+            >
+              {currentGuidance.models.map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Prompt variants */}
+        <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-white">Prompt variants</h2>
+            {variants.length < EVALUATION_LIMITS.maxVariants && (
+              <button
+                onClick={() => setVariants(prev => [...prev, emptyVariant(prev.length)])}
+                className="text-sm text-blue-400 hover:text-blue-300"
+              >
+                + Add variant
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {variants.map((variant, i) => (
+              <div key={i}>
+                <div className="flex items-center gap-2 mb-2">
+                  <input
+                    value={variant.name}
+                    onChange={(e) => updateVariant(i, 'name', e.target.value)}
+                    className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-3 py-1 text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {variants.length > 2 && (
+                    <button
+                      onClick={() => setVariants(prev => prev.filter((_, j) => j !== i))}
+                      className="text-xs text-slate-500 hover:text-slate-300"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+                <textarea
+                  value={variant.prompt}
+                  onChange={(e) => updateVariant(i, 'prompt', e.target.value)}
+                  placeholder="Paste a prompt..."
+                  className="w-full h-40 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm font-mono"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Test inputs */}
+        <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 mb-6">
+          <div className="flex items-center justify-between mb-1">
+            <h2 className="text-lg font-semibold text-white">Test inputs</h2>
+            {inputs.length < EVALUATION_LIMITS.maxInputs && (
+              <button
+                onClick={() => setInputs(prev => [...prev, ''])}
+                className="text-sm text-blue-400 hover:text-blue-300"
+              >
+                + Add input
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-slate-500 mb-3">
+            Each variant runs once per input, with the variant as the system prompt and the input as the user message.
+          </p>
+          <div className="space-y-3">
+            {inputs.map((input, i) => (
+              <div key={i} className="flex gap-2">
+                <textarea
+                  value={input}
+                  onChange={(e) => setInputs(prev => prev.map((v, j) => (j === i ? e.target.value : v)))}
+                  placeholder={`Test input ${i + 1} (leave empty to run the prompt on its own)`}
+                  rows={2}
+                  className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
+                />
+                {inputs.length > 1 && (
+                  <button
+                    onClick={() => setInputs(prev => prev.filter((_, j) => j !== i))}
+                    className="text-xs text-slate-500 hover:text-slate-300 self-start mt-2"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Rubric */}
+        <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 mb-6">
+          <h2 className="text-lg font-semibold text-white mb-1">Rubric</h2>
+          <p className="text-xs text-slate-500 mb-3">
+            Each output is scored 1-5 per criterion and 1-10 overall.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+            {currentGuidance.bestPractices.map(p => (
+              <label key={p.rule} className="flex items-start gap-2 text-sm text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={practices.includes(p.rule)}
+                  onChange={() => togglePractice(p.rule)}
+                  className="mt-1"
+                />
+                <span title={p.description}>{p.rule}</span>
+              </label>
+            ))}
+          </div>
+          <label className="block text-sm text-slate-300 mb-1">Your own criteria (one per line)</label>
+          <textarea
+            value={customCriteria}
+            onChange={(e) => setCustomCriteria(e.target.value)}
+            placeholder={'Stays under 150 words\nUses British spelling'}
+            className="w-full h-20 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
+          />
+        </div>
+
+        {/* Run */}
+        <div className="mb-6">
+          <div className="flex items-center justify-between text-sm text-slate-400 mb-2">
+            <span>{runCount} run{runCount === 1 ? '' : 's'} · {criteriaCount} criteria</span>
+            {(runCount > EVALUATION_LIMITS.maxRuns || criteriaCount > EVALUATION_LIMITS.maxCriteria) && (
+              <span className="text-amber-400 text-xs">
+                Max {EVALUATION_LIMITS.maxRuns} runs and {EVALUATION_LIMITS.maxCriteria} criteria
+              </span>
+            )}
+          </div>
+          <button
+            onClick={runEvaluation}
+            disabled={isRunning || runCount > EVALUATION_LIMITS.maxRuns || criteriaCount === 0 || criteriaCount > EVALUATION_LIMITS.maxCriteria}
+            className={`w-full py-3 rounded-lg font-semibold transition-colors ${
+              isRunning
+                ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                : 'bg-blue-600 text-white hover:bg-blue-500 disabled:bg-slate-600 disabled:text-slate-400 disabled:cursor-not-allowed'
+            }`}
+          >
+            {isRunning ? (
+              <span className="flex items-center justify-center gap-2">
+                <span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+                Evaluating{progress ? ` (${progress.completed}/${progress.total})` : '...'}
+              </span>
+            ) : 'Run Evaluation'}
+          </button>
+
+          {progress && (
+            <div className="mt-3 h-1 bg-slate-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-500 transition-all"
+                style={{ width: `${(progress.completed / Math.max(progress.total, 1)) * 100}%` }}
+              />
+            </div>
+          )}
+
+          {error && (
+            <div className="mt-4 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+              <p className="text-red-400 text-sm">{error}</p>
+            </div>
+          )}
+        </div>
+
+        {report && <EvaluationReport report={report} />}
+      </div>
+    </div>
+  );
+}
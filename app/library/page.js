@@ -0,0 +1,338 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { GUIDANCE } from '@/lib/guidance';
+import {
+  listLibrary,
+  getLibraryPrompt,
+  updateLibraryPrompt,
+  deleteLibraryPrompt,
+  addLibraryVersion
+} from '@/lib/api';
+import { LIBRARY_DRAFT_KEY, VERSION_SOURCES, searchLibrary } from '@/lib/library';
+import DiffView from '@/components/DiffView';
+import CopyButton from '@/components/CopyButton';
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export default function Library() {
+  const router = useRouter();
+
+  // Listing
+  const [prompts, setPrompts] = useState([]);
+  const [query, setQuery] = useState('');
+  const [activeTags, setActiveTags] = useState([]);
+
+  // Open entry
+  const [entry, setEntry] = useState(null);
+  const [title, setTitle] = useState('');
+  const [tags, setTags] = useState('');
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [compare, setCompare] = useState(null);
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const allTags = [...new Set(prompts.flatMap(p => p.tags))].sort();
+  const matches = searchLibrary(prompts, query, activeTags);
+
+  const refreshList = async () => {
+    try {
+      const { prompts: list } = await listLibrary();
+      setPrompts(list);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    refreshList();
+  }, []);
+
+  // Show an entry (new or updated) and default the comparison to its last two versions
+  const showEntry = (data) => {
+    const latest = data.versions[data.versions.length - 1];
+    const previous = data.versions[data.versions.length - 2];
+
+    setEntry(data);
+    setTitle(data.title);
+    setTags(data.tags.join(', '));
+    setViewedVersion(latest.version);
+    setCompare(previous ? { from: previous.version, to: latest.version } : null);
+  };
+
+  const openEntry = async (id) => {
+    setError('');
+    try {
+      showEntry(await getLibraryPrompt(id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveDetails = async () => {
+    setError('');
+    try {
+      const updated = await updateLibraryPrompt(entry.id, { title, tags });
+      showEntry(updated);
+      refreshList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rollback = async (version) => {
+    setError('');
+    try {
+      showEntry(await addLibraryVersion(entry.id, { rollbackTo: version }));
+      refreshList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete "${entry.title}" and all ${entry.versions.length} versions?`)) return;
+
+    setError('');
+    try {
+      await deleteLibraryPrompt(entry.id);
+      setEntry(null);
+      refreshList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Hand a version to the optimiser; runs there are added back as new versions
+  const assessVersion = (version) => {
+    sessionStorage.setItem(LIBRARY_DRAFT_KEY, JSON.stringify({
+      id: entry.id,
+      title: entry.title,
+      version: version.version,
+      vendor: version.vendor,
+      model: version.model,
+      prompt: version.prompt
+    }));
+    router.push('/');
+  };
+
+  const toggleTag = (tag) => {
+    setActiveTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+  };
+
+  const versionByNumber = number => entry?.versions.find(v => v.version === number);
+  const viewed = versionByNumber(viewedVersion);
+  const compareFrom = compare && versionByNumber(compare.from);
+  const compareTo = compare && versionByNumber(compare.to);
+
+  return (
+    <div className="min-h-screen p-4 md:p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-6">
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-2xl md:text-3xl font-bold text-white mb-2">Prompt Library</h1>
+            <Link
+              href="/"
+              className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+            >
+              Back to optimiser
+            </Link>
+          </div>
+          <p className="text-slate-400 text-sm">
+            Saved prompts with every version. Shared with everyone using this deployment.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {/* Listing */}
+          <div className="md:col-span-1">
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search titles, tags and prompts..."
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+
+            {allTags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {allTags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => toggleTag(tag)}
+                    className={`text-xs px-2 py-0.5 rounded-full transition-colors ${
+                      activeTags.includes(tag)
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                    }`}
+                  >
+                    {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="mt-4 space-y-2">
+              {isLoading && <p className="text-sm text-slate-500">Loading...</p>}
+              {!isLoading && matches.length === 0 && (
+                <p className="text-sm text-slate-500 text-center mt-8">
+                  {prompts.length === 0
+                    ? 'Nothing saved yet. Use "Save to library" on a finished prompt.'
+                    : 'No prompts match.'}
+                </p>
+              )}
+              {matches.map(p => (
+                <button
+                  key={p.id}
+                  onClick={() => openEntry(p.id)}
+                  className={`w-full text-left rounded-lg p-3 border transition-colors ${
+                    p.id === entry?.id ? 'border-blue-600 bg-slate-800' : 'border-slate-700 bg-slate-800/50 hover:border-slate-500'
+                  }`}
+                >
+                  <p className="text-sm text-white font-medium truncate">{p.title}</p>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {GUIDANCE[p.vendor]?.name || p.vendor} · {p.model} · v{p.latestVersion}
+                  </p>
+                  {p.tags.length > 0 && (
+                    <p className="text-xs text-slate-400 mt-1 truncate">{p.tags.map(t => `#${t}`).join(' ')}</p>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Entry detail */}
+          <div className="md:col-span-2">
+            {!entry ? (
+              <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 text-sm text-slate-500 text-center">
+                Pick a prompt to see its versions.
+              </div>
+            ) : (
+              <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 space-y-6">
+                <div className="space-y-2">
+                  <input
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white text-lg font-semibold focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <input
+                    value={tags}
+                    onChange={(e) => setTags(e.target.value)}
+                    placeholder="Tags, comma separated"
+                    className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <div className="flex items-center justify-between">
+                    <button
+                      onClick={saveDetails}
+                      disabled={title === entry.title && tags === entry.tags.join(', ')}
+                      className="text-sm text-blue-400 hover:text-blue-300 disabled:text-slate-600"
+                    >
+                      Save title and tags
+                    </button>
+                    <button onClick={remove} className="text-sm text-red-400 hover:text-red-300">
+                      Delete prompt
+                    </button>
+                  </div>
+                </div>
+
+                {/* Versions */}
+                <div>
+                  <h3 className="text-sm font-medium text-slate-400 mb-3">Versions</h3>
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {[...entry.versions].reverse().map((v, i) => (
+                      <div
+                        key={v.version}
+                        className={`flex items-center gap-3 rounded-lg px-3 py-2 text-sm ${
+                          v.version === viewedVersion ? 'bg-slate-700' : 'bg-slate-700/40'
+                        }`}
+                      >
+                        <button onClick={() => setViewedVersion(v.version)} className="flex-1 text-left">
+                          <span className="text-white font-medium">v{v.version}</span>
+                          <span className="text-slate-400 ml-2">{VERSION_SOURCES[v.source]}</span>
+                          <span className="text-slate-500 ml-2 text-xs">
+                            {GUIDANCE[v.vendor]?.name || v.vendor} {v.model} · {formatDate(v.createdAt)}
+                          </span>
+                          {v.note && <span className="block text-xs text-slate-500">{v.note}</span>}
+                          {v.guidanceVersion && <span className="block text-xs text-slate-600">Guidance pack {v.guidanceVersion}</span>}
+                        </button>
+                        {i > 0 && (
+                          <button
+                            onClick={() => rollback(v.version)}
+                            className="text-xs text-amber-400 hover:text-amber-300 whitespace-nowrap"
+                          >
+                            Roll back
+                          </button>
+                        )}
+                        <button
+                          onClick={() => assessVersion(v)}
+                          className="text-xs text-blue-400 hover:text-blue-300 whitespace-nowrap"
+                        >
+                          Assess
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {viewed && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="text-sm font-medium text-slate-400">v{viewed.version}</h3>
+                      <CopyButton text={viewed.prompt} />
+                    </div>
+                    <div className="bg-slate-900 rounded-lg px-4 py-4 text-white font-mono text-sm whitespace-pre-wrap max-h-80 overflow-y-auto border border-slate-700">
+                      {viewed.prompt}
+                    </div>
+                  </div>
+                )}
+
+                {/* Compare any two versions */}
+                {entry.versions.length > 1 && (
+                  <div>
+                    <div className="flex items-center gap-2 mb-3 text-sm text-slate-400">
+                      <span>Compare</span>
+                      {['from', 'to'].map((side, i) => (
+                        <span key={side} className="flex items-center gap-2">
+                          {i > 0 && <span>→</span>}
+                          <select
+                            value={compare?.[side] ?? ''}
+                            onChange={(e) => setCompare(prev => ({ ...prev, [side]: Number(e.target.value) }))}
+                            className="bg-slate-700 border border-slate-600 rounded-lg px-2 py-1 text-white text-sm"
+                          >
+                            {entry.versions.map(v => (
+                              <option key={v.version} value={v.version}>v{v.version}</option>
+                            ))}
+                          </select>
+                        </span>
+                      ))}
+                    </div>
+                    {compareFrom && compareTo && (
+                      <DiffView
+                        key={`${entry.id}:${compare.from}:${compare.to}`}
+                        original={compareFrom.prompt}
+                        revised={compareTo.prompt}
+                        onCopy={(text) => navigator.clipboard.writeText(text)}
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+'use client';
+
+import { useState } from 'react';
+import { signIn } from '@/lib/api';
+
+// Only go back to pages on this site after signing in. The path is resolved
+// the way the browser will, so "//host" or "/\host" can't lead elsewhere.
+function nextPath() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  if (!next) return '/';
+  try {
+    const url = new URL(next, window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search + url.hash : '/';
+  } catch {
+    return '/';
+  }
+}
+
+export default function Login() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await signIn(email, password);
+      window.location.assign(nextPath());
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen p-4 md:p-6 flex items-center justify-center">
+      <form onSubmit={submit} className="w-full max-w-sm bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Sign in</h1>
+          <p className="text-slate-400 text-sm">Prompt Optimiser is limited to your team. Ask an admin for an account.</p>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-900/30 border border-red-700 rounded-lg">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          autoComplete="username"
+          required
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+          required
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-slate-600 text-white rounded-lg font-medium transition-colors"
+        >
+          {isSubmitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,9 +1,33 @@
 'use client';
 
-import { useState } from 'react';
-import { GUIDANCE } from '@/lib/guidance';
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { GUIDANCE, GUIDANCE_VERSION } from '@/lib/guidance';
+import { postAnalyse, addLibraryVersion } from '@/lib/api';
+import { EVALUATION_DRAFT_KEY } from '@/lib/evaluation';
+import { LIBRARY_DRAFT_KEY } from '@/lib/library';
+import { loadHistory, saveSession, deleteSession, clearHistory, createSessionId, resultKey } from '@/lib/history';
+import { resultCacheKey } from '@/lib/resultCache';
+import { addCritiqueRound, canDigDeeper, critiqueRounds, previousQuestions } from '@/lib/critique';
+import { addSpend, formatTokens, formatUsd } from '@/lib/tokens';
+import DiffView from '@/components/DiffView';
+import TestDrive from '@/components/TestDrive';
+import PlaceholderForm from '@/components/PlaceholderForm';
+import SharePanel from '@/components/SharePanel';
+import SaveToLibrary from '@/components/SaveToLibrary';
+import HistorySidebar from '@/components/HistorySidebar';
+import AccountMenu from '@/components/AccountMenu';
+import OwnKeyButton from '@/components/OwnKeyButton';
+import CompareAll from '@/components/CompareAll';
+import LintedTextarea from '@/components/LintedTextarea';
+import TokenEstimate from '@/components/TokenEstimate';
+import RefineChat from '@/components/RefineChat';
+import PartialNotice from '@/components/PartialNotice';
 
 export default function Home() {
+  const router = useRouter();
+
   // Entry mode: 'idea' or 'prompt'
   const [entryMode, setEntryMode] = useState(null);
   
@@ -22,15 +46,58 @@ export default function Home() {
   const [answers, setAnswers] = useState({});
   const [result, setResult] = useState(null);
   
+  // Result view: 'prompt' (final text) or 'diff' (changes from the original input)
+  const [resultView, setResultView] = useState('prompt');
+  
   // UI state
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [isRegenerating, setIsRegenerating] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
+  const [isStreaming, setIsStreaming] = useState(false);
+  // A "dig deeper" critique round is running
+  const [isDigging, setIsDigging] = useState(false);
+  // { result, createdAt } when the shown result was reused from this session
+  const [reused, setReused] = useState(null);
+  // Refine: { result, index } when an earlier revision is being viewed, and
+  // { instruction, partial } while a turn is running
+  const [viewedRevision, setViewedRevision] = useState(null);
+  const [refining, setRefining] = useState(null);
+  
+  // Saved sessions (browser-only). A session starts with each critique and
+  // collects a result per vendor/model it's generated for.
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [compareResults, setCompareResults] = useState({});
+  const [session, setSession] = useState(null);
+
+  // Prompt library entry this work is linked to ({ id, title, version }).
+  // While linked, every generate/optimise run is added to it as a new version.
+  const [libraryLink, setLibraryLink] = useState(null);
 
   const vendors = Object.keys(GUIDANCE);
   const currentGuidance = GUIDANCE[selectedVendor];
 
+  // Ideas get a prompt generated from scratch; existing prompts get optimised (or rebuilt)
+  const outputMode = entryMode === 'prompt' ? 'optimise' : 'generate';
+  const generatedPrompt = result?.optimisedPrompt ?? result?.generatedPrompt;
+
+  // Refine turns are kept with the result they started from, as revisions
+  // 1..n (0 is the result itself). The latest is shown unless another is picked.
+  const resultEntry = session?.results?.[resultKey(selectedVendor, selectedModel)];
+  const revisions = resultEntry && resultEntry.result === result ? resultEntry.revisions || [] : [];
+  const revisionIndex = viewedRevision?.result === result ? viewedRevision.index : revisions.length;
+  const resultPrompt = refining?.partial?.refinedPrompt
+    ?? (revisionIndex > 0 ? revisions[revisionIndex - 1].prompt : generatedPrompt);
+  const resultChanges = refining?.partial?.changes
+    ?? (revisionIndex > 0 ? revisions[revisionIndex - 1].changes : result?.changes);
+
+  // Where the shown result came from when it wasn't generated just now
+  const cacheHit = reused && reused.result === result
+    ? { label: 'Reused from earlier in this session', at: reused.createdAt }
+    : result?.cachedAt ? { label: 'Served from the result cache', at: result.cachedAt } : null;
+
   const handleVendorChange = (vendor) => {
     if (phase === 'result') {
       regenerateForModel(vendor, GUIDANCE[vendor].models[0]);
@@ -48,12 +115,121 @@ export default function Home() {
     }
   };
 
+  useEffect(() => {
+    setHistory(loadHistory());
+  }, []);
+
+  // Pick up a saved version handed over from the library for assessment
+  useEffect(() => {
+    const draft = sessionStorage.getItem(LIBRARY_DRAFT_KEY);
+    if (!draft) return;
+    sessionStorage.removeItem(LIBRARY_DRAFT_KEY);
+
+    try {
+      const { id, title, version, vendor, model, prompt } = JSON.parse(draft);
+      setEntryMode('prompt');
+      setInputText(prompt);
+      if (GUIDANCE[vendor]) {
+        setSelectedVendor(vendor);
+        setSelectedModel(GUIDANCE[vendor].models.includes(model) ? model : GUIDANCE[vendor].models[0]);
+      }
+      setLibraryLink({ id, title, version });
+    } catch {
+      // Ignore a malformed draft and start blank
+    }
+  }, []);
+
+  // Save the current session once it settles (not mid-stream or mid-request)
+  useEffect(() => {
+    if (!session || phase === 'input' || isLoading || isStreaming || isRegenerating || isDigging) return;
+
+    const timer = setTimeout(() => {
+      setHistory(saveSession({
+        ...session,
+        phase,
+        entryMode,
+        inputText,
+        problemContext,
+        critique,
+        answers,
+        selectedVendor,
+        selectedModel,
+        library: libraryLink
+      }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [session, phase, entryMode, inputText, problemContext, critique, answers, selectedVendor, selectedModel, libraryLink, isLoading, isStreaming, isRegenerating, isDigging]);
+
+  // Keep a finished run in the session and add what it cost to the session's
+  // analyser spend (nothing for results served from the server cache)
+  const recordResult = (vendor, model, data) => {
+    setSession(prev => prev && ({
+      ...prev,
+      results: {
+        ...prev.results,
+        [resultKey(vendor, model)]: { vendor, model, result: data, createdAt: new Date().toISOString() }
+      },
+      spend: data.cachedAt ? prev.spend : addSpend(prev.spend, data.usage)
+    }));
+  };
+
+  // Add a finished run to the linked library entry as its next version
+  const versionInLibrary = async (vendor, model, data, { source = outputMode, note } = {}) => {
+    if (!libraryLink) return;
+
+    try {
+      const entry = await addLibraryVersion(libraryLink.id, {
+        prompt: data.refinedPrompt ?? data.optimisedPrompt ?? data.generatedPrompt,
+        vendor,
+        model,
+        source,
+        note,
+        guidanceVersion: data.guidanceVersion
+      });
+      setLibraryLink({ id: entry.id, title: entry.title, version: entry.versions[entry.versions.length - 1].version });
+    } catch (err) {
+      if (err.message === 'Prompt not found') {
+        // Deleted from the library since - stop versioning into it
+        setLibraryLink(null);
+      } else {
+        setError(`Saved in history, but not added to the library: ${err.message}`);
+      }
+    }
+  };
+
+  // Put a saved session back on screen in the phase it was left in.
+  // key picks one of its results; defaults to the last model it was on.
+  const restoreSession = (saved, key) => {
+    const results = saved.results || {};
+    const entry = results[key || resultKey(saved.selectedVendor, saved.selectedModel)] || Object.values(results)[0];
+
+    setSession({ id: saved.id, createdAt: saved.createdAt, results, shares: saved.shares || [], spend: saved.spend });
+    setEntryMode(saved.entryMode);
+    setInputText(saved.inputText);
+    setProblemContext(saved.problemContext || '');
+    setShowProblemContext(Boolean(saved.problemContext));
+    setCritique(saved.critique);
+    setAnswers(saved.answers || {});
+    setSelectedVendor(entry?.vendor || saved.selectedVendor);
+    setSelectedModel(entry?.model || saved.selectedModel);
+    setResult(entry?.result || null);
+    setPhase(saved.phase === 'result' && entry ? 'result' : 'critique');
+    setResultView('prompt');
+    setError('');
+    setRetryCount(0);
+    setLibraryLink(saved.library || null);
+    setShowHistory(false);
+  };
+
   const resetToStart = () => {
+    setSession(null);
+    setLibraryLink(null);
     setPhase('input');
     setEntryMode(null);
     setCritique(null);
     setAnswers({});
     setResult(null);
+    setResultView('prompt');
     setError('');
     setProblemContext('');
     setShowProblemContext(false);
@@ -81,126 +257,257 @@ export default function Home() {
     setError('');
 
     try {
-      const response = await fetch('/api/analyse', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          mode: 'critique',
-          vendor: selectedVendor,
-          model: selectedModel,
-          inputText: inputText.trim(),
-          entryMode,
-          problemContext: problemContext.trim() || null
-        })
+      const data = await postAnalyse({
+        mode: 'critique',
+        vendor: selectedVendor,
+        model: selectedModel,
+        inputText: inputText.trim(),
+        entryMode,
+        problemContext: problemContext.trim() || null
+      }, (partial) => {
+        // Show questions as they arrive
+        setIsStreaming(true);
+        setCritique(partial);
+        setPhase('critique');
       });
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || 'Request failed');
-      }
-
       setCritique(data);
       setAnswers({});
       setPhase('critique');
       setRetryCount(0);
+      setSession({ id: createSessionId(), createdAt: new Date().toISOString(), results: {}, shares: [], spend: addSpend(null, data.usage) });
 
     } catch (err) {
+      setCritique(null);
+      setPhase('input');
       setError(err.message);
       setRetryCount(prev => prev + 1);
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
-  // Phase 2: Generate with answers
-  const runGenerate = async () => {
-    setIsLoading(true);
+  // Another critique round: the input plus every question so far with its
+  // answer, so the analyser asks only about what's still open
+  const runDigDeeper = async () => {
+    const base = critique;
+    setIsDigging(true);
     setError('');
 
-    const answeredQuestions = critique?.questions?.filter(q => answers[q.id]?.trim()) || [];
-    let additionalContext = '';
-    
-    if (answeredQuestions.length > 0) {
-      additionalContext = answeredQuestions
-        .map(q => `Q: ${q.question}\nA: ${answers[q.id]}`)
-        .join('\n\n');
-    }
-
     try {
-      const response = await fetch('/api/analyse', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          mode: 'generate',
-          vendor: selectedVendor,
-          model: selectedModel,
-          inputText: inputText.trim(),
-          additionalContext,
-          problemContext: problemContext.trim() || null
-        })
+      const data = await postAnalyse({
+        mode: 'critique',
+        vendor: selectedVendor,
+        model: selectedModel,
+        inputText: inputText.trim(),
+        entryMode,
+        problemContext: problemContext.trim() || null,
+        previousQuestions: previousQuestions(base, answers)
+      }, (partial) => {
+        // Add the new questions below the answered ones as they arrive
+        setCritique(addCritiqueRound(base, partial));
       });
 
-      const data = await response.json();
+      setCritique(addCritiqueRound(base, data));
+      setSession(prev => prev && { ...prev, spend: addSpend(prev.spend, data.usage) });
+
+    } catch (err) {
+      setCritique(base);
+      setError(err.message);
+    } finally {
+      setIsDigging(false);
+    }
+  };
+
+  // Answered critique questions from every round, passed to generate/optimise
+  // as flat Q/A text
+  const buildAdditionalContext = () => {
+    const answeredQuestions = critique?.questions?.filter(q => answers[q.id]?.trim()) || [];
+    return answeredQuestions
+      .map(q => `Q: ${q.question}\nA: ${answers[q.id]}`)
+      .join('\n\n');
+  };
+
+  // The generate/optimise request for one target
+  const analysisFields = (vendor, model) => ({
+    mode: outputMode,
+    vendor,
+    model,
+    inputText: inputText.trim(),
+    additionalContext: buildAdditionalContext(),
+    entryMode,
+    problemContext: problemContext.trim() || null
+  });
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Request failed');
+  // This session's result for a target, if it was made from the same inputs
+  // and guidance as a new run would be - so switching back costs nothing
+  const findSessionResult = async (fields) => {
+    const entry = session?.results?.[resultKey(fields.vendor, fields.model)];
+    if (!entry?.result?.cacheKey) return null;
+    return entry.result.cacheKey === await resultCacheKey(fields) ? entry : null;
+  };
+
+  // Phase 2: Generate (or optimise) with answers
+  const runGenerate = async () => {
+    setIsLoading(true);
+    setError('');
+
+    const fields = analysisFields(selectedVendor, selectedModel);
+
+    try {
+      const saved = await findSessionResult(fields);
+      if (saved) {
+        setResult(saved.result);
+        setReused(saved);
+        setPhase('result');
+        return;
       }
 
+      const data = await postAnalyse(fields, (partial) => {
+        // Build the prompt up on screen as it streams in
+        setIsStreaming(true);
+        setResult(partial);
+        setPhase('result');
+      });
+
       setResult(data);
       setPhase('result');
       setRetryCount(0);
+      recordResult(selectedVendor, selectedModel, data);
+      versionInLibrary(selectedVendor, selectedModel, data);
 
     } catch (err) {
+      setResult(null);
+      setPhase('critique');
       setError(err.message);
       setRetryCount(prev => prev + 1);
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
-  // Regenerate for a different model
-  const regenerateForModel = async (newVendor, newModel) => {
+  // Regenerate for a different model. Earlier results for it are reused
+  // unless force is set ("Regenerate anyway").
+  const regenerateForModel = async (newVendor, newModel, { force = false } = {}) => {
     setIsRegenerating(true);
     setSelectedVendor(newVendor);
     setSelectedModel(newModel);
     setError('');
 
-    const answeredQuestions = critique?.questions?.filter(q => answers[q.id]?.trim()) || [];
-    let additionalContext = '';
-    
-    if (answeredQuestions.length > 0) {
-      additionalContext = answeredQuestions
-        .map(q => `Q: ${q.question}\nA: ${answers[q.id]}`)
-        .join('\n\n');
-    }
+    const fields = analysisFields(newVendor, newModel);
+    const previousResult = result;
 
     try {
-      const response = await fetch('/api/analyse', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          mode: 'generate',
-          vendor: newVendor,
-          model: newModel,
-          inputText: inputText.trim(),
-          additionalContext,
-          problemContext: problemContext.trim() || null
-        })
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || 'Request failed');
+      const saved = !force && await findSessionResult(fields);
+      if (saved) {
+        setResult(saved.result);
+        setReused(saved);
+        return;
       }
 
+      const data = await postAnalyse({ ...fields, noCache: force }, (partial) => {
+        setIsStreaming(true);
+        setResult(partial);
+      });
+
       setResult(data);
+      recordResult(newVendor, newModel, data);
+      versionInLibrary(newVendor, newModel, data);
 
     } catch (err) {
+      setResult(previousResult);
       setError(err.message);
     } finally {
       setIsRegenerating(false);
+      setIsStreaming(false);
+    }
+  };
+
+  // Open Compare all with the session results that are still current
+  const openCompare = async () => {
+    const current = {};
+    for (const vendor of vendors) {
+      const model = vendor === selectedVendor ? selectedModel : GUIDANCE[vendor].models[0];
+      const saved = await findSessionResult(analysisFields(vendor, model));
+      if (saved) current[resultKey(vendor, model)] = saved;
+    }
+    setCompareResults(current);
+    setShowCompare(true);
+  };
+
+  // One vendor's run for the Compare all view, with the same inputs as the main result
+  const generateForCompare = (vendor, model, onPartial, { force = false } = {}) => (
+    postAnalyse({ ...analysisFields(vendor, model), noCache: force }, onPartial)
+  );
+
+  // Adopt a compared version as the result without generating it again
+  const adoptComparedResult = (vendor, model, data) => {
+    setSelectedVendor(vendor);
+    setSelectedModel(model);
+    setResult(data);
+    setShowCompare(false);
+    versionInLibrary(vendor, model, data);
+  };
+
+  // The refine turns leading to a revision, oldest first
+  const revisionChain = (index) => {
+    const chain = [];
+    for (let i = index; i > 0; i = revisions[i - 1].basedOn) {
+      chain.unshift(revisions[i - 1]);
+    }
+    return chain;
+  };
+
+  // Apply one chat instruction to the shown revision. The new revision is
+  // added after the others, so refining an earlier one never loses later work.
+  // Errors are left to the chat to show.
+  const runRefine = async (instruction) => {
+    const vendor = selectedVendor;
+    const model = selectedModel;
+    const baseResult = result;
+    const basedOn = revisionIndex;
+
+    setRefining({ instruction, partial: null });
+
+    try {
+      const data = await postAnalyse({
+        mode: 'refine',
+        vendor,
+        model,
+        inputText: resultPrompt,
+        instruction,
+        history: revisionChain(basedOn).map(turn => ({ instruction: turn.instruction, summary: turn.summary }))
+      }, (partial) => setRefining({ instruction, partial }));
+
+      if (typeof data.refinedPrompt !== 'string' || !data.refinedPrompt.trim()) {
+        throw new Error('The analyser did not return a revised prompt. Please try again.');
+      }
+
+      const revision = {
+        instruction,
+        prompt: data.refinedPrompt,
+        changes: data.changes || [],
+        summary: data.summary || '',
+        basedOn,
+        guidanceVersion: data.guidanceVersion,
+        createdAt: new Date().toISOString()
+      };
+      const key = resultKey(vendor, model);
+      setSession(prev => {
+        const entry = prev?.results?.[key];
+        if (!entry || entry.result !== baseResult) return prev;
+        return {
+          ...prev,
+          results: { ...prev.results, [key]: { ...entry, revisions: [...(entry.revisions || []), revision] } },
+          spend: addSpend(prev.spend, data.usage)
+        };
+      });
+      setViewedRevision({ result: baseResult, index: revisions.length + 1 });
+      versionInLibrary(vendor, model, data, { source: 'refine', note: instruction });
+    } finally {
+      setRefining(null);
     }
   };
 
@@ -208,49 +515,100 @@ export default function Home() {
     setAnswers(prev => ({ ...prev, [questionId]: value }));
   };
 
+  // Open the evaluation harness with the original and improved prompts as variants
+  const evaluateAgainstOriginal = () => {
+    sessionStorage.setItem(EVALUATION_DRAFT_KEY, JSON.stringify({
+      vendor: selectedVendor,
+      model: selectedModel,
+      variants: [
+        { name: 'Original', prompt: inputText.trim() },
+        {
+          name: revisionIndex > 0 ? `Refined (revision ${revisionIndex})` : result.action === 'rebuilt' ? 'Rebuilt' : 'Optimised',
+          prompt: resultPrompt
+        }
+      ]
+    }));
+    router.push('/evaluate');
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
   };
 
   const answeredCount = critique?.questions?.filter(q => answers[q.id]?.trim()).length || 0;
   const totalQuestions = critique?.questions?.length || 0;
+  const rounds = critiqueRounds(critique);
+  const lastRound = rounds[rounds.length - 1];
+
+  // Progress steps: one per critique round, so extra rounds show between
+  // the first questions and the result
+  const steps = [
+    { key: 'input', phase: 'input' },
+    ...(rounds.length ? rounds : [{ round: 1 }]).map(r => ({ key: `critique-${r.round}`, phase: 'critique', round: r.round })),
+    { key: 'result', phase: 'result' }
+  ];
+  const currentStep = phase === 'input' ? 0 : phase === 'result' ? steps.length - 1 : steps.length - 2;
 
   return (
     <div className="min-h-screen p-4 md:p-6">
       <div className="max-w-4xl mx-auto">
         {/* Header */}
         <div className="mb-6">
-          <h1 className="text-2xl md:text-3xl font-bold text-white mb-2">Prompt Optimiser</h1>
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-2xl md:text-3xl font-bold text-white mb-2">Prompt Optimiser</h1>
+            <div className="flex gap-2">
+              <Link
+                href="/library"
+                className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+              >
+                Library
+              </Link>
+              <button
+                onClick={() => setShowHistory(true)}
+                className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+              >
+                History{history.length > 0 && ` (${history.length})`}
+              </button>
+              <OwnKeyButton />
+              <AccountMenu />
+            </div>
+          </div>
           <p className="text-slate-400 text-sm">
             {phase === 'input' && !entryMode && "Build better prompts through the right questions."}
             {phase === 'input' && entryMode === 'idea' && "Describe what you want to achieve."}
             {phase === 'input' && entryMode === 'prompt' && "Paste your prompt for assessment."}
             {phase === 'critique' && "Answer the questions that matter. Skip the rest."}
-            {phase === 'result' && "Your prompt is ready. Switch models to see it adapted."}
+            {phase === 'result' && outputMode === 'generate' && "Your prompt is ready. Switch models to see it adapted."}
+            {phase === 'result' && outputMode === 'optimise' && "Your prompt has been assessed. Switch models to see it adapted."}
           </p>
         </div>
 
         {/* Progress indicator */}
         <div className="flex items-center gap-2 mb-6">
-          {['input', 'critique', 'result'].map((p, i) => (
-            <div key={p} className="flex items-center">
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium transition-colors ${
-                phase === p ? 'bg-blue-600 text-white' :
-                ['input', 'critique', 'result'].indexOf(phase) > i ? 'bg-green-600 text-white' :
-                'bg-slate-700 text-slate-400'
-              }`}>
-                {['input', 'critique', 'result'].indexOf(phase) > i ? '✓' : i + 1}
+          {steps.map((step, i) => (
+            <div key={step.key} className="flex items-center">
+              <div
+                title={step.round > 1 ? `Round ${step.round} questions` : undefined}
+                className={`rounded-full flex items-center justify-center font-medium transition-colors ${
+                  step.round > 1 ? 'w-6 h-6 text-xs' : 'w-8 h-8 text-sm'
+                } ${
+                  currentStep === i ? 'bg-blue-600 text-white' :
+                  currentStep > i ? 'bg-green-600 text-white' :
+                  'bg-slate-700 text-slate-400'
+                }`}
+              >
+                {currentStep > i ? '✓' : step.round > 1 ? `R${step.round}` : step.phase === 'result' ? 3 : i + 1}
               </div>
-              {i < 2 && (
-                <div className={`w-8 md:w-12 h-0.5 transition-colors ${
-                  ['input', 'critique', 'result'].indexOf(phase) > i ? 'bg-green-600' : 'bg-slate-700'
+              {i < steps.length - 1 && (
+                <div className={`${steps[i + 1].round > 1 ? 'w-3 md:w-4' : 'w-8 md:w-12'} h-0.5 transition-colors ${
+                  currentStep > i ? 'bg-green-600' : 'bg-slate-700'
                 }`} />
               )}
             </div>
           ))}
           <span className="text-sm text-slate-500 ml-2">
             {phase === 'input' && (entryMode ? (entryMode === 'idea' ? 'Describe idea' : 'Paste prompt') : 'Choose entry')}
-            {phase === 'critique' && 'Answer questions'}
+            {phase === 'critique' && (rounds.length > 1 ? `Answer questions (round ${rounds.length})` : 'Answer questions')}
             {phase === 'result' && 'Done'}
           </span>
         </div>
@@ -267,7 +625,7 @@ export default function Home() {
                 <button
                   key={vendor}
                   onClick={() => handleVendorChange(vendor)}
-                  disabled={phase === 'critique' || isRegenerating}
+                  disabled={phase === 'critique' || isRegenerating || isLoading}
                   className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
                     selectedVendor === vendor
                       ? 'bg-blue-600 text-white'
@@ -289,7 +647,7 @@ export default function Home() {
             <select
               value={selectedModel}
               onChange={(e) => handleModelChange(e.target.value)}
-              disabled={phase === 'critique' || isRegenerating}
+              disabled={phase === 'critique' || isRegenerating || isLoading}
               className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {currentGuidance.models.map(model => (
@@ -339,15 +697,24 @@ export default function Home() {
               </button>
             </div>
             
-            <textarea
-              value={inputText}
-              onChange={(e) => handleInputChange(e.target.value)}
-              placeholder={entryMode === 'idea' 
-                ? "Describe what you want to achieve...\n\nExample: Write an email to my team about the project delay. Need to explain why it happened without throwing anyone under the bus, and give a realistic new timeline."
-                : "Paste your existing prompt here...\n\nWe'll assess it for gaps, unclear intent, missing constraints, and other issues before helping you improve it."
-              }
-              className="w-full h-40 bg-slate-700 border border-slate-600 rounded-lg px-4 py-3 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
-            />
+            {entryMode === 'idea' ? (
+              <textarea
+                value={inputText}
+                onChange={(e) => handleInputChange(e.target.value)}
+                placeholder="Describe what you want to achieve...\n\nExample: Write an email to my team about the project delay. Need to explain why it happened without throwing anyone under the bus, and give a realistic new timeline."
+                className="w-full h-40 bg-slate-700 border border-slate-600 rounded-lg px-4 py-3 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
+              />
+            ) : (
+              // Existing prompts are linted locally against the target vendor as you type
+              <LintedTextarea
+                value={inputText}
+                onChange={handleInputChange}
+                vendor={selectedVendor}
+                vendorName={currentGuidance.name}
+                placeholder={"Paste your existing prompt here...\n\nWe'll assess it for gaps, unclear intent, missing constraints, and other issues before helping you improve it."}
+              />
+            )}
+            <TokenEstimate text={inputText} vendor={selectedVendor} model={selectedModel} />
 
             {/* Optional "what's not working" for assess mode */}
             {entryMode === 'prompt' && (
@@ -457,59 +824,86 @@ Examples:
         {(phase === 'critique' || phase === 'result') && critique && (
           <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 mb-6">
             <h2 className="text-lg font-semibold text-white mb-4">Questions</h2>
-            
-            {critique.overallAssessment && (
-              <div className="mb-6 p-4 bg-amber-900/20 border border-amber-700/50 rounded-lg">
-                <p className="text-amber-200 text-sm">{critique.overallAssessment}</p>
-              </div>
-            )}
 
-            {critique.concerns && critique.concerns.length > 0 && (
-              <div className="mb-6">
-                <h3 className="text-sm font-medium text-red-400 mb-2">Concerns</h3>
-                <ul className="space-y-2">
-                  {critique.concerns.map((concern, i) => (
-                    <li key={i} className="text-sm text-slate-300 flex items-start gap-2">
-                      <span className="text-red-400 mt-0.5">⚠</span>
-                      {concern}
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            )}
+            {rounds.map(r => {
+              // Questions are numbered across rounds
+              const offset = critique.questions?.findIndex(q => q.id === r.questions[0]?.id) ?? 0;
+              return (
+                <div key={r.round} className={r.round > 1 ? 'mt-6 pt-6 border-t border-slate-700' : ''}>
+                  {r.round > 1 && (
+                    <h3 className="text-sm font-medium text-blue-400 mb-3">Round {r.round} - follow-up</h3>
+                  )}
 
-            <div className="space-y-4">
-              {critique.questions?.map((q, i) => (
-                <div key={q.id} className="bg-slate-700/50 rounded-lg p-4">
-                  <div className="flex items-start gap-3 mb-2">
-                    <span className="bg-slate-600 text-white text-xs font-bold px-2 py-1 rounded">
-                      {i + 1}
-                    </span>
-                    <div className="flex-1">
-                      <p className="text-white font-medium">{q.question}</p>
-                      <p className="text-slate-400 text-xs mt-1">{q.why}</p>
-                    </div>
-                  </div>
-                  {phase === 'critique' ? (
-                    <textarea
-                      value={answers[q.id] || ''}
-                      onChange={(e) => updateAnswer(q.id, e.target.value)}
-                      placeholder="Your answer (optional)"
-                      className="w-full mt-3 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
-                      rows={2}
-                    />
-                  ) : answers[q.id]?.trim() ? (
-                    <div className="mt-3 bg-slate-700 rounded-lg px-3 py-2 text-sm text-green-300">
-                      {answers[q.id]}
+                  <PartialNotice fields={r.partialFields} />
+
+                  {r.overallAssessment && (
+                    <div className="mb-6 p-4 bg-amber-900/20 border border-amber-700/50 rounded-lg">
+                      <p className="text-amber-200 text-sm">{r.overallAssessment}</p>
                     </div>
-                  ) : (
-                    <div className="mt-3 text-sm text-slate-500 italic">
-                      Skipped
+                  )}
+
+                  {r.concerns.length > 0 && (
+                    <div className="mb-6">
+                      <h3 className="text-sm font-medium text-red-400 mb-2">Concerns</h3>
+                      <ul className="space-y-2">
+                        {r.concerns.map((concern, i) => (
+                          <li key={i} className="text-sm text-slate-300 flex items-start gap-2">
+                            <span className="text-red-400 mt-0.5">⚠</span>
+                            {concern}
+                          </li>
+                        ))}
+                      </ul>
                     </div>
                   )}
+
+                  <div className="space-y-4">
+                    {r.questions.map((q, i) => (
+                      <div key={q.id || i} className="bg-slate-700/50 rounded-lg p-4">
+                        <div className="flex items-start gap-3 mb-2">
+                          <span className="bg-slate-600 text-white text-xs font-bold px-2 py-1 rounded">
+                            {offset + i + 1}
+                          </span>
+                          <div className="flex-1">
+                            <p className="text-white font-medium">{q.question}</p>
+                            <p className="text-slate-400 text-xs mt-1">{q.why}</p>
+                          </div>
+                        </div>
+                        {phase === 'critique' ? (
+                          <textarea
+                            value={answers[q.id] || ''}
+                            onChange={(e) => updateAnswer(q.id, e.target.value)}
+                            placeholder="Your answer (optional)"
+                            className="w-full mt-3 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
+                            rows={2}
+                          />
+                        ) : answers[q.id]?.trim() ? (
+                          <div className="mt-3 bg-slate-700 rounded-lg px-3 py-2 text-sm text-green-300">
+                            {answers[q.id]}
+                          </div>
+                        ) : (
+                          <div className="mt-3 text-sm text-slate-500 italic">
+                            Skipped
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
-              ))}
-            </div>
+              );
+            })}
+
+            {isDigging && (
+              <p className="mt-6 flex items-center gap-2 text-sm text-blue-400">
+                <span className="w-3 h-3 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></span>
+                Looking for gaps your answers opened up...
+              </p>
+            )}
+
+            {phase === 'critique' && !isDigging && rounds.length > 1 && lastRound.majorGaps === false && (
+              <p className="mt-6 text-sm text-green-400">
+                No major gaps left - your answers cover what matters.
+              </p>
+            )}
 
             {phase === 'critique' && (
               <>
@@ -522,22 +916,34 @@ Examples:
                   </span>
                 </div>
                 
-                <button
-                  onClick={runGenerate}
-                  disabled={isLoading}
-                  className={`mt-4 w-full py-3 rounded-lg font-semibold transition-colors ${
-                    isLoading
-                      ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
-                      : 'bg-green-600 text-white hover:bg-green-500'
-                  }`}
-                >
-                  {isLoading ? (
-                    <span className="flex items-center justify-center gap-2">
-                      <span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
-                      Generating...
-                    </span>
-                  ) : 'Generate Prompt'}
-                </button>
+                <div className="mt-4 flex gap-3">
+                  {canDigDeeper(critique) && (
+                    <button
+                      onClick={runDigDeeper}
+                      disabled={isLoading || isDigging || answeredCount === 0}
+                      title={answeredCount === 0 ? 'Answer some questions first' : 'Ask follow-up questions based on your answers'}
+                      className="px-4 py-3 rounded-lg font-semibold border border-slate-600 text-slate-300 hover:border-slate-500 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isDigging ? 'Digging...' : 'Dig deeper'}
+                    </button>
+                  )}
+                  <button
+                    onClick={runGenerate}
+                    disabled={isLoading || isDigging}
+                    className={`flex-1 py-3 rounded-lg font-semibold transition-colors ${
+                      isLoading || isDigging
+                        ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                        : 'bg-green-600 text-white hover:bg-green-500'
+                    }`}
+                  >
+                    {isLoading ? (
+                      <span className="flex items-center justify-center gap-2">
+                        <span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+                        {outputMode === 'optimise' ? 'Optimising...' : 'Generating...'}
+                      </span>
+                    ) : (outputMode === 'optimise' ? 'Optimise Prompt' : 'Generate Prompt')}
+                  </button>
+                </div>
 
                 {error && (
                   <div className="mt-4 p-3 bg-red-900/30 border border-red-700 rounded-lg">
@@ -559,42 +965,230 @@ Examples:
 
         {/* Phase 3: Result */}
         {phase === 'result' && result && (
-          <div className={`bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 ${isRegenerating ? 'opacity-50' : ''}`}>
+          <div className={`bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700 ${isRegenerating && !isStreaming ? 'opacity-50' : ''}`}>
             <div className="flex items-center justify-between mb-4">
               <div className="flex items-center gap-3">
                 <h2 className="text-lg font-semibold text-white">Your Prompt</h2>
-                {isRegenerating && (
+                {revisionIndex > 0 && !refining && (
+                  <span className="text-xs px-2 py-0.5 rounded bg-slate-700 text-slate-300">Revision {revisionIndex} of {revisions.length}</span>
+                )}
+                {(isRegenerating || isStreaming) && (
                   <span className="flex items-center gap-2 text-sm text-blue-400">
                     <span className="w-3 h-3 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></span>
-                    Adapting for {GUIDANCE[selectedVendor].name}...
+                    {isRegenerating ? `Adapting for ${GUIDANCE[selectedVendor].name}...` : 'Writing...'}
                   </span>
                 )}
               </div>
-              <button
-                onClick={() => copyToClipboard(result.generatedPrompt)}
-                disabled={isRegenerating}
-                className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-700 transition-colors disabled:opacity-50"
-              >
-                Copy
-              </button>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={openCompare}
+                  disabled={isRegenerating || isStreaming}
+                  className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-700 transition-colors disabled:opacity-50"
+                >
+                  Compare all
+                </button>
+                <button
+                  onClick={() => copyToClipboard(resultPrompt)}
+                  disabled={isRegenerating || isStreaming}
+                  className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-700 transition-colors disabled:opacity-50"
+                >
+                  Copy
+                </button>
+              </div>
             </div>
+
+            {cacheHit && !isRegenerating && !isStreaming && (
+              <div className="mb-4 flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-slate-700/40 text-xs text-slate-400">
+                <span>
+                  {cacheHit.label} ({new Date(cacheHit.at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}) - no new API call was made.
+                </span>
+                <button
+                  onClick={() => regenerateForModel(selectedVendor, selectedModel, { force: true })}
+                  className="text-blue-400 hover:text-blue-300 shrink-0"
+                >
+                  Regenerate anyway
+                </button>
+              </div>
+            )}
             
-            <div className="bg-slate-900 rounded-lg px-4 py-4 text-white font-mono text-sm whitespace-pre-wrap max-h-80 overflow-y-auto border border-slate-700">
-              {result.generatedPrompt}
+            {revisionIndex === 0 && !isRegenerating && !isStreaming && (
+              <PartialNotice
+                fields={result.partialFields}
+                onRetry={() => regenerateForModel(selectedVendor, selectedModel, { force: true })}
+              />
+            )}
+            
+            {outputMode === 'optimise' && typeof result.currentScore === 'number' && (
+              <div className="mb-4 flex items-center gap-3">
+                <div className={`w-12 h-12 rounded-lg flex flex-col items-center justify-center font-bold ${
+                  result.currentScore <= 4 ? 'bg-red-900/40 text-red-300 border border-red-700/50' :
+                  result.currentScore <= 7 ? 'bg-amber-900/40 text-amber-300 border border-amber-700/50' :
+                  'bg-green-900/40 text-green-300 border border-green-700/50'
+                }`}>
+                  <span className="text-lg leading-none">{result.currentScore}</span>
+                  <span className="text-[10px] font-normal opacity-70">/ 10</span>
+                </div>
+                <div className="flex-1">
+                  <p className="text-white text-sm font-medium">
+                    {result.action === 'rebuilt' ? 'Rebuilt from scratch' : 'Optimised'}
+                  </p>
+                  {result.reason && <p className="text-slate-400 text-xs mt-0.5">{result.reason}</p>}
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-4 mb-3 border-b border-slate-700 text-sm">
+              {[['prompt', 'Prompt'], ['diff', 'Changes from original']].map(([view, label]) => (
+                <button
+                  key={view}
+                  onClick={() => setResultView(view)}
+                  className={`pb-2 -mb-px border-b-2 transition-colors ${
+                    resultView === view
+                      ? 'border-blue-500 text-white'
+                      : 'border-transparent text-slate-400 hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
 
+            {resultView === 'diff' && !isStreaming ? (
+              <DiffView
+                key={resultPrompt}
+                original={inputText.trim()}
+                revised={resultPrompt || ''}
+                changes={resultChanges}
+                onCopy={copyToClipboard}
+              />
+            ) : (
+              <div className="bg-slate-900 rounded-lg px-4 py-4 text-white font-mono text-sm whitespace-pre-wrap max-h-80 overflow-y-auto border border-slate-700">
+                {resultPrompt}
+              </div>
+            )}
+            {!isStreaming && <TokenEstimate text={resultPrompt} vendor={selectedVendor} model={selectedModel} />}
+
             {result.summary && (
               <div className="mt-4 p-3 bg-slate-700/50 rounded-lg">
                 <p className="text-slate-300 text-sm">{result.summary}</p>
               </div>
             )}
 
+            {result.guidanceVersion && !isStreaming && (
+              <p className="mt-2 text-xs text-slate-500">
+                Guidance pack {result.guidanceVersion}
+                {result.guidanceVersion !== GUIDANCE_VERSION && ` - the guidance has changed since (now ${GUIDANCE_VERSION}), regenerate to use it`}
+              </p>
+            )}
+
+            {generatedPrompt && !isStreaming && (
+              <RefineChat
+                revisions={revisions}
+                activeIndex={revisionIndex}
+                pending={refining}
+                onSelect={(index) => setViewedRevision({ result, index })}
+                onRefine={runRefine}
+                disabled={isRegenerating || !resultEntry}
+              />
+            )}
+
+            {resultPrompt && (
+              <PlaceholderForm prompt={resultPrompt} onCopy={copyToClipboard} />
+            )}
+
+            {resultPrompt && (
+              <TestDrive
+                prompt={resultPrompt}
+                vendor={selectedVendor}
+                model={selectedModel}
+                vendorName={currentGuidance.name}
+                disabled={isStreaming || isRegenerating}
+              />
+            )}
+
+            {outputMode === 'optimise' && resultPrompt && !isStreaming && !isRegenerating && (
+              <button
+                onClick={evaluateAgainstOriginal}
+                className="mt-3 text-sm text-blue-400 hover:text-blue-300 flex items-center gap-2"
+              >
+                <span>⚖</span> A/B test against your original
+              </button>
+            )}
+
+            {resultPrompt && (
+              <SaveToLibrary
+                link={libraryLink}
+                prompt={resultPrompt}
+                vendor={selectedVendor}
+                model={selectedModel}
+                source={revisionIndex > 0 ? 'refine' : outputMode}
+                guidanceVersion={result.guidanceVersion}
+                defaultTitle={inputText.trim().split('\n')[0].slice(0, 60)}
+                onSaved={setLibraryLink}
+                disabled={isStreaming || isRegenerating}
+              />
+            )}
+
+            {session && (
+              <SharePanel
+                session={{ entryMode, inputText, problemContext, critique, answers, results: session.results }}
+                shares={session.shares || []}
+                onSharesChange={(shares) => setSession(prev => prev && { ...prev, shares })}
+                disabled={isStreaming || isRegenerating}
+              />
+            )}
+
             {error && (
               <div className="mt-4 p-3 bg-red-900/30 border border-red-700 rounded-lg">
                 <p className="text-red-400 text-sm">{error}</p>
               </div>
             )}
 
+            {resultChanges && resultChanges.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-sm font-medium text-slate-400 mb-3">Changes made</h3>
+                <div className="space-y-4">
+                  {['HIGH', 'MEDIUM', 'LOW'].map(severity => {
+                    const changes = resultChanges.filter(c => (c.severity || 'LOW').toUpperCase() === severity);
+                    if (changes.length === 0) return null;
+                    return (
+                      <div key={severity}>
+                        <p className={`text-xs font-bold mb-2 ${
+                          severity === 'HIGH' ? 'text-red-400' :
+                          severity === 'MEDIUM' ? 'text-amber-400' :
+                          'text-slate-400'
+                        }`}>
+                          {severity} ({changes.length})
+                        </p>
+                        <div className="space-y-2">
+                          {changes.map((c, i) => (
+                            <div key={i} id={`change-${resultChanges.indexOf(c)}`} className="bg-slate-700/30 rounded p-3 scroll-mt-4">
+                              <p className="text-slate-200 text-sm">{c.change}</p>
+                              {c.reason && <p className="text-slate-500 text-xs mt-1">{c.reason}</p>}
+                              {c.guideline && <p className="text-blue-400/80 text-xs mt-1">Guideline: {c.guideline}</p>}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {result.notChanged && result.notChanged.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-sm font-medium text-green-400 mb-2">Kept from your original</h3>
+                <ul className="text-sm text-slate-400 space-y-1">
+                  {result.notChanged.map((item, i) => (
+                    <li key={i} className="flex items-start gap-2">
+                      <span className="text-green-500">✓</span> {item}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {result.assumptions && result.assumptions.length > 0 && (
               <div className="mt-6">
                 <h3 className="text-sm font-medium text-yellow-400 mb-3">Assumptions made</h3>
@@ -641,7 +1235,7 @@ Examples:
                 setInputText('');
                 resetToStart();
               }}
-              disabled={isRegenerating}
+              disabled={isRegenerating || isStreaming}
               className="mt-6 w-full py-2 rounded-lg font-medium text-slate-400 border border-slate-600 hover:border-slate-500 hover:text-white transition-colors disabled:opacity-50"
             >
               Start New Prompt
@@ -649,9 +1243,47 @@ Examples:
           </div>
         )}
 
+        {showCompare && (
+          <CompareAll
+            results={compareResults}
+            selectedVendor={selectedVendor}
+            selectedModel={selectedModel}
+            run={generateForCompare}
+            onResult={recordResult}
+            onUse={adoptComparedResult}
+            onClose={() => setShowCompare(false)}
+          />
+        )}
+
+        {showHistory && (
+          <HistorySidebar
+            sessions={history}
+            activeId={session?.id}
+            onRestore={restoreSession}
+            onDelete={(id) => {
+              // Deleting the open session stops it being saved again
+              if (id === session?.id) setSession(null);
+              setHistory(deleteSession(id));
+            }}
+            onClear={() => {
+              setSession(null);
+              setHistory(clearHistory());
+            }}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
         {/* Footer */}
         <div className="mt-8 text-center text-slate-500 text-xs">
-          Optimised for {currentGuidance.name} | Guidance updated {currentGuidance.lastUpdated}
+          Optimised for {currentGuidance.name} | Guidance updated {currentGuidance.lastUpdated} | Pack {GUIDANCE_VERSION}
+          {session?.spend?.calls > 0 && (
+            <p className="mt-1">
+              Analyser spend this session: {session.spend.unpricedCalls === session.spend.calls
+                ? 'cost unknown'
+                : `${session.spend.unpricedCalls ? 'at least ' : ''}~${formatUsd(session.spend.costUsd)}`}
+              {' '}({session.spend.calls} call{session.spend.calls === 1 ? '' : 's'}, {formatTokens(session.spend.inputTokens + session.spend.outputTokens)} tokens)
+            </p>
+          )}
         </div>
       </div>
     </div>
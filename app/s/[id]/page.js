@@ -0,0 +1,123 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { GUIDANCE } from '@/lib/guidance';
+import { getShare } from '@/lib/share';
+import CopyButton from '@/components/CopyButton';
+
+// Shares can be revoked or expire at any time, so never serve a cached copy
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Shared prompt - Prompt Optimiser',
+  robots: { index: false, follow: false }
+};
+
+const formatDate = iso => new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+export default async function SharedSession({ params }) {
+  const share = await getShare(params.id);
+  if (!share) notFound();
+
+  const { snapshot, createdAt, expiresAt } = share;
+  const { critique } = snapshot;
+
+  return (
+    <div className="min-h-screen p-4 md:p-6">
+      <div className="max-w-4xl mx-auto">
+        <div className="mb-6">
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-2xl md:text-3xl font-bold text-white mb-2">Shared prompt</h1>
+            <Link
+              href="/"
+              className="text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors"
+            >
+              Make your own
+            </Link>
+          </div>
+          <p className="text-slate-400 text-sm">
+            Read-only copy shared on {formatDate(createdAt)}
+            {expiresAt && ` · expires ${formatDate(expiresAt)}`}
+          </p>
+        </div>
+
+        <div className="bg-slate-800 rounded-xl p-4 md:p-6 mb-6">
+          <h2 className="text-sm font-medium text-slate-300 mb-2">
+            {snapshot.entryMode === 'prompt' ? 'Original prompt' : 'Idea'}
+          </h2>
+          <pre className="whitespace-pre-wrap text-sm text-slate-200 font-sans">{snapshot.inputText}</pre>
+          {snapshot.problemContext && (
+            <>
+              <h3 className="text-sm font-medium text-slate-300 mt-4 mb-2">What wasn't working</h3>
+              <p className="whitespace-pre-wrap text-sm text-slate-300">{snapshot.problemContext}</p>
+            </>
+          )}
+        </div>
+
+        {critique && (
+          <div className="bg-slate-800 rounded-xl p-4 md:p-6 mb-6">
+            <h2 className="text-lg font-semibold text-white mb-2">Critique</h2>
+            {critique.overallAssessment && (
+              <p className="text-slate-300 text-sm mb-4">{critique.overallAssessment}</p>
+            )}
+
+            {critique.concerns.length > 0 && (
+              <div className="mb-6">
+                <h3 className="text-sm font-medium text-red-400 mb-2">Concerns</h3>
+                <ul className="space-y-2">
+                  {critique.concerns.map((concern, i) => (
+                    <li key={i} className="text-sm text-slate-300 flex items-start gap-2">
+                      <span className="text-red-400 mt-0.5">⚠</span>
+                      {concern}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="space-y-4">
+              {critique.questions.map((q, i) => (
+                <div key={i} className="bg-slate-700/50 rounded-lg p-4">
+                  <div className="flex items-start gap-3 mb-2">
+                    <span className="bg-slate-600 text-white text-xs font-bold px-2 py-1 rounded">
+                      {i + 1}
+                    </span>
+                    <div className="flex-1">
+                      <p className="text-white font-medium">{q.question}</p>
+                      {q.why && <p className="text-slate-400 text-xs mt-1">{q.why}</p>}
+                    </div>
+                  </div>
+                  {q.answer.trim() ? (
+                    <div className="mt-3 bg-slate-700 rounded-lg px-3 py-2 text-sm text-green-300">
+                      {q.answer}
+                    </div>
+                  ) : (
+                    <div className="mt-3 text-sm text-slate-500 italic">
+                      Skipped
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {snapshot.results.map((entry, i) => (
+          <div key={i} className="bg-slate-800 rounded-xl p-4 md:p-6 mb-6">
+            <div className="flex items-center justify-between gap-4 mb-3">
+              <h2 className="text-lg font-semibold text-white">
+                {GUIDANCE[entry.vendor]?.name || entry.vendor} · {entry.model}
+                {entry.score != null && (
+                  <span className="ml-2 text-xs font-normal text-slate-400">original scored {entry.score}/10</span>
+                )}
+              </h2>
+              <CopyButton text={entry.prompt} />
+            </div>
+            {entry.summary && <p className="text-slate-400 text-sm mb-3">{entry.summary}</p>}
+            {entry.guidanceVersion && <p className="text-slate-500 text-xs mb-3">Guidance pack {entry.guidanceVersion}</p>}
+            <pre className="whitespace-pre-wrap text-sm text-slate-200 bg-slate-900 rounded-lg p-4 font-mono">{entry.prompt}</pre>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
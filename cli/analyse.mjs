@@ -0,0 +1,83 @@
+// One analyser call from the CLI: build the request, run it on the configured
+// backend and check the JSON reply against the mode's schema (repairing it once
+// if needed). Shared by the single-file commands and check.
+//
+// With PROMPT_OPTIMISER_URL set, the call goes to that deployment's
+// /api/analyse instead, authenticated with PROMPT_OPTIMISER_API_KEY, so the
+// CLI needs no analyser API key of its own and usage lands on the key's team.
+
+import { buildAnalysisRequest } from '../lib/analysis.js';
+import { GUIDANCE_VERSION } from '../lib/guidance.js';
+import { readAnalysisReply, OutputError } from '../lib/outputSchema.js';
+import { getProvider, ProviderConfigError } from '../lib/providers/index.js';
+
+// The deployment to run through, or null to call the analyser directly
+export function remoteServer(env = process.env) {
+  if (!env.PROMPT_OPTIMISER_URL) return null;
+  return { url: env.PROMPT_OPTIMISER_URL.replace(/\/+$/, ''), apiKey: env.PROMPT_OPTIMISER_API_KEY || '' };
+}
+
+async function analyseRemotely(server, { mode, vendor, model, text, entryMode, problemContext, additionalContext }) {
+  const response = await fetch(`${server.url}/api/analyse`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(server.apiKey && { Authorization: `Bearer ${server.apiKey}` })
+    },
+    body: JSON.stringify({ mode, vendor, model, inputText: text.trim(), entryMode, problemContext, additionalContext })
+  });
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new Error(`${server.url} returned status ${response.status}, not an analyser response`);
+  }
+
+  // A bad or missing key fails every call the same way
+  if (response.status === 401 || response.status === 403) {
+    throw new ProviderConfigError(`${data.error || 'Not allowed'} (PROMPT_OPTIMISER_API_KEY)`);
+  }
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  // Just the analysis, as analyseDirectly returns it - not the server's
+  // usage and result cache bookkeeping
+  const { usage, cachedAt, cacheKey, ...result } = data;
+  return result;
+}
+
+export async function analyse(options) {
+  const server = remoteServer();
+  return server ? analyseRemotely(server, options) : analyseDirectly(options);
+}
+
+async function analyseDirectly({ mode, vendor, model, text, entryMode, problemContext, additionalContext }) {
+  const provider = getProvider();
+  const request = buildAnalysisRequest({
+    mode,
+    vendor,
+    model,
+    inputText: text.trim(),
+    entryMode,
+    problemContext,
+    additionalContext
+  });
+
+  const { text: responseText } = await provider.complete(request);
+  if (!responseText) {
+    throw new Error('Empty response from API');
+  }
+
+  let reply;
+  try {
+    reply = await readAnalysisReply({ mode, request, responseText, provider });
+  } catch (error) {
+    if (error instanceof OutputError) throw new Error('Failed to parse the analyser response. Please try again.');
+    throw error;
+  }
+
+  const { result, partialFields } = reply;
+  return { ...result, guidanceVersion: GUIDANCE_VERSION, ...(partialFields.length > 0 && { partialFields }) };
+}
@@ -0,0 +1,171 @@
+// Batch mode: lint every prompt file under one or more paths, optionally score
+// each one with the analyser, and decide pass/fail against the thresholds.
+// The report this builds is what the text, JSON, SARIF and JUnit outputs render.
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { GUIDANCE_VERSION } from '../lib/guidance.js';
+import { SEVERITIES, lintPrompt, lineColumn } from '../lib/lint.js';
+import { ProviderConfigError } from '../lib/providers/index.js';
+import { analyse } from './analyse.mjs';
+
+export const DEFAULT_EXTENSIONS = ['.prompt', '.md', '.txt'];
+export const FAIL_ON = [...SEVERITIES, 'none'];
+
+const MAX_INPUT_LENGTH = 50000;
+const SKIP_DIRS = new Set(['node_modules']);
+
+// The analyser rates its changes HIGH/MEDIUM/LOW; lint uses error/warning/info
+const CHANGE_SEVERITY = { HIGH: 'error', MEDIUM: 'warning', LOW: 'info' };
+
+// Prompt files under the given paths, sorted. Paths named directly are always
+// included; inside directories only matching extensions are, and hidden
+// directories and node_modules are skipped.
+export async function findPromptFiles(paths, extensions) {
+  const found = new Set();
+
+  const walk = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIP_DIRS.has(entry.name)) await walk(full);
+      } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+        found.add(full);
+      }
+    }
+  };
+
+  for (const target of paths) {
+    if ((await stat(target)).isDirectory()) {
+      await walk(target);
+    } else {
+      found.add(target);
+    }
+  }
+
+  return [...found].sort();
+}
+
+// Does a finding of this severity break the build?
+export function isFailing(severity, failOn) {
+  return failOn !== 'none' && SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(failOn);
+}
+
+function lintFindings(text, vendor) {
+  return lintPrompt(text, vendor).map(issue => {
+    const start = lineColumn(text, issue.start);
+    const end = lineColumn(text, issue.end);
+    return {
+      ruleId: issue.ruleId,
+      severity: issue.severity,
+      message: issue.message,
+      suggestion: issue.suggestion,
+      source: issue.source,
+      line: start.line,
+      column: start.column,
+      endLine: end.line,
+      endColumn: end.column
+    };
+  });
+}
+
+// The analyser's changes have no position in the file, so they point at line 1
+function scoreFindings(result, minScore) {
+  const findings = (result.changes || []).filter(c => c?.change).map(c => ({
+    ruleId: 'optimise',
+    severity: CHANGE_SEVERITY[(c.severity || 'LOW').toUpperCase()] || 'info',
+    message: c.change,
+    suggestion: c.reason || '',
+    source: 'Analyser optimise pass',
+    line: 1,
+    column: 1
+  }));
+
+  if (typeof minScore === 'number' && typeof result.currentScore === 'number' && result.currentScore < minScore) {
+    findings.unshift({
+      ruleId: 'min-score',
+      severity: 'error',
+      message: `Scored ${result.currentScore}/10, below the minimum of ${minScore}`,
+      suggestion: result.reason || 'Run optimise on this prompt and adopt the result',
+      source: 'Threshold set with --min-score',
+      line: 1,
+      column: 1
+    });
+  }
+
+  return findings;
+}
+
+// Relative to where check runs (normally the repo root), which is what SARIF
+// viewers expect; files outside it keep their absolute path
+function reportPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  const shown = relative.startsWith('..') || path.isAbsolute(relative) ? path.resolve(file) : relative;
+  return shown.split(path.sep).join('/');
+}
+
+async function checkFile(file, options) {
+  const entry = { path: reportPath(file), score: null, error: null, findings: [] };
+
+  const text = await readFile(file, 'utf8');
+  if (text.length > MAX_INPUT_LENGTH) {
+    entry.error = 'File too long (max 50,000 characters).';
+    return entry;
+  }
+
+  entry.findings = lintFindings(text, options.vendor);
+
+  if (options.score && text.trim()) {
+    try {
+      const result = await analyse({
+        mode: 'optimise',
+        vendor: options.vendor,
+        model: options.model,
+        text,
+        entryMode: 'prompt'
+      });
+      entry.score = typeof result.currentScore === 'number' ? result.currentScore : null;
+      entry.findings.push(...scoreFindings(result, options.minScore));
+    } catch (error) {
+      // No point carrying on if every call will fail the same way
+      if (error instanceof ProviderConfigError) throw error;
+      entry.error = `Scoring failed: ${error.message}`;
+    }
+  }
+
+  return entry;
+}
+
+// options: { paths, extensions, vendor, model, score, minScore, failOn, onProgress? }
+export async function runCheck(options) {
+  const files = await findPromptFiles(options.paths, options.extensions);
+
+  const results = [];
+  for (const [index, file] of files.entries()) {
+    options.onProgress?.(index + 1, files.length, file);
+    const entry = await checkFile(file, options);
+    entry.findings.forEach(finding => {
+      finding.failing = isFailing(finding.severity, options.failOn);
+    });
+    entry.failed = Boolean(entry.error) || entry.findings.some(f => f.failing);
+    results.push(entry);
+  }
+
+  const count = severity => results.reduce((n, r) => n + r.findings.filter(f => f.severity === severity).length, 0);
+
+  return {
+    vendor: options.vendor,
+    model: options.model,
+    guidanceVersion: GUIDANCE_VERSION,
+    thresholds: { failOn: options.failOn, minScore: options.score ? options.minScore ?? null : null },
+    files: results,
+    summary: {
+      files: results.length,
+      failed: results.filter(r => r.failed).length,
+      errors: count('error'),
+      warnings: count('warning'),
+      info: count('info')
+    }
+  };
+}
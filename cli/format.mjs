@@ -0,0 +1,109 @@
+// Human-readable output for the CLI. --json skips all of this and prints the
+// result exactly as the analyser returned it (schemas in lib/prompts.js).
+
+import { lineColumn } from '../lib/lint.js';
+
+const SEVERITY_ORDER = ['HIGH', 'MEDIUM', 'LOW'];
+
+const heading = title => `\n${title}\n${'-'.repeat(title.length)}`;
+
+function list(items, render) {
+  return (items || []).filter(Boolean).map(item => `  - ${render(item)}`).join('\n');
+}
+
+export function formatCritique(result) {
+  const lines = [result.overallAssessment || ''];
+
+  if (result.concerns?.length) {
+    lines.push(heading('Concerns'), list(result.concerns, c => c));
+  }
+
+  if (result.questions?.length) {
+    lines.push(heading('Questions'));
+    result.questions.forEach((q, i) => {
+      lines.push(`  ${i + 1}. ${q.question}`);
+      if (q.why) lines.push(`     Why: ${q.why}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+export function formatOptimise(result) {
+  const lines = [];
+
+  if (typeof result.currentScore === 'number') {
+    lines.push(`Score ${result.currentScore}/10 - ${result.action === 'rebuilt' ? 'rebuilt from scratch' : 'optimised'}`);
+  }
+  if (result.reason) lines.push(result.reason);
+
+  lines.push(heading(result.action === 'rebuilt' ? 'Rebuilt prompt' : 'Optimised prompt'), result.optimisedPrompt || '');
+
+  if (result.changes?.length) {
+    lines.push(heading('Changes'));
+    const bySeverity = [...result.changes].sort((a, b) =>
+      SEVERITY_ORDER.indexOf((a.severity || 'LOW').toUpperCase()) - SEVERITY_ORDER.indexOf((b.severity || 'LOW').toUpperCase()));
+    bySeverity.forEach(c => {
+      lines.push(`  [${(c.severity || 'LOW').toUpperCase()}] ${c.change}`);
+      if (c.reason) lines.push(`      ${c.reason}`);
+    });
+  }
+
+  if (result.assumptions?.length) {
+    lines.push(heading('Assumptions'), list(result.assumptions, a => `${a.assumption}${a.reason ? ` (${a.reason})` : ''}`));
+  }
+
+  if (result.notChanged?.length) {
+    lines.push(heading('Kept from your original'), list(result.notChanged, n => n));
+  }
+
+  if (result.summary) lines.push('', result.summary);
+  return lines.join('\n');
+}
+
+export function formatGenerate(result) {
+  const lines = [heading('Generated prompt').trimStart(), result.generatedPrompt || ''];
+
+  if (result.assumptions?.length) {
+    lines.push(heading('Assumptions'), list(result.assumptions, a => `${a.assumption}${a.reason ? ` (${a.reason})` : ''}`));
+  }
+
+  if (result.suggestions?.length) {
+    lines.push(heading('Suggestions'), list(result.suggestions, s => s));
+  }
+
+  if (result.summary) lines.push('', result.summary);
+  return lines.join('\n');
+}
+
+// One line per issue in the usual file:line:col form editors can jump to
+export function formatLint(issues, text, fileName) {
+  if (issues.length === 0) return `${fileName}: no issues`;
+
+  return issues.map(issue => {
+    const { line, column } = lineColumn(text, issue.start);
+    const fix = issue.fix ? ` (fix: ${issue.fix.label})` : '';
+    return `${fileName}:${line}:${column}  ${issue.severity.padEnd(7)}  ${issue.message}  [${issue.ruleId}]${fix}\n    ${issue.suggestion}`;
+  }).join('\n');
+}
+
+// Batch check: findings per file, then a one-line verdict
+export function formatCheck(report) {
+  const lines = report.files.map(file => {
+    const score = file.score !== null ? `  (score ${file.score}/10)` : '';
+    const header = `${file.failed ? 'FAIL' : 'ok  '}  ${file.path}${score}`;
+    const details = file.findings.map(f =>
+      `      ${file.path}:${f.line}:${f.column}  ${f.severity.padEnd(7)}  ${f.message}  [${f.ruleId}]`);
+    if (file.error) details.unshift(`      ${file.error}`);
+    return [header, ...details].join('\n');
+  });
+
+  const { summary } = report;
+  const counts = `${summary.errors} errors, ${summary.warnings} warnings, ${summary.info} info`;
+  const verdict = summary.failed
+    ? `${summary.failed} of ${summary.files} files failed`
+    : `all ${summary.files} files passed`;
+  lines.push('', `${counts} - ${verdict}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,34 @@
+// Module hooks that let Node load the app's lib/ modules unchanged. They are
+// written for the Next.js bundler: extensionless imports ('./guidance'),
+// directory imports ('./providers'), ES module syntax in .js files without
+// "type": "module" in package.json, and plain JSON imports (guidance packs).
+
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const LIB = new URL('../lib/', import.meta.url).href;
+const GUIDANCE_DIR = new URL('../guidance/', import.meta.url).href;
+
+const isRelative = specifier => specifier.startsWith('./') || specifier.startsWith('../');
+
+export async function resolve(specifier, context, nextResolve) {
+  if (context.parentURL?.startsWith(LIB) && isRelative(specifier) && !/\.[a-z]+$/i.test(specifier)) {
+    const base = new URL(specifier, context.parentURL).href;
+    const match = [`${base}.js`, `${base}/index.js`].find(url => existsSync(fileURLToPath(url)));
+    if (match) return nextResolve(match, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(LIB) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  // Node wants `with { type: 'json' }` on JSON imports; the bundler doesn't
+  if (url.startsWith(GUIDANCE_DIR) && url.endsWith('.json')) {
+    const json = await readFile(fileURLToPath(url), 'utf8');
+    return { format: 'module', source: `export default ${json};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Command-line entry point. See `prompt-optimiser --help` or the README.
+
+import { existsSync } from 'node:fs';
+import module from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+// module.register arrived in Node 20.6 and process.loadEnvFile in 20.12.
+// (register isn't imported by name, so older versions get this far.)
+const [major, minor] = process.versions.node.split('.').map(Number);
+if (major < 20 || (major === 20 && minor < 12)) {
+  console.error(`prompt-optimiser needs Node.js 20.12 or later (this is ${process.version}).`);
+  process.exit(1);
+}
+
+module.register('./hooks.mjs', import.meta.url);
+
+// Same keys as the web app; variables already set in the shell win
+const envFile = fileURLToPath(new URL('../.env.local', import.meta.url));
+if (existsSync(envFile)) {
+  process.loadEnvFile(envFile);
+}
+
+// Guidance packs are validated as lib/ loads; report a bad pack without a stack trace
+let main;
+try {
+  ({ main } = await import('./main.mjs'));
+} catch (error) {
+  if (error.name !== 'GuidancePackError') throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+
+process.exitCode = await main(process.argv.slice(2));
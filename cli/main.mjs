@@ -0,0 +1,261 @@
+// prompt-optimiser CLI: critique, optimise and generate prompts through the
+// configured analyser backend, or lint them locally - one file, or a whole
+// directory with check.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { GUIDANCE } from '../lib/guidance.js';
+import { lintPrompt, lineColumn } from '../lib/lint.js';
+import { getProvider, ProviderError, ProviderConfigError } from '../lib/providers/index.js';
+import { analyse, remoteServer } from './analyse.mjs';
+import { DEFAULT_EXTENSIONS, FAIL_ON, runCheck } from './check.mjs';
+import { formatCritique, formatOptimise, formatGenerate, formatLint, formatCheck } from './format.mjs';
+import { toSarif, toJunit } from './reporters.mjs';
+
+const USAGE = `Usage: prompt-optimiser <command> [file] [options]
+       prompt-optimiser check <path...> [options]
+
+Commands:
+  critique   Ask the questions the prompt (or idea) leaves unanswered
+  optimise   Score a prompt, then optimise or rebuild it
+  generate   Turn an idea into a structured prompt
+  lint       Check a prompt against the vendor's guidance locally (no API call)
+  check      Lint every prompt file under the given paths, for CI
+
+The input is read from [file], or from stdin when no file (or "-") is given.
+
+Options:
+  -v, --vendor <id>     ${Object.keys(GUIDANCE).join(' | ')} (default: claude)
+  -m, --model <name>    Target model (default: the vendor's first model)
+      --idea            critique: treat the input as an idea rather than a prompt
+      --context <text>  What isn't working with the current approach
+      --answers <file>  Extra context for optimise/generate, e.g. answers to critique questions
+      --json            Print the raw JSON result instead of text
+  -h, --help            Show this help
+
+Check options:
+      --ext <list>      Extensions to pick up in directories (default: ${DEFAULT_EXTENSIONS.join(',')})
+      --fail-on <level> ${FAIL_ON.join(' | ')} - lowest severity that fails (default: error)
+      --score           Also score each file with the analyser (one API call per file)
+      --min-score <n>   Fail files scoring below n out of 10 (implies --score)
+      --format <type>   text | json | sarif | junit (default: text)
+  -o, --output <file>   Write the report to a file instead of stdout
+
+Exit codes: 0 success, 1 failure (lint errors, or check thresholds not met), 2 usage error.
+The analyser backend is configured with the same environment variables as the web app.
+To run through a deployment instead, set PROMPT_OPTIMISER_URL and PROMPT_OPTIMISER_API_KEY.`;
+
+const COMMANDS = ['critique', 'optimise', 'generate', 'lint', 'check'];
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+const MAX_INPUT_LENGTH = 50000;
+
+class UsageError extends Error {}
+
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new UsageError('No input. Pass a file or pipe text on stdin.');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readInput(file) {
+  const text = !file || file === '-' ? await readStdin() : await readFile(file, 'utf8');
+  if (!text.trim()) {
+    throw new UsageError('Input is empty.');
+  }
+  if (text.length > MAX_INPUT_LENGTH) {
+    throw new UsageError('Input too long (max 50,000 characters).');
+  }
+  return text;
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      vendor: { type: 'string', short: 'v', default: 'claude' },
+      model: { type: 'string', short: 'm' },
+      idea: { type: 'boolean', default: false },
+      context: { type: 'string' },
+      answers: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      ext: { type: 'string' },
+      'fail-on': { type: 'string', default: 'error' },
+      score: { type: 'boolean', default: false },
+      'min-score': { type: 'string' },
+      format: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, file, ...extra] = positionals;
+  if (values.help) return { help: true };
+
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(command ? `Unknown command "${command}".` : 'No command given.');
+  }
+  if (extra.length > 0 && command !== 'check') {
+    throw new UsageError('Only one input file can be given.');
+  }
+
+  const guidance = GUIDANCE[values.vendor];
+  if (!guidance) {
+    throw new UsageError(`Unknown vendor "${values.vendor}". Expected one of: ${Object.keys(GUIDANCE).join(', ')}.`);
+  }
+
+  if (values.model && !guidance.models.includes(values.model)) {
+    throw new UsageError(`Unknown model "${values.model}" for ${values.vendor}. Expected one of: ${guidance.models.join(', ')}.`);
+  }
+
+  const options = { ...values, command, file, model: values.model || guidance.models[0] };
+  return command === 'check' ? { ...options, ...parseCheckOptions(values, positionals.slice(1)) } : options;
+}
+
+function parseCheckOptions(values, paths) {
+  if (paths.length === 0) {
+    throw new UsageError('check needs at least one file or directory.');
+  }
+  if (!FAIL_ON.includes(values['fail-on'])) {
+    throw new UsageError(`Unknown --fail-on level "${values['fail-on']}". Expected one of: ${FAIL_ON.join(', ')}.`);
+  }
+
+  const format = values.format || (values.json ? 'json' : 'text');
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown --format "${format}". Expected one of: ${REPORT_FORMATS.join(', ')}.`);
+  }
+
+  let minScore;
+  if (values['min-score'] !== undefined) {
+    minScore = Number(values['min-score']);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 10) {
+      throw new UsageError('--min-score must be a number from 0 to 10.');
+    }
+  }
+
+  const extensions = values.ext
+    ? values.ext.split(',').map(e => e.trim().toLowerCase()).filter(Boolean).map(e => (e.startsWith('.') ? e : `.${e}`))
+    : DEFAULT_EXTENSIONS;
+
+  return {
+    paths,
+    extensions,
+    format,
+    minScore,
+    failOn: values['fail-on'],
+    score: values.score || minScore !== undefined
+  };
+}
+
+function runLint(options, text) {
+  const issues = lintPrompt(text, options.vendor);
+
+  if (options.json) {
+    const withPositions = issues.map(issue => ({ ...issue, ...lineColumn(text, issue.start) }));
+    console.log(JSON.stringify(withPositions, null, 2));
+  } else {
+    console.log(formatLint(issues, text, options.file && options.file !== '-' ? options.file : '<stdin>'));
+  }
+
+  return issues.some(issue => issue.severity === 'error') ? 1 : 0;
+}
+
+async function runAnalysis(options, text) {
+  if (process.stderr.isTTY) {
+    const server = remoteServer();
+    if (server) {
+      process.stderr.write(`Running ${options.command} on ${server.url}...\n`);
+    } else {
+      const provider = getProvider();
+      process.stderr.write(`Running ${options.command} on ${provider.label} (${provider.model})...\n`);
+    }
+  }
+
+  const result = await analyse({
+    mode: options.command,
+    vendor: options.vendor,
+    model: options.model,
+    text,
+    entryMode: options.idea ? 'idea' : 'prompt',
+    problemContext: options.context,
+    additionalContext: options.answers ? await readFile(options.answers, 'utf8') : ''
+  });
+
+  if (result.partialFields) {
+    process.stderr.write(`Warning: incomplete after a retry - ${result.partialFields.join(', ')}\n`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    const format = { critique: formatCritique, optimise: formatOptimise, generate: formatGenerate }[options.command];
+    console.log(format(result));
+  }
+  return 0;
+}
+
+async function runBatchCheck(options) {
+  const report = await runCheck({
+    ...options,
+    onProgress: options.score && process.stderr.isTTY
+      ? (n, total, file) => process.stderr.write(`Scoring ${n}/${total} ${file}\n`)
+      : undefined
+  });
+
+  let output;
+  if (options.format === 'sarif') {
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    output = JSON.stringify(toSarif(report, pkg.version), null, 2);
+  } else if (options.format === 'junit') {
+    output = toJunit(report);
+  } else if (options.format === 'json') {
+    output = JSON.stringify(report, null, 2);
+  } else {
+    output = formatCheck(report);
+  }
+
+  if (options.output) {
+    await writeFile(options.output, `${output}\n`);
+    console.log(formatCheck(report).split('\n').pop());
+  } else {
+    console.log(output);
+  }
+
+  return report.summary.failed > 0 ? 1 : 0;
+}
+
+// Returns the process exit code
+export async function main(argv) {
+  try {
+    const options = parseOptions(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    if (options.command === 'check') {
+      return await runBatchCheck(options);
+    }
+
+    const text = await readInput(options.file);
+    return options.command === 'lint' ? runLint(options, text) : await runAnalysis(options, text);
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    if (error instanceof ProviderConfigError) {
+      console.error(`Configuration error: ${error.message}`);
+    } else if (error instanceof ProviderError) {
+      console.error(`${error.provider} API error: status ${error.status}`);
+    } else if (error.code === 'ENOENT') {
+      console.error(`File not found: ${error.path}`);
+    } else {
+      console.error(error.message);
+    }
+    return 1;
+  }
+}
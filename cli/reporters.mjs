@@ -0,0 +1,141 @@
+// SARIF and JUnit XML renderings of a check report (see check.mjs), so the
+// findings show up in code review and CI test summaries.
+
+import { rulesFor } from '../lib/lint.js';
+
+const SARIF_LEVEL = { error: 'error', warning: 'warning', info: 'note' };
+
+// Rules the analyser side of check can report, alongside the lint rules
+const EXTRA_RULES = {
+  'min-score': {
+    message: 'Prompt scored below the minimum',
+    suggestion: 'Run optimise on this prompt and adopt the result'
+  },
+  optimise: {
+    message: 'The analyser would change this prompt',
+    suggestion: 'Review the change and apply it if it fits'
+  }
+};
+
+function sarifRules(vendor, findings) {
+  const used = [...new Set(findings.map(f => f.ruleId))].sort();
+
+  return used.map(id => {
+    const rule = rulesFor(vendor).find(r => r.id === id);
+    if (!rule) {
+      return {
+        id,
+        shortDescription: { text: EXTRA_RULES[id].message },
+        help: { text: EXTRA_RULES[id].suggestion }
+      };
+    }
+    return {
+      id,
+      shortDescription: { text: rule.message },
+      fullDescription: { text: typeof rule.source === 'string' ? rule.source : rule.source[vendor] || rule.source.default },
+      help: { text: rule.suggestion },
+      defaultConfiguration: { level: SARIF_LEVEL[rule.severity] }
+    };
+  });
+}
+
+function sarifRegion(finding) {
+  const region = { startLine: finding.line, startColumn: finding.column };
+  if (finding.endLine) {
+    region.endLine = finding.endLine;
+    region.endColumn = finding.endColumn;
+  }
+  return region;
+}
+
+// SARIF 2.1.0, as read by GitHub code scanning and most review tools
+export function toSarif(report, toolVersion) {
+  const findings = report.files.flatMap(file => file.findings.map(finding => ({ file, finding })));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'prompt-optimiser',
+          version: toolVersion,
+          properties: { guidanceVersion: report.guidanceVersion },
+          rules: sarifRules(report.vendor, findings.map(f => f.finding))
+        }
+      },
+      invocations: [{
+        executionSuccessful: report.files.every(file => !file.error),
+        toolExecutionNotifications: report.files.filter(file => file.error).map(file => ({
+          level: 'error',
+          message: { text: `${file.path}: ${file.error}` }
+        }))
+      }],
+      results: findings.map(({ file, finding }) => ({
+        ruleId: finding.ruleId,
+        level: SARIF_LEVEL[finding.severity],
+        message: { text: finding.suggestion ? `${finding.message}. ${finding.suggestion}` : finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: file.path },
+            region: sarifRegion(finding)
+          }
+        }],
+        properties: { vendor: report.vendor, model: report.model, ...(file.score !== null && { score: file.score }) }
+      }))
+    }]
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+const findingLine = (file, f) => `${file.path}:${f.line}:${f.column} ${f.severity} ${f.message} [${f.ruleId}]`;
+
+// One test case per file. Failing findings make it a <failure>; the rest are
+// listed in <system-out> so they are visible without breaking the build.
+export function toJunit(report) {
+  const { summary } = report;
+  const errors = report.files.filter(file => file.error).length;
+  const failures = summary.failed - errors;
+  const suiteName = `prompt-optimiser (${report.vendor} ${report.model})`;
+
+  const cases = report.files.map(file => {
+    const failing = file.findings.filter(f => f.failing);
+    const passing = file.findings.filter(f => !f.failing);
+    const name = file.score !== null ? `${file.path} (score ${file.score}/10)` : file.path;
+
+    const body = [];
+    if (file.error) {
+      body.push(`      <error message="${escapeXml(file.error)}"/>`);
+    } else if (failing.length) {
+      const message = `${failing.length} finding${failing.length === 1 ? '' : 's'} at or above ${report.thresholds.failOn}`;
+      body.push(`      <failure message="${escapeXml(message)}" type="prompt-lint">${escapeXml(failing.map(f => findingLine(file, f)).join('\n'))}</failure>`);
+    }
+    if (passing.length) {
+      body.push(`      <system-out>${escapeXml(passing.map(f => findingLine(file, f)).join('\n'))}</system-out>`);
+    }
+
+    const open = `    <testcase classname="prompt-optimiser.${escapeXml(report.vendor)}" name="${escapeXml(name)}" file="${escapeXml(file.path)}"`;
+    return body.length ? `${open}>\n${body.join('\n')}\n    </testcase>` : `${open}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="prompt-optimiser" tests="${summary.files}" failures="${failures}" errors="${errors}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${summary.files}" failures="${failures}" errors="${errors}" skipped="0">`,
+    '    <properties>',
+    `      <property name="guidanceVersion" value="${escapeXml(report.guidanceVersion)}"/>`,
+    '    </properties>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
@@ -0,0 +1,39 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { getCurrentUser, signOut } from '@/lib/api';
+
+const LINK_CLASS = 'text-sm text-slate-400 hover:text-white px-3 py-1 rounded-lg border border-slate-700 hover:border-slate-500 transition-colors';
+
+// Who is signed in, for the page header. Renders nothing when sign-in is off;
+// when it's on and the session has gone, getCurrentUser sends the user to /login.
+export default function AccountMenu() {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(data => setUser(data.user))
+      .catch(() => {});
+  }, []);
+
+  if (!user) return null;
+
+  const leave = async () => {
+    await signOut().catch(() => {});
+    window.location.assign('/login');
+  };
+
+  return (
+    <>
+      {user.role === 'admin' && (
+        <Link href="/admin" className={LINK_CLASS}>
+          Admin
+        </Link>
+      )}
+      <button onClick={leave} title={`Signed in as ${user.email} (${user.team})`} className={LINK_CLASS}>
+        Sign out
+      </button>
+    </>
+  );
+}
@@ -0,0 +1,222 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { GUIDANCE, VENDOR_COMPARISON } from '@/lib/guidance';
+import { resultKey } from '@/lib/history';
+import { aspectLabel, analyseStructure, compareStructures, sectionPresence } from '@/lib/compare';
+import CopyButton from '@/components/CopyButton';
+
+const promptOf = result => result?.optimisedPrompt ?? result?.generatedPrompt ?? '';
+
+// Why a vendor's version looks the way it does, for the structure rows that
+// have guidance behind them
+function explanation(row, vendor) {
+  if (row.aspect) return VENDOR_COMPARISON[row.aspect]?.[vendor];
+  if (row.label === 'Delimiters') return GUIDANCE[vendor].formattingPreferences?.[0];
+  return null;
+}
+
+// Full-screen side-by-side view of the same prompt generated for every vendor.
+// Current runs from the session (results, by resultKey) are reused; the rest
+// are generated in parallel. run(vendor, model, onPartial, { force }) resolves
+// with the finished result; force skips the server's result cache.
+export default function CompareAll({ results, selectedVendor, selectedModel, run, onResult, onUse, onClose }) {
+  const [columns, setColumns] = useState(() => Object.keys(GUIDANCE).map(vendor => {
+    const model = vendor === selectedVendor ? selectedModel : GUIDANCE[vendor].models[0];
+    const saved = results?.[resultKey(vendor, model)]?.result;
+    return { vendor, model, result: saved || null, status: saved ? 'done' : 'pending', error: '', cached: Boolean(saved) };
+  }));
+
+  const update = (vendor, changes) => {
+    setColumns(prev => prev.map(c => (c.vendor === vendor ? { ...c, ...changes } : c)));
+  };
+
+  const generate = async ({ vendor, model }, force = false) => {
+    update(vendor, { status: 'running', error: '', cached: false });
+    try {
+      const data = await run(vendor, model, partial => update(vendor, { result: partial }), { force });
+      update(vendor, { result: data, status: 'done', cached: Boolean(data.cachedAt) });
+      onResult(vendor, model, data);
+    } catch (err) {
+      update(vendor, { result: null, status: 'error', error: err.message });
+    }
+  };
+
+  // Generate the columns there were no saved runs for, once on open (the ref
+  // stops a development double-mount firing every request twice)
+  const started = useRef(false);
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    columns.filter(c => c.status === 'pending').forEach(generate);
+  }, []);
+
+  const busy = columns.some(c => c.status === 'running');
+  const finished = columns.filter(c => c.status === 'done');
+  const structures = columns.map(c => (c.status === 'done' ? analyseStructure(promptOf(c.result)) : null));
+
+  // Differences are worked out across the finished columns only
+  const finishedStructures = structures.filter(Boolean);
+  const rows = compareStructures(finishedStructures);
+  const presence = sectionPresence(finishedStructures);
+  const cellFor = (row, index) => row.cells[structures.slice(0, index).filter(Boolean).length];
+  const presenceFor = index => presence[structures.slice(0, index).filter(Boolean).length];
+
+  const extraAspects = Object.keys(VENDOR_COMPARISON).filter(aspect => !rows.some(row => row.aspect === aspect));
+
+  const labelCell = 'sticky left-0 z-10 bg-slate-900 p-3 text-left text-xs font-medium text-slate-400 align-top w-36';
+
+  return (
+    <div className="fixed inset-0 z-40 flex flex-col bg-slate-900">
+      <div className="p-4 border-b border-slate-700 flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-white">Compare all vendors</h2>
+          <p className="text-xs text-slate-500 mt-1">
+            Amber cells stand out from the other versions. The grey notes are the vendor guidance behind the difference.
+          </p>
+        </div>
+        <div className="flex items-center gap-3 shrink-0">
+          <button
+            onClick={() => columns.forEach(column => generate(column, true))}
+            disabled={busy}
+            className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-800 disabled:opacity-50"
+          >
+            Regenerate all
+          </button>
+          <button onClick={onClose} className="text-sm text-slate-400 hover:text-white">Close</button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        <table className="min-w-full border-collapse text-sm">
+          <thead>
+            <tr className="border-b border-slate-700">
+              <th className={labelCell}></th>
+              {columns.map(column => (
+                <th key={column.vendor} className="p-3 text-left align-top min-w-[18rem]">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <p className="text-white font-semibold">{GUIDANCE[column.vendor].name}</p>
+                      <p className="text-xs text-slate-500 font-normal">{column.model}</p>
+                    </div>
+                    {column.status === 'done' && (
+                      <button
+                        onClick={() => onUse(column.vendor, column.model, column.result)}
+                        className="text-xs px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-500 font-normal"
+                      >
+                        Use this
+                      </button>
+                    )}
+                  </div>
+                  <div className="mt-2 text-xs font-normal">
+                    {column.status === 'running' && (
+                      <span className="flex items-center gap-2 text-blue-400">
+                        <span className="w-3 h-3 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></span>
+                        Writing...
+                      </span>
+                    )}
+                    {column.status === 'error' && (
+                      <span className="text-red-400">
+                        {column.error}{' '}
+                        <button onClick={() => generate(column)} className="underline text-red-300 hover:text-red-200">Retry</button>
+                      </span>
+                    )}
+                    {column.status === 'done' && (
+                      <span className="flex items-center gap-2">
+                        {column.cached && <span className="px-1.5 py-0.5 rounded bg-slate-700 text-slate-300" title="No new API call was made">Cached</span>}
+                        <button onClick={() => generate(column, true)} disabled={busy} className="text-slate-500 hover:text-slate-300 disabled:opacity-50">
+                          {column.cached ? 'Regenerate anyway' : 'Regenerate'}
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+
+          <tbody>
+            {finished.length > 0 && rows.map(row => (
+              <tr key={row.label} className="border-b border-slate-800">
+                <th className={labelCell}>{row.label}</th>
+                {columns.map((column, i) => {
+                  const cell = structures[i] && cellFor(row, i);
+                  const why = explanation(row, column.vendor);
+                  return (
+                    <td key={column.vendor} className="p-3 align-top">
+                      {cell ? (
+                        <span className={cell.differs ? 'px-1.5 py-0.5 rounded bg-amber-900/40 text-amber-300' : 'text-slate-200'}>
+                          {cell.value}
+                        </span>
+                      ) : <span className="text-slate-600">-</span>}
+                      {why && <p className="text-xs text-slate-500 mt-1">{why}</p>}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+
+            {finished.length > 0 && (
+              <tr className="border-b border-slate-800">
+                <th className={labelCell}>Section order</th>
+                {columns.map((column, i) => {
+                  if (!structures[i]) return <td key={column.vendor} className="p-3 text-slate-600">-</td>;
+                  const { partial, missing } = presenceFor(i);
+                  return (
+                    <td key={column.vendor} className="p-3 align-top">
+                      <div className="flex flex-wrap gap-1">
+                        {structures[i].sections.map(section => (
+                          <span
+                            key={section.key}
+                            title={section.key === section.name.toLowerCase() ? undefined : `Grouped as "${section.key}"`}
+                            className={`text-[11px] px-2 py-0.5 rounded ${
+                              partial.has(section.key) ? 'bg-amber-900/40 text-amber-300' : 'bg-slate-700 text-slate-300'
+                            }`}
+                          >
+                            {section.name}
+                          </span>
+                        ))}
+                        {missing.map(key => (
+                          <span key={key} title="Every other version has this section" className="text-[11px] px-2 py-0.5 rounded border border-slate-700 text-slate-500 line-through">
+                            {key}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  );
+                })}
+              </tr>
+            )}
+
+            {extraAspects.map(aspect => (
+              <tr key={aspect} className="border-b border-slate-800">
+                <th className={labelCell}>{aspectLabel(aspect)}</th>
+                {columns.map(column => (
+                  <td key={column.vendor} className="p-3 align-top text-xs text-slate-400">
+                    {VENDOR_COMPARISON[aspect][column.vendor] || '-'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+
+            <tr>
+              <th className={labelCell}>Prompt</th>
+              {columns.map(column => (
+                <td key={column.vendor} className="p-3 align-top">
+                  {promptOf(column.result) ? (
+                    <>
+                      <div className="bg-slate-800 rounded-lg px-3 py-3 text-white font-mono text-xs whitespace-pre-wrap max-h-[28rem] overflow-y-auto border border-slate-700">
+                        {promptOf(column.result)}
+                      </div>
+                      {column.status === 'done' && <CopyButton text={promptOf(column.result)} className="mt-2" />}
+                    </>
+                  ) : <span className="text-slate-600">-</span>}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+'use client';
+
+import { useState } from 'react';
+
+export default function CopyButton({ text, label = 'Copy', className = '' }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // Clipboard blocked (e.g. insecure context) - the text is still selectable
+    }
+  };
+
+  return (
+    <button
+      onClick={copy}
+      className={`text-sm px-3 py-1 rounded-lg bg-slate-700 text-slate-200 hover:bg-slate-600 transition-colors ${className}`}
+    >
+      {copied ? 'Copied' : label}
+    </button>
+  );
+}
@@ -0,0 +1,157 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { diffPrompts, mergeHunks, linkChangesToHunks } from '@/lib/diff';
+
+// Unchanged runs longer than this are collapsed to their first and last lines
+const CONTEXT_LINES = 3;
+
+function EqualLines({ lines }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (expanded || lines.length <= CONTEXT_LINES * 2 + 1) {
+    return <div className="text-slate-500 whitespace-pre-wrap">{lines.join('\n')}</div>;
+  }
+
+  return (
+    <div className="text-slate-500 whitespace-pre-wrap">
+      {lines.slice(0, CONTEXT_LINES).join('\n')}
+      <button
+        onClick={() => setExpanded(true)}
+        className="block w-full my-1 py-0.5 text-xs text-slate-400 bg-slate-800 hover:bg-slate-700 rounded"
+      >
+        … {lines.length - CONTEXT_LINES * 2} unchanged lines
+      </button>
+      {lines.slice(-CONTEXT_LINES).join('\n')}
+    </div>
+  );
+}
+
+// One side of a hunk with the changed words emphasised
+function HunkSide({ words, side }) {
+  const hidden = side === 'removed' ? 'add' : 'remove';
+  const changed = side === 'removed' ? 'remove' : 'add';
+
+  return (
+    <div className={`whitespace-pre-wrap px-2 py-1 rounded ${
+      side === 'removed' ? 'bg-red-900/20 text-red-200' : 'bg-green-900/20 text-green-200'
+    }`}>
+      {words.filter(w => w.type !== hidden).map((w, i) => (
+        <span
+          key={i}
+          className={w.type === changed ? (side === 'removed' ? 'bg-red-700/50 line-through' : 'bg-green-700/50') : ''}
+        >
+          {w.value}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default function DiffView({ original, revised, changes = [], onCopy }) {
+  const [layout, setLayout] = useState('inline');
+  const [decisions, setDecisions] = useState({});
+
+  const segments = useMemo(() => diffPrompts(original, revised), [original, revised]);
+  const links = useMemo(() => linkChangesToHunks(segments, changes), [segments, changes]);
+  const hunks = segments.filter(s => s.type === 'hunk');
+  const rejectedCount = hunks.filter(h => decisions[h.id] === false).length;
+
+  const setAll = (accepted) => {
+    setDecisions(Object.fromEntries(hunks.map(h => [h.id, accepted])));
+  };
+
+  const renderHunkControls = (hunk) => {
+    const accepted = decisions[hunk.id] !== false;
+    const changeIndex = links[hunk.id];
+    const change = changeIndex !== undefined ? changes[changeIndex] : null;
+
+    return (
+      <div className="flex items-center justify-between gap-2 mb-1">
+        {change ? (
+          <a href={`#change-${changeIndex}`} className="text-xs text-blue-400 hover:text-blue-300 truncate">
+            ↳ {change.severity ? `${change.severity}: ` : ''}{change.change}
+          </a>
+        ) : <span />}
+        <div className="flex gap-1 shrink-0">
+          <button
+            onClick={() => setDecisions(prev => ({ ...prev, [hunk.id]: true }))}
+            className={`text-xs px-2 py-0.5 rounded ${accepted ? 'bg-green-700 text-white' : 'bg-slate-700 text-slate-400 hover:text-white'}`}
+          >
+            Accept
+          </button>
+          <button
+            onClick={() => setDecisions(prev => ({ ...prev, [hunk.id]: false }))}
+            className={`text-xs px-2 py-0.5 rounded ${!accepted ? 'bg-red-700 text-white' : 'bg-slate-700 text-slate-400 hover:text-white'}`}
+          >
+            Reject
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex rounded-lg overflow-hidden border border-slate-600">
+          {['inline', 'split'].map(l => (
+            <button
+              key={l}
+              onClick={() => setLayout(l)}
+              className={`px-3 py-1 text-xs capitalize ${layout === l ? 'bg-slate-600 text-white' : 'bg-slate-800 text-slate-400 hover:text-white'}`}
+            >
+              {l}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-3 text-xs">
+          <span className="text-slate-500">
+            {hunks.length - rejectedCount} of {hunks.length} changes accepted
+          </span>
+          <button onClick={() => setAll(true)} className="text-slate-400 hover:text-white">Accept all</button>
+          <button onClick={() => setAll(false)} className="text-slate-400 hover:text-white">Reject all</button>
+          <button
+            onClick={() => onCopy(mergeHunks(segments, decisions))}
+            className="text-blue-400 hover:text-blue-300 px-2 py-1 rounded hover:bg-slate-700"
+          >
+            Copy merged
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-slate-900 rounded-lg px-4 py-4 font-mono text-sm max-h-96 overflow-y-auto border border-slate-700 space-y-2">
+        {hunks.length === 0 && (
+          <p className="text-slate-500 font-sans">No changes from the original.</p>
+        )}
+        {segments.map((segment, i) => {
+          if (segment.type === 'equal') {
+            return layout === 'split' ? (
+              <div key={i} className="grid grid-cols-2 gap-2">
+                <EqualLines lines={segment.lines} />
+                <EqualLines lines={segment.lines} />
+              </div>
+            ) : (
+              <EqualLines key={i} lines={segment.lines} />
+            );
+          }
+
+          const rejected = decisions[segment.id] === false;
+          return (
+            <div key={segment.id} className="border-l-2 border-slate-600 pl-2">
+              {renderHunkControls(segment)}
+              <div className={layout === 'split' ? 'grid grid-cols-2 gap-2' : 'space-y-1'}>
+                <div className={rejected ? '' : 'opacity-60'}>
+                  {segment.removed.length > 0 && <HunkSide words={segment.words} side="removed" />}
+                </div>
+                <div className={rejected ? 'opacity-40' : ''}>
+                  {segment.added.length > 0 && <HunkSide words={segment.words} side="added" />}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+'use client';
+
+import { evaluationToCsv } from '@/lib/evaluation';
+import { download } from '@/lib/download';
+
+function scoreClass(score, max) {
+  if (typeof score !== 'number') return 'text-slate-500';
+  const ratio = score / max;
+  if (ratio <= 0.4) return 'text-red-400';
+  if (ratio <= 0.7) return 'text-amber-400';
+  return 'text-green-400';
+}
+
+export default function EvaluationReport({ report }) {
+  const stamp = report.createdAt.slice(0, 19).replace(/[:T]/g, '-');
+  const variantName = index => (index === null ? null : report.variants[index].name);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-lg font-semibold text-white">Results</h2>
+          <div className="flex gap-2">
+            <button
+              onClick={() => download(`evaluation-${stamp}.json`, JSON.stringify(report, null, 2), 'application/json')}
+              className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-700 transition-colors"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={() => download(`evaluation-${stamp}.csv`, evaluationToCsv(report), 'text/csv')}
+              className="text-sm text-blue-400 hover:text-blue-300 px-3 py-1 rounded hover:bg-slate-700 transition-colors"
+            >
+              Export CSV
+            </button>
+          </div>
+        </div>
+
+        <p className="text-xs text-slate-500 mb-1">
+          Ran on {report.ranOn.provider} · {report.ranOn.model}. Judged by {report.judgedBy.provider} · {report.judgedBy.model}.
+          {report.guidanceVersion && ` Rubric from guidance pack ${report.guidanceVersion}.`}
+        </p>
+        {report.ranOn.note && <p className="text-xs text-amber-400/80 mb-3">{report.ranOn.note}</p>}
+
+        <p className="text-white text-sm mt-3 mb-4">
+          {report.winner !== null
+            ? <>Overall winner: <span className="font-semibold text-green-400">{variantName(report.winner)}</span></>
+            : 'No clear overall winner.'}
+          {report.disagreements > 0 && (
+            <span className="text-amber-400 ml-2">
+              {report.disagreements} case{report.disagreements === 1 ? '' : 's'} where criteria disagreed
+            </span>
+          )}
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-400 border-b border-slate-700">
+                <th className="py-2 pr-4 font-medium">Variant</th>
+                <th className="py-2 pr-4 font-medium">Mean (1-10)</th>
+                <th className="py-2 pr-4 font-medium">Wins</th>
+                {report.rubric.map(c => (
+                  <th key={c.id} className="py-2 pr-4 font-medium whitespace-nowrap" title={c.description}>{c.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.aggregate.map((a, i) => (
+                <tr key={i} className="border-b border-slate-700/50">
+                  <td className="py-2 pr-4 text-white">
+                    {a.variant}
+                    {a.failures > 0 && <span className="text-red-400 text-xs ml-2">{a.failures} failed</span>}
+                  </td>
+                  <td className={`py-2 pr-4 font-mono ${scoreClass(a.meanOverall, 10)}`}>{a.meanOverall ?? '-'}</td>
+                  <td className="py-2 pr-4 font-mono text-slate-300">{a.wins}</td>
+                  {report.rubric.map(c => (
+                    <td key={c.id} className={`py-2 pr-4 font-mono ${scoreClass(a.meanByCriterion[c.id], 5)}`}>
+                      {a.meanByCriterion[c.id] ?? '-'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {report.cases.map((c, caseIndex) => (
+        <div key={caseIndex} className="bg-slate-800 rounded-xl p-4 md:p-6 border border-slate-700">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h3 className="text-white font-semibold">Case {caseIndex + 1}</h3>
+            <div className="flex gap-2 text-xs">
+              {c.winner !== null
+                ? <span className="px-2 py-1 rounded bg-green-900/40 text-green-300">Winner: {variantName(c.winner)}</span>
+                : <span className="px-2 py-1 rounded bg-slate-700 text-slate-400">Tie</span>}
+              {c.disagreement && <span className="px-2 py-1 rounded bg-amber-900/40 text-amber-300">Criteria disagree</span>}
+            </div>
+          </div>
+
+          <div className="bg-slate-700/50 rounded-lg px-4 py-2 text-slate-300 text-sm whitespace-pre-wrap mb-4 max-h-32 overflow-y-auto">
+            {c.input || <span className="italic text-slate-500">(no input - prompt run on its own)</span>}
+          </div>
+
+          {c.disagreement && (
+            <ul className="text-xs text-amber-300/80 mb-4 space-y-1">
+              {report.rubric.map(r => (
+                <li key={r.id}>
+                  {r.name}: {variantName(c.criterionWinners[r.id]) || 'tie'}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className={`grid gap-3 ${c.outputs.length > 1 ? 'md:grid-cols-2' : ''}`}>
+            {c.outputs.map(o => (
+              <div
+                key={o.variantIndex}
+                className={`rounded-lg p-3 border ${c.winner === o.variantIndex ? 'border-green-700/60' : 'border-slate-700'}`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium text-white">{o.variant}</span>
+                  <span className={`text-sm font-mono ${scoreClass(o.overall, 10)}`}>
+                    {o.overall ?? '-'}/10
+                  </span>
+                </div>
+                {o.error && <p className="text-red-400 text-sm mb-2">{o.error}</p>}
+                {o.output && (
+                  <>
+                    <div className="bg-slate-900 rounded px-3 py-2 text-slate-200 text-xs whitespace-pre-wrap max-h-60 overflow-y-auto mb-2">
+                      {o.output}
+                    </div>
+                    <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+                      {report.rubric.map(r => (
+                        <span key={r.id} className="text-slate-500">
+                          {r.name}: <span className={scoreClass(o.scores[r.id], 5)}>{o.scores[r.id] ?? '-'}</span>
+                        </span>
+                      ))}
+                    </div>
+                    {o.notes && <p className="text-slate-400 text-xs mt-2">{o.notes}</p>}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+'use client';
+
+import { useState } from 'react';
+import { GUIDANCE } from '@/lib/guidance';
+import { searchHistory } from '@/lib/history';
+
+const PHASE_LABELS = {
+  critique: 'Answering questions',
+  result: 'Finished'
+};
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Slide-over list of saved sessions with search, restore and delete
+export default function HistorySidebar({ sessions, activeId, onRestore, onDelete, onClear, onClose }) {
+  const [query, setQuery] = useState('');
+  const matches = searchHistory(sessions, query);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative w-full max-w-md h-full bg-slate-900 border-l border-slate-700 flex flex-col">
+        <div className="p-4 border-b border-slate-700">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-white">History</h2>
+            <button onClick={onClose} className="text-sm text-slate-400 hover:text-white">Close</button>
+          </div>
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search ideas, answers and prompts..."
+            autoFocus
+            className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+          <p className="text-xs text-slate-500 mt-2">Saved in this browser only.</p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {matches.length === 0 && (
+            <p className="text-sm text-slate-500 text-center mt-8">
+              {sessions.length === 0 ? 'No saved sessions yet.' : 'No sessions match your search.'}
+            </p>
+          )}
+
+          {matches.map(session => (
+            <div
+              key={session.id}
+              className={`rounded-lg p-3 border ${
+                session.id === activeId ? 'border-blue-600 bg-slate-800' : 'border-slate-700 bg-slate-800/50'
+              }`}
+            >
+              <button onClick={() => onRestore(session)} className="w-full text-left">
+                <p className="text-sm text-white line-clamp-2">{session.inputText}</p>
+                <div className="flex items-center gap-2 mt-2 text-xs text-slate-500">
+                  <span>{session.entryMode === 'prompt' ? '📝' : '💡'}</span>
+                  <span>{formatDate(session.updatedAt)}</span>
+                  <span className={session.phase === 'result' ? 'text-green-500' : 'text-amber-500'}>
+                    {PHASE_LABELS[session.phase] || session.phase}
+                  </span>
+                </div>
+              </button>
+
+              <div className="flex items-center justify-between mt-2">
+                <div className="flex flex-wrap gap-1">
+                  {Object.entries(session.results || {}).map(([key, entry]) => (
+                    <button
+                      key={key}
+                      onClick={() => onRestore(session, key)}
+                      className="text-[11px] px-2 py-0.5 rounded bg-slate-700 text-slate-300 hover:bg-slate-600"
+                    >
+                      {GUIDANCE[entry.vendor]?.name || entry.vendor} · {entry.model}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={() => onDelete(session.id)}
+                  className="text-xs text-slate-500 hover:text-red-400 shrink-0 ml-2"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {sessions.length > 0 && (
+          <div className="p-4 border-t border-slate-700">
+            <button
+              onClick={() => {
+                if (window.confirm('Delete all saved sessions?')) onClear();
+              }}
+              className="text-sm text-slate-500 hover:text-red-400"
+            >
+              Clear all history
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+'use client';
+
+import { useMemo, useRef, useState } from 'react';
+import { lintPrompt, applyFix, applyAllFixes, SEVERITIES } from '@/lib/lint';
+
+const UNDERLINE = {
+  error: 'decoration-red-400',
+  warning: 'decoration-amber-400',
+  info: 'decoration-sky-400'
+};
+
+const DOT = {
+  error: 'bg-red-400',
+  warning: 'bg-amber-400',
+  info: 'bg-sky-400'
+};
+
+// Split text at every issue boundary; each piece takes the most severe issue covering it
+function underlineSegments(text, issues) {
+  const cuts = new Set([0, text.length]);
+  issues.forEach(i => {
+    cuts.add(i.start);
+    cuts.add(i.end);
+  });
+  const points = [...cuts].sort((a, b) => a - b);
+
+  return points.slice(0, -1).map((start, index) => {
+    const end = points[index + 1];
+    const covering = issues.filter(i => i.start <= start && i.end >= end);
+    const severity = covering.length
+      ? SEVERITIES.find(s => covering.some(i => i.severity === s))
+      : null;
+    return { text: text.slice(start, end), severity };
+  });
+}
+
+// Textarea that lints as you type. Problems are underlined by a mirrored layer
+// behind the (transparent) textarea, and listed below with quick-fixes.
+export default function LintedTextarea({ value, onChange, vendor, vendorName, placeholder }) {
+  const textareaRef = useRef(null);
+  const backdropRef = useRef(null);
+  const [showIssues, setShowIssues] = useState(false);
+
+  const issues = useMemo(() => lintPrompt(value, vendor), [value, vendor]);
+  const fixable = issues.filter(i => i.fix);
+  const segments = useMemo(() => underlineSegments(value, issues), [value, issues]);
+
+  const syncScroll = () => {
+    backdropRef.current.scrollTop = textareaRef.current.scrollTop;
+  };
+
+  // Put the cursor on the problem so it can be edited by hand
+  const selectIssue = (issue) => {
+    const textarea = textareaRef.current;
+    textarea.focus();
+    textarea.setSelectionRange(issue.start, issue.end);
+  };
+
+  return (
+    <div>
+      <div className="relative h-40 bg-slate-700 rounded-lg">
+        <div
+          ref={backdropRef}
+          aria-hidden="true"
+          className="absolute inset-0 overflow-hidden border border-transparent px-4 py-3 text-sm text-transparent whitespace-pre-wrap break-words pointer-events-none"
+        >
+          {segments.map((segment, i) => (
+            <span
+              key={i}
+              className={segment.severity ? `underline decoration-wavy decoration-2 underline-offset-4 ${UNDERLINE[segment.severity]}` : ''}
+            >
+              {segment.text}
+            </span>
+          ))}
+          {/* Keeps a trailing newline from collapsing so scroll heights match */}
+          {'\n'}
+        </div>
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={syncScroll}
+          placeholder={placeholder}
+          spellCheck={false}
+          className="relative w-full h-full bg-transparent border border-slate-600 rounded-lg px-4 py-3 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm break-words"
+        />
+      </div>
+
+      {issues.length > 0 && (
+        <div className="mt-2">
+          <div className="flex items-center justify-between text-xs">
+            <button
+              onClick={() => setShowIssues(prev => !prev)}
+              className="text-slate-400 hover:text-white flex items-center gap-2"
+            >
+              {SEVERITIES.filter(s => issues.some(i => i.severity === s)).map(s => (
+                <span key={s} className={`w-2 h-2 rounded-full ${DOT[s]}`} />
+              ))}
+              {issues.length} {issues.length === 1 ? 'suggestion' : 'suggestions'} for {vendorName}
+              <span>{showIssues ? '▲' : '▼'}</span>
+            </button>
+            {fixable.length > 0 && (
+              <button
+                onClick={() => onChange(applyAllFixes(value, issues))}
+                className="text-blue-400 hover:text-blue-300"
+              >
+                Fix all ({fixable.length})
+              </button>
+            )}
+          </div>
+
+          {showIssues && (
+            <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+              {issues.map((issue, i) => (
+                <li key={i} className="flex items-start gap-2 text-xs bg-slate-700/40 rounded px-2 py-1.5">
+                  <span className={`w-2 h-2 rounded-full mt-1 flex-shrink-0 ${DOT[issue.severity]}`} />
+                  <button onClick={() => selectIssue(issue)} className="flex-1 text-left">
+                    <span className="text-slate-200">{issue.message}</span>
+                    <span className="text-slate-500 font-mono ml-2">
+                      “{value.slice(issue.start, issue.end).slice(0, 40)}{issue.end - issue.start > 40 ? '…' : ''}”
+                    </span>
+                    <span className="block text-slate-500">{issue.suggestion}</span>
+                  </button>
+                  {issue.fix && (
+                    <button
+                      onClick={() => onChange(applyFix(value, issue))}
+                      className="text-blue-400 hover:text-blue-300 whitespace-nowrap"
+                    >
+                      {issue.fix.label}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
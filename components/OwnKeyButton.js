@@ -0,0 +1,96 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { OWN_KEY_PROVIDERS, loadOwnKey, saveOwnKey, clearOwnKey } from '@/lib/ownKey';
+
+// Header button for entering your own provider API key. The key stays in
+// this tab's sessionStorage and goes with each analyser request (see ownKey.js).
+export default function OwnKeyButton() {
+  const [ownKey, setOwnKey] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [provider, setProvider] = useState('anthropic');
+  const [apiKey, setApiKey] = useState('');
+
+  // sessionStorage only exists in the browser, so read it after mounting
+  useEffect(() => {
+    setOwnKey(loadOwnKey());
+  }, []);
+
+  const open = () => {
+    setProvider(ownKey?.provider || 'anthropic');
+    setApiKey('');
+    setIsOpen(true);
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    saveOwnKey(provider, apiKey);
+    setOwnKey(loadOwnKey());
+    setApiKey('');
+    setIsOpen(false);
+  };
+
+  const remove = () => {
+    clearOwnKey();
+    setOwnKey(null);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => (isOpen ? setIsOpen(false) : open())}
+        className={`text-sm px-3 py-1 rounded-lg border transition-colors ${
+          ownKey
+            ? 'text-emerald-300 border-emerald-700 hover:border-emerald-500'
+            : 'text-slate-400 hover:text-white border-slate-700 hover:border-slate-500'
+        }`}
+      >
+        {ownKey ? `Your ${OWN_KEY_PROVIDERS[ownKey.provider]} key` : 'Use your own key'}
+      </button>
+
+      {isOpen && (
+        <form
+          onSubmit={save}
+          className="absolute right-0 mt-2 w-80 z-20 p-4 bg-slate-800 rounded-lg border border-slate-700 shadow-xl space-y-3"
+        >
+          <p className="text-xs text-slate-400">
+            Run the analyser on your own API key instead of this site&apos;s. It&apos;s kept in this browser tab until you close it and sent with each request. The server never logs or stores it.
+          </p>
+          <select
+            value={provider}
+            onChange={(e) => setProvider(e.target.value)}
+            className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm"
+          >
+            {Object.entries(OWN_KEY_PROVIDERS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="password"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+            placeholder={ownKey ? 'Enter a new key to replace it' : 'API key'}
+            autoComplete="off"
+            required
+            className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <div className="flex items-center justify-between">
+            {ownKey ? (
+              <button type="button" onClick={remove} className="text-sm text-red-400 hover:text-red-300">
+                Remove key
+              </button>
+            ) : <span />}
+            <button
+              type="submit"
+              disabled={!apiKey.trim()}
+              className="px-4 py-1.5 rounded-lg text-sm font-semibold bg-blue-600 text-white hover:bg-blue-500 disabled:bg-slate-600 disabled:text-slate-400"
+            >
+              Save
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
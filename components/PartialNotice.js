@@ -0,0 +1,36 @@
+'use client';
+
+// What each field of an analyser reply is called in the UI
+const FIELD_LABELS = {
+  overallAssessment: 'assessment',
+  concerns: 'concerns',
+  majorGaps: 'gap check',
+  currentScore: 'score',
+  action: 'optimise/rebuild decision',
+  optimisedPrompt: 'prompt',
+  generatedPrompt: 'prompt',
+  refinedPrompt: 'prompt',
+  changes: 'list of changes',
+  notChanged: 'what was kept',
+  structure: 'structure notes'
+};
+
+// Shown when parts of the analyser's reply were missing or malformed even
+// after the server's repair retry. fields are the reply's field names.
+export default function PartialNotice({ fields, onRetry, disabled }) {
+  if (!fields?.length) return null;
+  const labels = [...new Set(fields.map(field => FIELD_LABELS[field] || field))];
+
+  return (
+    <div className="mb-4 flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-amber-900/20 border border-amber-700/50 text-xs text-amber-200">
+      <span>
+        Part of the reply came back incomplete: {labels.join(', ')}. The rest is shown as it arrived.
+      </span>
+      {onRetry && (
+        <button onClick={onRetry} disabled={disabled} className="text-amber-300 hover:text-amber-200 underline shrink-0 disabled:opacity-50">
+          Try again
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { findPlaceholders, placeholderFields, fillPlaceholders, toTemplate, splitOnPlaceholders } from '@/lib/placeholders';
+import { download } from '@/lib/download';
+
+// Turns the prompt's [slots], {{slots}} and <slots> into a form, with a preview
+// and export as a reusable template or with the values filled in
+export default function PlaceholderForm({ prompt, onCopy }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+
+  // Kept across regenerations: switching model usually keeps the same slots
+  const [values, setValues] = useState({});
+
+  const fields = useMemo(() => placeholderFields(findPlaceholders(prompt)), [prompt]);
+  const filledCount = fields.filter(f => values[f.key]?.trim()).length;
+
+  if (fields.length === 0) return null;
+
+  const filled = () => fillPlaceholders(prompt, values);
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="mt-4 text-sm text-blue-400 hover:text-blue-300 flex items-center gap-2"
+      >
+        <span>✎</span> Fill in {fields.length} placeholder{fields.length === 1 ? '' : 's'}
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-slate-700/30 rounded-lg border border-slate-700">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-white">
+          Placeholders <span className="text-slate-500 font-normal">({filledCount} of {fields.length} filled)</span>
+        </h3>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-xs text-slate-500 hover:text-slate-300"
+        >
+          Close
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        Blank fields stay as placeholders. Export as a template to reuse the prompt with other values.
+      </p>
+
+      <div className="space-y-3">
+        {fields.map(field => (
+          <div key={field.key}>
+            <label className="block text-xs text-slate-400 mb-1">
+              {field.label}
+              {field.count > 1 && <span className="text-slate-500 ml-1">(used {field.count} times)</span>}
+            </label>
+            <textarea
+              value={values[field.key] || ''}
+              onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+              rows={1}
+              className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-y text-sm"
+            />
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setShowPreview(prev => !prev)}
+        className="mt-4 text-sm text-blue-400 hover:text-blue-300"
+      >
+        {showPreview ? 'Hide preview' : 'Preview filled prompt'}
+      </button>
+
+      {showPreview && (
+        <div className="mt-2 bg-slate-900 rounded-lg px-4 py-4 text-white font-mono text-sm whitespace-pre-wrap max-h-80 overflow-y-auto border border-slate-700">
+          {splitOnPlaceholders(prompt).map((piece, i) => {
+            if (!piece.placeholder) return <span key={i}>{piece.text}</span>;
+
+            const value = values[piece.placeholder.key];
+            return value?.trim()
+              ? <span key={i} className="bg-green-900/40 text-green-200 rounded">{value}</span>
+              : <span key={i} className="bg-amber-900/40 text-amber-200 rounded">{piece.text}</span>;
+          })}
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2 text-sm">
+        <button
+          onClick={() => onCopy(filled())}
+          className="px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-500"
+        >
+          Copy filled
+        </button>
+        <button
+          onClick={() => download('prompt.txt', filled(), 'text/plain')}
+          className="px-3 py-1 rounded-lg bg-slate-700 text-slate-200 hover:bg-slate-600"
+        >
+          Download filled
+        </button>
+        <button
+          onClick={() => onCopy(toTemplate(prompt))}
+          className="px-3 py-1 rounded-lg bg-slate-700 text-slate-200 hover:bg-slate-600"
+        >
+          Copy as {'{{variable}}'} template
+        </button>
+        <button
+          onClick={() => download('prompt-template.txt', toTemplate(prompt), 'text/plain')}
+          className="px-3 py-1 rounded-lg bg-slate-700 text-slate-200 hover:bg-slate-600"
+        >
+          Download template
+        </button>
+      </div>
+    </div>
+  );
+}
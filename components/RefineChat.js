@@ -0,0 +1,151 @@
+'use client';
+
+import { useState } from 'react';
+
+const SUGGESTIONS = [
+  'Make it shorter',
+  'Add a JSON output schema',
+  'Add an example of a good answer',
+  'Make the tone more formal'
+];
+
+const SEVERITY_COLOURS = { HIGH: 'text-red-400', MEDIUM: 'text-amber-400', LOW: 'text-slate-400' };
+
+// Chat for refining the result one instruction at a time. Each finished turn
+// is a revision (numbered from 1; 0 is the original result) that can be
+// picked to view it or to refine from it. onRefine(instruction) resolves once
+// the revision has been added, or rejects with the error to show.
+export default function RefineChat({ revisions, activeIndex, pending, onSelect, onRefine, disabled }) {
+  const [instruction, setInstruction] = useState('');
+  const [error, setError] = useState('');
+
+  const submit = async (text) => {
+    if (!text.trim() || pending || disabled) return;
+    setError('');
+    try {
+      await onRefine(text.trim());
+      setInstruction('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revisionButton = (index, label) => (
+    <button
+      onClick={() => onSelect(index)}
+      className={`text-[11px] px-2 py-0.5 rounded ${
+        index === activeIndex ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="mt-6 border-t border-slate-700 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-slate-400">Refine</h3>
+        {revisions.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {revisionButton(0, 'Original')}
+            {revisions.map((_, i) => <span key={i}>{revisionButton(i + 1, `Revision ${i + 1}`)}</span>)}
+          </div>
+        )}
+      </div>
+
+      {(revisions.length > 0 || pending) && (
+        <div className="space-y-3 mb-3 max-h-96 overflow-y-auto">
+          {revisions.map((revision, i) => (
+            <div key={revision.createdAt} className="space-y-2">
+              <div className="flex justify-end">
+                <p className="max-w-[85%] text-sm text-white bg-blue-900/40 border border-blue-800/50 rounded-lg px-3 py-2 whitespace-pre-wrap">
+                  {revision.instruction}
+                </p>
+              </div>
+              <div className={`rounded-lg px-3 py-2 border ${i + 1 === activeIndex ? 'border-blue-600 bg-slate-700/50' : 'border-slate-700 bg-slate-700/30'}`}>
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <button onClick={() => onSelect(i + 1)} className="text-xs font-medium text-blue-400 hover:text-blue-300">
+                    Revision {i + 1}
+                  </button>
+                  {revision.basedOn !== i && (
+                    <span className="text-[11px] text-slate-500">
+                      from {revision.basedOn === 0 ? 'the original' : `revision ${revision.basedOn}`}
+                    </span>
+                  )}
+                </div>
+                {revision.summary && <p className="text-sm text-slate-300">{revision.summary}</p>}
+                {revision.changes.length > 0 && (
+                  <ul className="mt-1 space-y-0.5">
+                    {revision.changes.map((c, j) => (
+                      <li key={j} className="text-xs text-slate-400 flex items-start gap-2">
+                        <span className={SEVERITY_COLOURS[(c.severity || 'LOW').toUpperCase()] || 'text-slate-400'}>•</span>
+                        <span>{c.change}{c.reason && <span className="text-slate-500"> - {c.reason}</span>}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {pending && (
+            <div className="space-y-2">
+              <div className="flex justify-end">
+                <p className="max-w-[85%] text-sm text-white bg-blue-900/40 border border-blue-800/50 rounded-lg px-3 py-2 whitespace-pre-wrap">
+                  {pending.instruction}
+                </p>
+              </div>
+              <p className="flex items-center gap-2 text-sm text-blue-400">
+                <span className="w-3 h-3 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></span>
+                Revising...
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {revisions.length === 0 && !pending && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {SUGGESTIONS.map(suggestion => (
+            <button
+              key={suggestion}
+              onClick={() => submit(suggestion)}
+              disabled={disabled}
+              className="text-xs px-3 py-1 rounded-full border border-slate-600 text-slate-300 hover:border-slate-500 hover:text-white disabled:opacity-50"
+            >
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <textarea
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              submit(instruction);
+            }
+          }}
+          rows={2}
+          placeholder={activeIndex < revisions.length
+            ? `Change ${activeIndex === 0 ? 'the original' : `revision ${activeIndex}`}...`
+            : 'Say how to change the prompt, e.g. "add a JSON output schema"'}
+          disabled={disabled || Boolean(pending)}
+          className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm disabled:opacity-50"
+        />
+        <button
+          onClick={() => submit(instruction)}
+          disabled={disabled || Boolean(pending) || !instruction.trim()}
+          className="px-4 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-500 transition-colors disabled:opacity-50 text-sm"
+        >
+          Refine
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+    </div>
+  );
+}
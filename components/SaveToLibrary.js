@@ -0,0 +1,105 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { createLibraryPrompt } from '@/lib/api';
+
+// Saves the result into the shared prompt library. Once linked, later runs in
+// the session are added as new versions by the page.
+export default function SaveToLibrary({ link, prompt, vendor, model, source, guidanceVersion, defaultTitle, onSaved, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [title, setTitle] = useState('');
+  const [tags, setTags] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const open = () => {
+    setTitle(defaultTitle);
+    setIsOpen(true);
+  };
+
+  const save = async () => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const entry = await createLibraryPrompt({ title, tags, prompt, vendor, model, source, guidanceVersion });
+      onSaved({ id: entry.id, title: entry.title, version: entry.versions[entry.versions.length - 1].version });
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (link) {
+    return (
+      <p className="mt-3 text-sm text-slate-400 flex items-center gap-2">
+        <span>📚</span>
+        In the library as <Link href="/library" className="text-blue-400 hover:text-blue-300">{link.title}</Link>
+        {link.version && <span className="text-slate-500">· v{link.version}</span>}
+        <span className="text-xs text-slate-500">New runs are saved as new versions</span>
+      </p>
+    );
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={open}
+        disabled={disabled}
+        className="mt-3 text-sm text-blue-400 hover:text-blue-300 flex items-center gap-2 disabled:opacity-50"
+      >
+        <span>📚</span> Save to library
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-slate-700/30 rounded-lg border border-slate-700">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white">Save to library</h3>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-xs text-slate-500 hover:text-slate-300"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Title"
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+        />
+        <input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags, comma separated (optional)"
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+        />
+      </div>
+
+      <button
+        onClick={save}
+        disabled={isSaving || disabled || !title.trim()}
+        className={`mt-3 w-full py-2 rounded-lg text-sm font-semibold transition-colors ${
+          isSaving || disabled || !title.trim()
+            ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+            : 'bg-blue-600 text-white hover:bg-blue-500'
+        }`}
+      >
+        {isSaving ? 'Saving...' : 'Save'}
+      </button>
+
+      {error && (
+        <div className="mt-3 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+'use client';
+
+import { useState } from 'react';
+import { createShare, revokeShare } from '@/lib/api';
+
+const EXPIRY_OPTIONS = [
+  [null, 'Never expires'],
+  [1, '1 day'],
+  [7, '7 days'],
+  [30, '30 days']
+];
+
+const shareUrl = path => `${window.location.origin}${path}`;
+
+// Creates read-only links to the session. Links (and their revoke tokens)
+// are kept on the session so they can be revoked later from this browser.
+export default function SharePanel({ session, shares, onSharesChange, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [isCreating, setIsCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState('');
+
+  const activeShares = shares.filter(s => !s.expiresAt || new Date(s.expiresAt) > new Date());
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.path));
+      setCopiedId(share.id);
+      setTimeout(() => setCopiedId(null), 1500);
+    } catch {
+      // Clipboard blocked - the link is still shown for manual copying
+    }
+  };
+
+  const create = async () => {
+    setIsCreating(true);
+    setError('');
+
+    try {
+      const share = await createShare(session, expiresInDays);
+      onSharesChange([share, ...shares]);
+      copyLink(share);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const revoke = async (share) => {
+    setError('');
+    try {
+      await revokeShare(share.id, share.revokeToken);
+    } catch (err) {
+      // Already gone (expired or revoked elsewhere) is fine; anything else isn't
+      if (err.message !== 'Share link not found') {
+        setError(err.message);
+        return;
+      }
+    }
+    onSharesChange(shares.filter(s => s.id !== share.id));
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="mt-3 text-sm text-blue-400 hover:text-blue-300 flex items-center gap-2"
+      >
+        <span>🔗</span> Share a read-only link{activeShares.length > 0 && ` (${activeShares.length} active)`}
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-slate-700/30 rounded-lg border border-slate-700">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-white">Share</h3>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-xs text-slate-500 hover:text-slate-300"
+        >
+          Close
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        Anyone with the link can see your input, the critique questions and answers, and the prompts generated for each model. It's stored on the server until it expires or you revoke it.
+      </p>
+
+      <div className="flex gap-2">
+        <select
+          value={expiresInDays ?? ''}
+          onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+          className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm"
+        >
+          {EXPIRY_OPTIONS.map(([days, label]) => (
+            <option key={label} value={days ?? ''}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={create}
+          disabled={isCreating || disabled}
+          className={`flex-1 py-2 rounded-lg text-sm font-semibold transition-colors ${
+            isCreating || disabled
+              ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+              : 'bg-blue-600 text-white hover:bg-blue-500'
+          }`}
+        >
+          {isCreating ? 'Creating...' : 'Create link'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-3 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {activeShares.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {activeShares.map(share => (
+            <li key={share.id} className="flex items-center gap-2 text-sm">
+              <a
+                href={share.path}
+                target="_blank"
+                rel="noreferrer"
+                className="flex-1 truncate text-blue-400 hover:text-blue-300 font-mono"
+              >
+                {shareUrl(share.path)}
+              </a>
+              <span className="text-xs text-slate-500 whitespace-nowrap">
+                {share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleDateString()}` : 'no expiry'}
+              </span>
+              <button
+                onClick={() => copyLink(share)}
+                className="text-xs text-slate-400 hover:text-white"
+              >
+                {copiedId === share.id ? 'Copied' : 'Copy'}
+              </button>
+              <button
+                onClick={() => revoke(share)}
+                className="text-xs text-red-400 hover:text-red-300"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
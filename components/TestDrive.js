@@ -0,0 +1,112 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { postAnalyse } from '@/lib/api';
+
+// Runs the finished prompt against the target model with a sample input
+export default function TestDrive({ prompt, vendor, model, vendorName, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sampleInput, setSampleInput] = useState('');
+  const [run, setRun] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  // A new prompt invalidates the last run's output
+  useEffect(() => {
+    setRun(null);
+    setError('');
+  }, [prompt, vendor, model]);
+
+  const runTestDrive = async () => {
+    setIsRunning(true);
+    setError('');
+    setRun(null);
+
+    try {
+      const data = await postAnalyse({
+        mode: 'testdrive',
+        vendor,
+        model,
+        inputText: prompt,
+        sampleInput: sampleInput.trim()
+      }, setRun);
+      setRun(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="mt-4 text-sm text-blue-400 hover:text-blue-300 flex items-center gap-2"
+      >
+        <span>▶</span> Test drive this prompt on {vendorName} {model}
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-slate-700/30 rounded-lg border border-slate-700">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-white">Test drive</h3>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-xs text-slate-500 hover:text-slate-300"
+        >
+          Close
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        The prompt is sent as the system prompt and your sample as the user message. Leave the sample empty to send the prompt on its own.
+      </p>
+
+      <textarea
+        value={sampleInput}
+        onChange={(e) => setSampleInput(e.target.value)}
+        placeholder="Sample input (optional)"
+        className="w-full h-24 bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white placeholder-slate-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none text-sm"
+      />
+
+      <button
+        onClick={runTestDrive}
+        disabled={isRunning || disabled || !prompt}
+        className={`mt-3 w-full py-2 rounded-lg text-sm font-semibold transition-colors ${
+          isRunning || disabled
+            ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+            : 'bg-blue-600 text-white hover:bg-blue-500'
+        }`}
+      >
+        {isRunning ? (
+          <span className="flex items-center justify-center gap-2">
+            <span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+            Running...
+          </span>
+        ) : 'Run'}
+      </button>
+
+      {error && (
+        <div className="mt-3 p-3 bg-red-900/30 border border-red-700 rounded-lg">
+          <p className="text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {run && (
+        <div className="mt-4">
+          <p className="text-xs text-slate-500 mb-1">
+            Output from {run.ranOn?.provider} · {run.ranOn?.model}
+          </p>
+          {run.ranOn?.note && (
+            <p className="text-xs text-amber-400/80 mb-2">{run.ranOn.note}</p>
+          )}
+          <div className="bg-slate-900 rounded-lg px-4 py-3 text-slate-200 text-sm whitespace-pre-wrap max-h-80 overflow-y-auto border border-slate-700">
+            {run.output}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+'use client';
+
+const HEIGHT = 100;
+const BAR_WIDTH = 10;
+const GAP = 2;
+
+// Daily bar chart in plain SVG. series is [{ key, label, fill, value(day) }]
+// with fill a Tailwind fill-* class. Stacked bars add the series up; unstacked
+// ones overlap, so list the larger series (e.g. p95 before p50) first.
+export default function TimeSeriesChart({ title, days, series, stacked = true, format = n => n.toLocaleString() }) {
+  const totals = days.map(day => (stacked
+    ? series.reduce((sum, s) => sum + (s.value(day) || 0), 0)
+    : Math.max(0, ...series.map(s => s.value(day) || 0))));
+  const max = Math.max(...totals, 0);
+  const scale = value => (max > 0 ? (value / max) * HEIGHT : 0);
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between mb-2">
+        <h3 className="text-sm font-medium text-slate-400">{title}</h3>
+        <span className="text-xs text-slate-500">max {format(max)}</span>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${days.length * (BAR_WIDTH + GAP)} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-32 bg-slate-900/50 rounded"
+      >
+        {days.map((day, i) => {
+          let base = HEIGHT;
+          return (
+            <g key={day.day}>
+              <title>
+                {`${day.day}\n${series.map(s => `${s.label}: ${format(s.value(day) || 0)}`).join('\n')}`}
+              </title>
+              {/* Full-height hit area so empty days still show their tooltip */}
+              <rect x={i * (BAR_WIDTH + GAP)} y={0} width={BAR_WIDTH} height={HEIGHT} className="fill-transparent" />
+              {series.map(s => {
+                const height = scale(s.value(day) || 0);
+                const y = stacked ? base - height : HEIGHT - height;
+                if (stacked) base -= height;
+                return height > 0 && (
+                  <rect key={s.key} x={i * (BAR_WIDTH + GAP)} y={y} width={BAR_WIDTH} height={height} className={s.fill} />
+                );
+              })}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex items-center justify-between mt-1 text-xs text-slate-500">
+        <span>{days[0]?.day}</span>
+        <span className="flex flex-wrap gap-3">
+          {series.map(s => (
+            <span key={s.key} className="flex items-center gap-1">
+              <svg width="8" height="8"><rect width="8" height="8" className={s.fill} /></svg>
+              {s.label}
+            </span>
+          ))}
+        </span>
+        <span>{days[days.length - 1]?.day}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+'use client';
+
+import { GUIDANCE } from '@/lib/guidance';
+import { CONTEXT_WARNING_RATIO, estimateFor, formatTokens, formatUsd } from '@/lib/tokens';
+
+const percent = share => `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+
+// Live token count for a piece of text on the target model, how much of its
+// context window that is, and what sending it costs
+export default function TokenEstimate({ text, vendor, model }) {
+  const { tokens, contextWindow, contextShare, price, inputCost } = estimateFor(text, vendor, model);
+  if (!tokens) return null;
+
+  const over = contextShare >= 1;
+  const near = contextShare >= CONTEXT_WARNING_RATIO;
+
+  return (
+    <div className="mt-2 text-xs">
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-slate-500">
+        <span title="Estimated offline - actual counts can differ by 10-15%">~{formatTokens(tokens)} tokens</span>
+        {contextWindow && (
+          <span className={over ? 'text-red-400' : near ? 'text-amber-400' : ''}>
+            {percent(contextShare)} of the {formatTokens(contextWindow)} context window
+          </span>
+        )}
+        {price ? (
+          <span>~{formatUsd(inputCost)} per call as input to {GUIDANCE[vendor].name} {model}, plus ${price.output}/M output tokens</span>
+        ) : (
+          <span>No per-token price listed for {model}</span>
+        )}
+      </div>
+      {near && (
+        <p className={`mt-1 ${over ? 'text-red-400' : 'text-amber-400'}`}>
+          {over
+            ? 'Longer than the context window - the model will reject or truncate it.'
+            : 'Close to the context window - leave room for run-time input and the reply.'}
+        </p>
+      )}
+    </div>
+  );
+}
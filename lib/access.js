@@ -0,0 +1,14 @@
+// API key scopes and user roles, shared by the browser and the API routes.
+// Sign-in itself lives in auth.js (server only).
+
+// What an API key may run. Refine and test drive count as generate.
+export const SCOPES = ['critique', 'optimise', 'generate'];
+const MODE_SCOPES = { critique: 'critique', optimise: 'optimise', generate: 'generate', refine: 'generate', testdrive: 'generate' };
+
+export const ROLES = ['member', 'admin'];
+
+// The scope auth would need to run mode but doesn't have, or null
+export function missingScope(auth, mode) {
+  const scope = MODE_SCOPES[mode];
+  return scope && !auth.scopes.includes(scope) ? scope : null;
+}
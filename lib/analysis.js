@@ -0,0 +1,87 @@
+// Builds the analyser request for critique / optimise / generate / refine.
+// Shared by the API route and the CLI so both send exactly the same prompt.
+
+import { GUIDANCE, formatGuidanceForAnalysis } from './guidance';
+import { getSystemPrompt } from './prompts';
+
+export const ANALYSIS_MODES = ['critique', 'optimise', 'generate', 'refine'];
+
+// Questions from earlier critique rounds sent with a follow-up round
+export const CRITIQUE_LIMITS = { maxPreviousQuestions: 40, maxAnswerLength: 5000 };
+
+// Earlier critique questions with the user's answers, for the follow-up
+// round's user message. Unanswered questions are listed as skipped so they
+// aren't asked again.
+function formatPreviousQuestions(previousQuestions) {
+  const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+  return previousQuestions
+    .filter(q => text(q?.question, 2000))
+    .slice(0, CRITIQUE_LIMITS.maxPreviousQuestions)
+    .map(q => `Q: ${text(q.question, 2000)}\nA: ${text(q.answer, CRITIQUE_LIMITS.maxAnswerLength) || '(skipped)'}`)
+    .join('\n\n');
+}
+
+// Limits on a refine request: the instruction, and how many earlier turns are
+// replayed as conversation (older ones are dropped)
+export const REFINE_LIMITS = { maxInstructionLength: 2000, maxHistoryTurns: 10 };
+
+// Earlier refine turns as alternating user/assistant messages. Only each
+// turn's instruction and summary are replayed - the current prompt already
+// carries their effect.
+function refineHistoryMessages(history) {
+  const text = value => (typeof value === 'string' ? value.slice(0, REFINE_LIMITS.maxInstructionLength) : '');
+
+  return (Array.isArray(history) ? history : [])
+    .filter(turn => text(turn?.instruction).trim())
+    .slice(-REFINE_LIMITS.maxHistoryTurns)
+    .flatMap(turn => [
+      { role: 'user', content: text(turn.instruction) },
+      { role: 'assistant', content: text(turn.summary) || 'Done.' }
+    ]);
+}
+
+// For a follow-up critique round, previousQuestions lists the questions
+// already asked ([{ question, answer }], answer empty if skipped).
+// For refine, inputText is the current prompt, instruction the change wanted
+// and history the earlier turns ([{ instruction, summary }], oldest first).
+export function buildAnalysisRequest({ mode, vendor, model, inputText, additionalContext, entryMode, problemContext, previousQuestions, instruction, history }) {
+  const guidance = formatGuidanceForAnalysis(vendor);
+  const followUp = mode === 'critique' && Array.isArray(previousQuestions) && previousQuestions.length > 0;
+  const systemPrompt = getSystemPrompt(mode, vendor, model, guidance, {
+    additionalContext: additionalContext || '',
+    entryMode: entryMode || 'idea',
+    problemContext: problemContext || '',
+    followUp
+  });
+  const vendorName = GUIDANCE[vendor].name;
+
+  if (mode === 'refine') {
+    return {
+      system: systemPrompt,
+      messages: [
+        ...refineHistoryMessages(history),
+        { role: 'user', content: `Current prompt:\n\n${inputText}\n\nInstruction: ${instruction}` }
+      ]
+    };
+  }
+
+  let userMessage;
+  if (mode === 'critique') {
+    userMessage = `Critique this ${entryMode === 'prompt' ? 'prompt' : 'idea'} and identify what's missing or problematic:\n\n${inputText}`;
+    if (followUp) {
+      userMessage += `\n\nQUESTIONS ALREADY ASKED, WITH THE USER'S ANSWERS:\n\n${formatPreviousQuestions(previousQuestions)}`;
+    }
+  } else if (mode === 'optimise') {
+    userMessage = `Analyse and optimise this prompt for ${vendorName} (${model}):\n\n${inputText}`;
+  } else {
+    userMessage = `Create a well-structured ${vendorName} (${model}) prompt from this idea:\n\n${inputText}`;
+  }
+
+  return {
+    system: systemPrompt,
+    messages: [
+      { role: 'user', content: userMessage }
+    ]
+  };
+}
@@ -0,0 +1,234 @@
+// Opt-in usage analytics: one event per analyser call, for the admin
+// dashboard. Off unless ANALYTICS_RETENTION_DAYS is set.
+//
+//   ANALYTICS_RETENTION_DAYS  days to keep events (unset or 0 turns analytics off)
+//   ANALYTICS_BACKEND         storage backend for events (default STORAGE_BACKEND)
+//
+// An event says what kind of call it was and how it went - mode, vendor,
+// model, input length, latency, tokens, whether the reply parsed, and the
+// categories of any critique questions. It never holds prompt text, answers
+// or anything else the model wrote, and field names are the only part of a
+// reply that's kept. With sign-in on, it also records the opaque user id,
+// team and key id, so it doubles as an audit log.
+
+import crypto from 'crypto';
+import { getStore } from './storage';
+import { toCsv } from './csv';
+import { GUIDANCE } from './guidance';
+
+// The categories the critique prompt asks for (prompts.js). Anything else the
+// model makes up counts as "other", since free text could echo the prompt.
+export const QUESTION_CATEGORIES = ['audience', 'intent', 'scope', 'constraints', 'edge_cases', 'assumptions', 'format'];
+
+export const OUTCOMES = ['ok', 'cached', 'invalid_reply', 'upstream_error', 'error'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reports read at most this many events (the newest), so a busy deployment
+// can't make the dashboard read everything it has ever stored
+const MAX_REPORT_EVENTS = 20000;
+
+const RECENT_EVENTS = 50;
+
+function retentionDays(env) {
+  const days = Number(env.ANALYTICS_RETENTION_DAYS ?? 0);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+}
+
+const events = (env) => getStore('analytics', {
+  ...env,
+  STORAGE_BACKEND: env.ANALYTICS_BACKEND || env.STORAGE_BACKEND
+});
+
+export function isAnalyticsEnabled(env = process.env) {
+  return retentionDays(env) > 0;
+}
+
+// --- Recording ----------------------------------------------------------------
+
+const count = (values) => values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+
+// How the reply parsed: first time, after the repair call, with fields still
+// missing, or not at all (null when no reply was read)
+function parseOutcome(outcome, reply) {
+  if (outcome === 'invalid_reply') return 'failed';
+  if (!reply) return null;
+  if (reply.partialFields.length > 0) return 'partial';
+  return reply.repaired ? 'repaired' : 'ok';
+}
+
+// The event for one analyser call. call is what the route knows about the
+// request (input text is only measured); outcome is one of OUTCOMES, with the
+// checked reply (readAnalysisReply) and its stamped usage when there is one.
+export function analyserEvent(
+  { mode, vendor, model, inputText, stream, followUp, startedAt, provider, auth, ownKey },
+  { outcome, reply = null, usage = null, upstreamStatus = null }
+) {
+  const questions = mode === 'critique' && Array.isArray(reply?.result.questions) ? reply.result.questions : [];
+
+  return {
+    at: new Date().toISOString(),
+    mode,
+    vendor,
+    // Only the vendor's own model names, like the question categories
+    model: GUIDANCE[vendor]?.models.includes(model) ? model : 'other',
+    inputLength: inputText.length,
+    stream: Boolean(stream),
+    followUp: Boolean(followUp),
+    outcome,
+    upstreamStatus,
+    parse: parseOutcome(outcome, reply),
+    partialFields: reply?.partialFields || [],
+    latencyMs: Date.now() - startedAt,
+    inputTokens: usage?.inputTokens || 0,
+    outputTokens: usage?.outputTokens || 0,
+    costUsd: usage?.costUsd || 0,
+    analyser: provider ? `${provider.name}/${provider.model}` : '',
+    questionCount: questions.length,
+    questionCategories: count(questions.map(q => (QUESTION_CATEGORIES.includes(q.category) ? q.category : 'other'))),
+    userId: auth?.user?.id || null,
+    team: auth?.user?.team || null,
+    keyId: auth?.key?.id || null,
+    ownKey: Boolean(ownKey)
+  };
+}
+
+// Store an event. Analytics must never break a request, so failures are
+// logged (by name only) and dropped.
+export async function recordAnalyserEvent(event, env = process.env) {
+  if (!isAnalyticsEnabled(env)) return;
+
+  // Time first, so keys sort (and can be filtered) by when they happened
+  const key = `${event.at.replace(/[:.]/g, '-')}_${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await events(env).set(key, event, { ttlSeconds: retentionDays(env) * 24 * 60 * 60 });
+  } catch (error) {
+    console.error('Analytics error:', error.name || 'Unknown', error.code || '');
+  }
+}
+
+// --- Reporting ----------------------------------------------------------------
+
+// Events from the last `days` days (today included), oldest first, and
+// whether older ones in that range were left out to stay under the cap
+async function readEvents(days, env) {
+  const since = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+  const keys = (await events(env).list()).filter(key => key.slice(0, 10) >= since).sort();
+  const kept = keys.slice(-MAX_REPORT_EVENTS);
+  const loaded = await Promise.all(kept.map(key => events(env).get(key)));
+  return { since, events: loaded.filter(Boolean), truncated: kept.length < keys.length };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function emptyDay(day) {
+  return {
+    day,
+    calls: 0,
+    byMode: {},
+    byOutcome: {},
+    parsed: 0,
+    parseFailed: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    latencies: []
+  };
+}
+
+// Totals sorted biggest first, as [{ name, calls }]
+const ranked = (counts) => Object.entries(counts)
+  .map(([name, calls]) => ({ name, calls }))
+  .sort((a, b) => b.calls - a.calls || a.name.localeCompare(b.name));
+
+// Daily series and breakdowns for the dashboard. Latency percentiles leave
+// out cache hits, which never reach the analyser.
+export async function analyticsReport(days = 30, env = process.env) {
+  const { since, events: list, truncated } = await readEvents(days, env);
+
+  const series = new Map();
+  for (let i = 0; i < days; i += 1) {
+    const day = new Date(Date.parse(since) + i * DAY_MS).toISOString().slice(0, 10);
+    series.set(day, emptyDay(day));
+  }
+
+  const modes = {};
+  const models = {};
+  const outcomes = {};
+  const parses = {};
+  const categories = {};
+
+  list.forEach(event => {
+    const day = series.get(event.at.slice(0, 10));
+    if (day) {
+      day.calls += 1;
+      day.byMode[event.mode] = (day.byMode[event.mode] || 0) + 1;
+      day.byOutcome[event.outcome] = (day.byOutcome[event.outcome] || 0) + 1;
+      if (event.parse === 'ok' || event.parse === 'repaired') day.parsed += 1;
+      if (event.parse === 'partial' || event.parse === 'failed') day.parseFailed += 1;
+      day.inputTokens += event.inputTokens;
+      day.outputTokens += event.outputTokens;
+      day.costUsd += event.costUsd;
+      if (event.outcome !== 'cached') day.latencies.push(event.latencyMs);
+    }
+
+    modes[event.mode] = (modes[event.mode] || 0) + 1;
+    const model = `${event.vendor} · ${event.model}`;
+    models[model] = (models[model] || 0) + 1;
+    outcomes[event.outcome] = (outcomes[event.outcome] || 0) + 1;
+    if (event.parse) parses[event.parse] = (parses[event.parse] || 0) + 1;
+    Object.entries(event.questionCategories || {}).forEach(([category, n]) => {
+      categories[category] = (categories[category] || 0) + n;
+    });
+  });
+
+  const allLatencies = list.filter(e => e.outcome !== 'cached').map(e => e.latencyMs).sort((a, b) => a - b);
+
+  return {
+    enabled: isAnalyticsEnabled(env),
+    since,
+    truncated,
+    totals: {
+      calls: list.length,
+      inputTokens: list.reduce((sum, e) => sum + e.inputTokens, 0),
+      outputTokens: list.reduce((sum, e) => sum + e.outputTokens, 0),
+      costUsd: list.reduce((sum, e) => sum + e.costUsd, 0),
+      inputLengthMedian: percentile(list.map(e => e.inputLength).sort((a, b) => a - b), 50),
+      latencyP50: percentile(allLatencies, 50),
+      latencyP95: percentile(allLatencies, 95)
+    },
+    days: [...series.values()].map(({ latencies, ...day }) => {
+      const sorted = latencies.sort((a, b) => a - b);
+      return { ...day, latencyP50: percentile(sorted, 50), latencyP95: percentile(sorted, 95) };
+    }),
+    modes: ranked(modes),
+    models: ranked(models),
+    outcomes: ranked(outcomes),
+    parses: ranked(parses),
+    questionCategories: ranked(categories),
+    recent: list.slice(-RECENT_EVENTS).reverse()
+  };
+}
+
+const CSV_COLUMNS = [
+  'at', 'mode', 'vendor', 'model', 'input_length', 'stream', 'follow_up', 'outcome', 'upstream_status',
+  'parse', 'partial_fields', 'latency_ms', 'input_tokens', 'output_tokens', 'cost_usd', 'analyser',
+  'question_count', 'question_categories', 'user_id', 'team', 'key_id', 'own_key'
+];
+
+// Every event in the last `days` days as CSV, one row per call, oldest first
+export async function analyticsCsv(days = 30, env = process.env) {
+  const { events: list } = await readEvents(days, env);
+
+  const rows = list.map(e => [
+    e.at, e.mode, e.vendor, e.model, e.inputLength, e.stream, e.followUp, e.outcome, e.upstreamStatus,
+    e.parse, e.partialFields.join(';'), e.latencyMs, e.inputTokens, e.outputTokens, e.costUsd.toFixed(6), e.analyser,
+    e.questionCount, Object.entries(e.questionCategories).map(([c, n]) => `${c}:${n}`).join(';'),
+    e.userId, e.team, e.keyId, e.ownKey
+  ]);
+
+  return toCsv([CSV_COLUMNS, ...rows]);
+}
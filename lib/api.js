@@ -0,0 +1,180 @@
+// Client-side helpers for calling the API routes
+
+import { readSse } from './sse';
+import { ownKeyHeaders } from './ownKey';
+
+// When sign-in is on and the session has expired, send the user to /login and
+// bring them back afterwards
+function failed(data) {
+  if (data.signIn && typeof window !== 'undefined') {
+    const next = window.location.pathname + window.location.search;
+    window.location.assign(`/login?next=${encodeURIComponent(next)}`);
+  }
+  return new Error(data.error || 'Request failed');
+}
+
+// The response's JSON body. Error pages from a proxy in front of the app (a
+// 502 or 504, say) aren't JSON, so those become an error for their status.
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    if (response.ok) {
+      throw new Error('The server sent a response that could not be read. Please try again.');
+    }
+    return { error: `The server could not complete the request (status ${response.status}). Please try again.` };
+  }
+}
+
+// POST to a streaming API route. Partial results are passed to onPartial as
+// they arrive; resolves with the final parsed result. The user's own API key,
+// if they entered one, goes along in the headers.
+export async function postStreaming(url, payload, onPartial) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...ownKeyHeaders() },
+    body: JSON.stringify({ ...payload, stream: true })
+  });
+
+  // Validation and upstream failures come back as plain JSON errors
+  if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+    const data = await readJson(response);
+    if (!response.ok) {
+      throw failed(data);
+    }
+    return data;
+  }
+
+  for await (const { event, data } of readSse(response.body)) {
+    const parsed = JSON.parse(data);
+    if (event === 'partial' && onPartial) onPartial(parsed);
+    if (event === 'done') return parsed;
+    if (event === 'error') throw new Error(parsed.error || 'Request failed');
+  }
+
+  throw new Error('Connection closed before the response finished. Please try again.');
+}
+
+export function postAnalyse(payload, onPartial) {
+  return postStreaming('/api/analyse', payload, onPartial);
+}
+
+export function postEvaluate(payload, onPartial) {
+  return postStreaming('/api/evaluate', payload, onPartial);
+}
+
+// Plain JSON request for the non-streaming routes
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+  const data = await readJson(response);
+  if (!response.ok) {
+    throw failed(data);
+  }
+  return data;
+}
+
+export function createShare(session, expiresInDays) {
+  return requestJson('/api/share', {
+    method: 'POST',
+    body: JSON.stringify({ session, expiresInDays })
+  });
+}
+
+export function revokeShare(id, revokeToken) {
+  return requestJson(`/api/share/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: { 'x-revoke-token': revokeToken }
+  });
+}
+
+export function listLibrary() {
+  return requestJson('/api/library');
+}
+
+export function getLibraryPrompt(id) {
+  return requestJson(`/api/library/${encodeURIComponent(id)}`);
+}
+
+export function createLibraryPrompt(fields) {
+  return requestJson('/api/library', {
+    method: 'POST',
+    body: JSON.stringify(fields)
+  });
+}
+
+export function updateLibraryPrompt(id, fields) {
+  return requestJson(`/api/library/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields)
+  });
+}
+
+export function deleteLibraryPrompt(id) {
+  return requestJson(`/api/library/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+// fields is { prompt, vendor, model, source, note } or { rollbackTo }
+export function addLibraryVersion(id, fields) {
+  return requestJson(`/api/library/${encodeURIComponent(id)}/versions`, {
+    method: 'POST',
+    body: JSON.stringify(fields)
+  });
+}
+
+export function getCurrentUser() {
+  return requestJson('/api/auth/me');
+}
+
+export function signIn(email, password) {
+  return requestJson('/api/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password })
+  });
+}
+
+export function signOut() {
+  return requestJson('/api/auth/logout', { method: 'POST' });
+}
+
+export function listUsers() {
+  return requestJson('/api/admin/users');
+}
+
+// fields is { email, team, role, password }
+export function createUser(fields) {
+  return requestJson('/api/admin/users', {
+    method: 'POST',
+    body: JSON.stringify(fields)
+  });
+}
+
+export function deleteUser(id) {
+  return requestJson(`/api/admin/users/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+export function listApiKeys() {
+  return requestJson('/api/admin/keys');
+}
+
+// fields is { userId, name, scopes }; resolves with the key and its secret
+export function issueApiKey(fields) {
+  return requestJson('/api/admin/keys', {
+    method: 'POST',
+    body: JSON.stringify(fields)
+  });
+}
+
+export function revokeApiKey(id) {
+  return requestJson(`/api/admin/keys/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+export function getUsageReport(days) {
+  return requestJson(`/api/admin/usage?days=${encodeURIComponent(days)}`);
+}
+
+export function getAnalyticsReport(days) {
+  return requestJson(`/api/admin/analytics?days=${encodeURIComponent(days)}`);
+}
@@ -0,0 +1,324 @@
+// Sign-in and team API keys for the routes that spend the analyser's API key.
+// Off unless AUTH_SECRET is set, so a fresh deployment works as before.
+//
+//   AUTH_SECRET          signs session cookies and turns sign-in on (use 32+ random characters)
+//   AUTH_ADMIN_EMAIL     the first admin - they sign in with AUTH_ADMIN_PASSWORD
+//   AUTH_ADMIN_PASSWORD  and add everyone else on /admin
+//   AUTH_ADMIN_TEAM      the first admin's team (default "admin")
+//
+// People sign in on /login and get a session cookie. Scripts and the CLI send
+// "Authorization: Bearer po_..." with an API key instead. Keys are issued to
+// a user on /admin, carry scopes limiting the modes they may run, and are
+// stored only as a hash.
+
+import crypto from 'crypto';
+import { getStore } from './storage';
+import { getClientIdentifier } from './rateLimit';
+import { SCOPES, ROLES } from './access';
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+export const SESSION_COOKIE = 'po_session';
+const SESSION_DAYS = 7;
+const KEY_PREFIX = 'po_';
+const MIN_PASSWORD_LENGTH = 10;
+
+const users = () => getStore('users');
+const apiKeys = () => getStore('apikeys');
+const sessionVersions = () => getStore('sessions');
+
+export function isAuthEnabled(env = process.env) {
+  return Boolean(env.AUTH_SECRET);
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const sameText = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const normaliseEmail = email => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// User ids come from the email, so signing in is a single lookup
+const userIdFor = email => `u_${sha256(normaliseEmail(email)).slice(0, 24)}`;
+
+// --- Passwords ----------------------------------------------------------------
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = crypto.scryptSync(password, salt, 32).toString('base64url');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return sameText(crypto.scryptSync(String(password), salt, 32).toString('base64url'), hash);
+}
+
+// --- Users --------------------------------------------------------------------
+
+// The AUTH_ADMIN_* user, who isn't stored so they can't be locked out
+function envAdmin(env) {
+  const email = normaliseEmail(env.AUTH_ADMIN_EMAIL);
+  if (!email || !env.AUTH_ADMIN_PASSWORD) return null;
+  return { id: userIdFor(email), email, team: env.AUTH_ADMIN_TEAM || 'admin', role: 'admin', builtIn: true };
+}
+
+// Without the password hash, for the session and the admin page
+const publicUser = ({ passwordHash, ...user }) => user;
+
+async function getUser(id, env) {
+  const admin = envAdmin(env);
+  if (admin && admin.id === id) return admin;
+  const user = /^u_[a-f0-9]{24}$/.test(id) ? await users().get(id) : null;
+  return user && publicUser(user);
+}
+
+export async function listUsers(env = process.env) {
+  const stored = await Promise.all((await users().list()).map(id => users().get(id)));
+  const admin = envAdmin(env);
+  return [...(admin ? [admin] : []), ...stored.filter(Boolean).map(publicUser)]
+    .sort((a, b) => a.team.localeCompare(b.team) || a.email.localeCompare(b.email));
+}
+
+export async function createUser({ email, team, role, password }, env = process.env) {
+  const address = normaliseEmail(email);
+  if (!/^[^\s@]+@[^\s@]+$/.test(address) || address.length > 200) {
+    throw new AuthError('Enter a valid email address', 400);
+  }
+  if (typeof team !== 'string' || !/^[a-z0-9][a-z0-9-]{0,39}$/.test(team)) {
+    throw new AuthError('Team must be lowercase letters, digits and dashes', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+
+  const id = userIdFor(address);
+  if (envAdmin(env)?.id === id || await users().get(id)) {
+    throw new AuthError('There is already a user with that email', 400);
+  }
+
+  const user = {
+    id,
+    email: address,
+    team,
+    role: ROLES.includes(role) ? role : 'member',
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+  await users().set(id, user);
+  return publicUser(user);
+}
+
+// Removing a user revokes their keys too
+export async function deleteUser(id, env = process.env) {
+  if (envAdmin(env)?.id === id) {
+    throw new AuthError('The built-in admin is set in the environment and can\'t be removed', 400);
+  }
+  if (!/^u_[a-f0-9]{24}$/.test(id) || !await users().delete(id)) return false;
+
+  const keys = await listApiKeys();
+  await Promise.all(keys.filter(key => key.userId === id && !key.revokedAt).map(key => revokeApiKey(key.id)));
+  return true;
+}
+
+// The user for an email and password, or null
+export async function signIn(email, password, env = process.env) {
+  const admin = envAdmin(env);
+  if (admin && admin.email === normaliseEmail(email)) {
+    return sameText(password, env.AUTH_ADMIN_PASSWORD) ? admin : null;
+  }
+
+  const user = await users().get(userIdFor(email));
+  return user && checkPassword(password, user.passwordHash) ? publicUser(user) : null;
+}
+
+// --- Sessions -----------------------------------------------------------------
+
+// Sessions carry their user's session version, and only the current version
+// is accepted - so bumping it (endSessions) signs the user out everywhere
+// before their cookies expire
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+async function sessionVersion(userId) {
+  return (await sessionVersions().get(userId))?.version || 0;
+}
+
+// Cookie value and options for a signed-in user
+export async function sessionCookie(user, env = process.env) {
+  const expires = Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000;
+  const version = await sessionVersion(user.id);
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, ver: version, exp: expires })).toString('base64url');
+  return {
+    name: SESSION_COOKIE,
+    value: `${payload}.${sign(payload, env.AUTH_SECRET)}`,
+    options: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: env.NODE_ENV === 'production',
+      path: '/',
+      maxAge: SESSION_DAYS * 24 * 60 * 60
+    }
+  };
+}
+
+// The user id in a valid, unexpired and unrevoked session cookie
+async function readSession(value, env) {
+  const [payload, signature] = String(value || '').split('.');
+  if (!payload || !signature || !sameText(sign(payload, env.AUTH_SECRET), signature)) return null;
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  const { sub, ver = 0, exp } = session;
+  if (typeof sub !== 'string' || !(exp > Date.now())) return null;
+  return ver === await sessionVersion(sub) ? sub : null;
+}
+
+// Sign out every session of the request's user: on sign-out, and whenever
+// their password changes
+export async function endSessions(request, env = process.env) {
+  if (!isAuthEnabled(env)) return;
+  const userId = await readSession(request.cookies?.get(SESSION_COOKIE)?.value, env);
+  if (!userId) return;
+  await sessionVersions().set(userId, { version: (await sessionVersion(userId)) + 1 });
+}
+
+// --- API keys -----------------------------------------------------------------
+
+// Keys are stored under the hash of the secret, so the secret itself is only
+// ever shown once, when it is issued
+export async function issueApiKey({ userId, name, scopes }, env = process.env) {
+  const user = await getUser(userId, env);
+  if (!user) {
+    throw new AuthError('User not found', 400);
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new AuthError('Give the key a name (up to 100 characters)', 400);
+  }
+  const granted = SCOPES.filter(scope => Array.isArray(scopes) && scopes.includes(scope));
+  if (granted.length === 0) {
+    throw new AuthError('Choose at least one scope', 400);
+  }
+
+  const secret = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const key = {
+    id: `k_${crypto.randomBytes(6).toString('hex')}`,
+    name: name.trim(),
+    // Enough of the secret to recognise it in a list
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    userId: user.id,
+    email: user.email,
+    team: user.team,
+    scopes: granted,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  await apiKeys().set(sha256(secret), key);
+  return { ...key, secret };
+}
+
+export async function listApiKeys() {
+  const keys = await Promise.all((await apiKeys().list()).map(hash => apiKeys().get(hash)));
+  return keys.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Revoked keys are kept (marked) so the admin page still shows who had them
+export async function revokeApiKey(id) {
+  for (const hash of await apiKeys().list()) {
+    const key = await apiKeys().get(hash);
+    if (key?.id === id) {
+      if (!key.revokedAt) await apiKeys().set(hash, { ...key, revokedAt: new Date().toISOString() });
+      return true;
+    }
+  }
+  return false;
+}
+
+async function findApiKey(secret) {
+  if (!secret.startsWith(KEY_PREFIX) || secret.length > 100) return null;
+  const hash = sha256(secret);
+  const key = await apiKeys().get(hash);
+  if (!key || key.revokedAt) return null;
+
+  // Only record use once a minute or so, to save writes
+  const now = new Date();
+  if (!key.lastUsedAt || now - new Date(key.lastUsedAt) > 60 * 1000) {
+    await apiKeys().set(hash, { ...key, lastUsedAt: now.toISOString() });
+  }
+  return key;
+}
+
+// --- Requests -----------------------------------------------------------------
+
+// Who is making the request: { user, key, scopes }. key is null for a signed-in
+// session, and both are null when sign-in is off (everything allowed). Throws
+// AuthError (401) when sign-in is on and there are no valid credentials.
+export async function authenticate(request, env = process.env) {
+  if (!isAuthEnabled(env)) return { user: null, key: null, scopes: SCOPES };
+
+  const bearer = request.headers.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    const key = await findApiKey(bearer);
+    const user = key && await getUser(key.userId, env);
+    if (!user) {
+      throw new AuthError('Invalid or revoked API key');
+    }
+    return { user, key: { id: key.id, name: key.name }, scopes: key.scopes };
+  }
+
+  const userId = await readSession(request.cookies?.get(SESSION_COOKIE)?.value, env);
+  const user = userId && await getUser(userId, env);
+  if (!user) {
+    throw new AuthError('Sign in to continue');
+  }
+  return { user, key: null, scopes: SCOPES };
+}
+
+export async function requireAdmin(request, env = process.env) {
+  if (!isAuthEnabled(env)) {
+    throw new AuthError('Sign-in is off - set AUTH_SECRET to manage users and keys', 404);
+  }
+  const auth = await authenticate(request, env);
+  if (auth.key || auth.user.role !== 'admin') {
+    throw new AuthError('Only admins can do that', 403);
+  }
+  return auth;
+}
+
+// Sign-in attempts allowed per minute from one IP address, and for one email
+// whichever IP address (or claimed X-Forwarded-For) they come from
+const SIGN_IN_ATTEMPTS_PER_MINUTE = { ip: 10, email: 5 };
+
+// The rate limiter identity for sign-in attempts from the request's IP
+// address - its own bucket, so analyser calls can't use it up
+export function signInIpRateLimitIdentity(request) {
+  return { type: 'signin-ip', id: getClientIdentifier(request), perMinute: SIGN_IN_ATTEMPTS_PER_MINUTE.ip };
+}
+
+// The rate limiter identity for signing in as email. It's keyed on the user
+// id, so the email itself isn't kept by the limiter.
+export function signInRateLimitIdentity(email) {
+  return { type: 'signin', id: userIdFor(email), perMinute: SIGN_IN_ATTEMPTS_PER_MINUTE.email };
+}
+
+// The rate limiter identity for auth: its key, or its user
+export function rateLimitIdentity(auth) {
+  if (auth.key) return { type: 'key', id: auth.key.id };
+  if (auth.user) return { type: 'user', id: auth.user.id };
+  return null;
+}
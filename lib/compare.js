@@ -0,0 +1,159 @@
+// Structural comparison of one prompt written for several vendors.
+// Pulls out the things vendor guidance disagrees on - delimiter style, which
+// sections there are and in what order, length, steps and examples - so the
+// compare view can highlight where the versions differ.
+
+import { findPlaceholders } from './placeholders';
+
+// Labels for the VENDOR_COMPARISON rows
+const ASPECT_LABELS = {
+  reasoningControl: 'Reasoning control',
+  contextOrdering: 'Context ordering',
+  temperatureSensitivity: 'Temperature',
+  defaultVerbosity: 'Default verbosity'
+};
+
+export function aspectLabel(key) {
+  return ASPECT_LABELS[key] || key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+// Section names vary by vendor (<context>, # Background, **Context:**) - group
+// the common ones so they line up across columns
+const SECTION_GROUPS = [
+  ['role', ['role', 'persona', 'identity', 'system']],
+  ['goal', ['goal', 'objective', 'task', 'purpose', 'mission']],
+  ['context', ['context', 'background', 'situation', 'documents', 'sources', 'reference']],
+  ['instructions', ['instruction', 'step', 'guideline', 'rule', 'process', 'approach', 'workflow']],
+  ['constraints', ['constraint', 'requirement', 'limit', 'boundar', 'avoid']],
+  ['examples', ['example', 'sample', 'demonstration']],
+  ['output', ['output', 'format', 'response', 'deliverable', 'expectation']],
+  ['tone', ['tone', 'style', 'voice']],
+  ['input', ['input', 'question', 'query', 'data']]
+];
+
+export function sectionKey(name) {
+  const normalised = name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const group = SECTION_GROUPS.find(([, words]) => words.some(word => normalised.includes(word)));
+  return group ? group[0] : normalised;
+}
+
+// Sections in document order: top-level XML tags (ones inside another tag,
+// like <example> in <examples>, are content), Markdown headings, and bold
+// labels at the start of a line ("**Goal:**")
+function findSections(prompt) {
+  const tags = [];
+  for (const match of prompt.matchAll(/<([A-Za-z][\w-]*)>/g)) {
+    const close = prompt.indexOf(`</${match[1]}>`, match.index);
+    if (close !== -1) tags.push({ index: match.index, end: close, name: match[1], style: 'xml' });
+  }
+
+  const found = tags.filter(tag => !tags.some(outer => outer.index < tag.index && outer.end > tag.end));
+  for (const match of prompt.matchAll(/^#{1,6}\s+(.+?)\s*#*$/gm)) {
+    found.push({ index: match.index, name: match[1], style: 'markdown' });
+  }
+  for (const match of prompt.matchAll(/^\*\*([^*\n]{1,60}?):?\*\*:?/gm)) {
+    found.push({ index: match.index, name: match[1], style: 'bold' });
+  }
+
+  // Sections that group together ("Task" and "Goal") are listed once
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(s => ({ name: s.name, style: s.style, key: sectionKey(s.name) }))
+    .filter(s => !seen.has(s.key) && seen.add(s.key));
+}
+
+const STYLE_NAMES = { xml: 'XML tags', markdown: 'Markdown headings', bold: 'Bold labels' };
+
+function delimiterStyle(sections) {
+  const styles = [...new Set(sections.map(s => s.style))];
+  if (styles.length === 0) return 'Plain text';
+  if (styles.length > 1) return `Mixed (${styles.map(s => STYLE_NAMES[s]).join(', ')})`;
+  return STYLE_NAMES[styles[0]];
+}
+
+function contextOrder(sections) {
+  const position = key => sections.findIndex(s => s.key === key);
+  const context = position('context');
+  const task = Math.max(position('instructions'), position('goal'));
+  if (context === -1 || task === -1) return '-';
+  return context < task ? 'Context first' : 'Instructions first';
+}
+
+// Structural summary of one prompt
+export function analyseStructure(prompt) {
+  const text = prompt || '';
+  const sections = findSections(text);
+
+  return {
+    delimiters: delimiterStyle(sections),
+    sections,
+    order: contextOrder(sections),
+    words: text.trim() ? text.trim().split(/\s+/).length : 0,
+    steps: (text.match(/^\s*\d+[.)]\s/gm) || []).length,
+    bullets: (text.match(/^\s*[-*•]\s/gm) || []).length,
+    // Few-shot examples, not "Example:" hints inside other sections
+    examples: (text.match(/<example>/gi) || []).length || (text.match(/^(#{1,6}\s+|\*\*)examples?\b/gim) || []).length,
+    placeholders: findPlaceholders(text).length
+  };
+}
+
+const mostCommon = values => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Rows for the compare table. Each cell says whether it stands out from the
+// other columns: a different value from the majority, or a count well away
+// from the median.
+export function compareStructures(structures) {
+  const categorical = (label, pick) => {
+    const values = structures.map(pick);
+    const common = mostCommon(values);
+    return { label, cells: values.map(value => ({ value, differs: structures.length > 1 && value !== common })) };
+  };
+
+  const numeric = (label, pick, suffix = '') => {
+    const values = structures.map(pick);
+    const middle = median(values);
+    return {
+      label,
+      cells: values.map(value => ({
+        value: `${value}${suffix}`,
+        differs: structures.length > 1 && Math.abs(value - middle) > Math.max(2, middle * 0.25)
+      }))
+    };
+  };
+
+  // aspect: the VENDOR_COMPARISON row that explains the difference
+  return [
+    categorical('Delimiters', s => s.delimiters),
+    { ...categorical('Ordering', s => s.order), aspect: 'contextOrdering' },
+    { ...numeric('Length', s => s.words, ' words'), aspect: 'defaultVerbosity' },
+    numeric('Sections', s => s.sections.length),
+    numeric('Numbered steps', s => s.steps),
+    numeric('Examples', s => s.examples),
+    numeric('Placeholders', s => s.placeholders)
+  ];
+}
+
+// Per column: partial - its section keys that not every column has;
+// missing - keys every other column has but this one doesn't
+export function sectionPresence(structures) {
+  const has = (structure, key) => structure.sections.some(s => s.key === key);
+
+  return structures.map((structure, i) => {
+    const others = structures.filter((_, j) => j !== i);
+    const allKeys = [...new Set(others.flatMap(other => other.sections.map(s => s.key)))];
+    return {
+      partial: new Set(structure.sections.map(s => s.key).filter(key => !structures.every(other => has(other, key)))),
+      missing: others.length > 1 ? allKeys.filter(key => !has(structure, key) && others.every(other => has(other, key))) : []
+    };
+  });
+}
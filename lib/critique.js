@@ -0,0 +1,62 @@
+// Critique rounds. The first round is the critique as the analyser returned
+// it; each "dig deeper" round adds its questions to the same list (ids
+// prefixed "r2q1", "r3q1"... so answers never collide) and its assessment to
+// critique.rounds, along with the partialFields of its reply if any.
+// Critiques saved before rounds existed are one round.
+
+// Rounds a session can go to, including the first
+export const MAX_CRITIQUE_ROUNDS = 4;
+
+export const questionRound = q => q.round || 1;
+
+// [{ round, overallAssessment, concerns, majorGaps, questions }], first round first
+export function critiqueRounds(critique) {
+  if (!critique) return [];
+  const rounds = critique.rounds || [{
+    round: 1,
+    overallAssessment: critique.overallAssessment,
+    concerns: critique.concerns,
+    majorGaps: true,
+    ...(critique.partialFields && { partialFields: critique.partialFields })
+  }];
+  return rounds.map(r => ({
+    ...r,
+    concerns: r.concerns || [],
+    questions: (critique.questions || []).filter(q => questionRound(q) === r.round)
+  }));
+}
+
+// Every question so far with its answer, for the next round's request.
+// Skipped questions go too so the next round doesn't ask them again.
+export function previousQuestions(critique, answers) {
+  return (critique?.questions || []).map(q => ({ question: q.question, answer: answers[q.id]?.trim() || '' }));
+}
+
+// The critique with a follow-up round's response added. Called with partial
+// responses while streaming, so it only ever builds on the given critique.
+export function addCritiqueRound(critique, data) {
+  const rounds = critiqueRounds(critique).map(({ questions, ...r }) => r);
+  const round = rounds.length + 1;
+  const questions = (data.questions || [])
+    .filter(q => q?.question)
+    .map((q, i) => ({ ...q, id: `r${round}q${i + 1}`, round }));
+
+  return {
+    ...critique,
+    questions: [...(critique.questions || []), ...questions],
+    rounds: [...rounds, {
+      round,
+      overallAssessment: data.overallAssessment || '',
+      concerns: data.concerns || [],
+      majorGaps: data.majorGaps !== false,
+      ...(data.partialFields && { partialFields: data.partialFields })
+    }]
+  };
+}
+
+// Whether another round is worth offering: the last round still reported
+// major gaps and the cap isn't reached
+export function canDigDeeper(critique) {
+  const rounds = critiqueRounds(critique);
+  return rounds.length > 0 && rounds.length < MAX_CRITIQUE_ROUNDS && rounds[rounds.length - 1].majorGaps !== false;
+}
@@ -0,0 +1,15 @@
+// CSV for the exports, which are mostly opened in spreadsheets
+
+// One cell. Cells hold prompts, model output and other text from requests, so
+// text a spreadsheet would run as a formula (starting =, +, - or @) gets a
+// leading ' to keep it as text.
+export function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of cells, the header first, as CSV text
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
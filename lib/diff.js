@@ -0,0 +1,176 @@
+// Line- and word-level diffing between an original prompt and its rewrite
+// Plain LCS - prompts are small enough that Myers-style optimisations aren't worth it
+
+// Above this many table cells a changed region is treated as one wholesale replacement
+const MAX_LCS_CELLS = 1000000;
+
+// Diff two token arrays. Returns ops of { type: 'equal' | 'remove' | 'add', value }
+function diffTokens(a, b) {
+  // Strip the shared prefix/suffix so the LCS table only covers the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', value: a[i] });
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    midA.forEach(value => ops.push({ type: 'remove', value }));
+    midB.forEach(value => ops.push({ type: 'add', value }));
+  } else {
+    ops.push(...lcsOps(midA, midB));
+  }
+
+  for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', value: a[i] });
+  return ops;
+}
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+
+  // table[i * width + j] = LCS length of a[i..] and b[j..]
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ type: 'remove', value: a[i++] });
+    } else {
+      ops.push({ type: 'add', value: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'remove', value: a[i++] });
+  while (j < m) ops.push({ type: 'add', value: b[j++] });
+
+  return ops;
+}
+
+// Word-level diff. Whitespace and punctuation are their own tokens so
+// joining every op's value back together reproduces the input exactly.
+export function diffWords(original, revised) {
+  const tokenise = text => text.match(/\s+|\w+|[^\s\w]/g) || [];
+  const ops = diffTokens(tokenise(original), tokenise(revised));
+
+  // Collapse runs of the same op type for cheaper rendering
+  const merged = [];
+  ops.forEach(op => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  });
+  return merged;
+}
+
+// Line-level diff grouped into hunks, each carrying its own word-level diff.
+// Segments are { type: 'equal', lines } or { type: 'hunk', id, removed, added, words }
+export function diffPrompts(original, revised) {
+  const ops = diffTokens(original.split('\n'), revised.split('\n'));
+  const segments = [];
+  let hunkCount = 0;
+
+  ops.forEach(op => {
+    const last = segments[segments.length - 1];
+    if (op.type === 'equal') {
+      if (last && last.type === 'equal') {
+        last.lines.push(op.value);
+      } else {
+        segments.push({ type: 'equal', lines: [op.value] });
+      }
+      return;
+    }
+
+    let hunk = last;
+    if (!hunk || hunk.type !== 'hunk') {
+      hunk = { type: 'hunk', id: `h${++hunkCount}`, removed: [], added: [] };
+      segments.push(hunk);
+    }
+    (op.type === 'remove' ? hunk.removed : hunk.added).push(op.value);
+  });
+
+  segments.forEach(segment => {
+    if (segment.type === 'hunk') {
+      segment.words = diffWords(segment.removed.join('\n'), segment.added.join('\n'));
+    }
+  });
+
+  return segments;
+}
+
+// Rebuild the prompt from per-hunk decisions. Hunks are accepted unless
+// decisions[hunk.id] === false, in which case the original lines are kept.
+export function mergeHunks(segments, decisions = {}) {
+  return segments
+    .flatMap(segment => {
+      if (segment.type === 'equal') return segment.lines;
+      return decisions[segment.id] === false ? segment.removed : segment.added;
+    })
+    .join('\n');
+}
+
+// Best-effort match of each hunk to the optimise-mode `changes` entry that
+// most likely describes it. Returns { [hunkId]: changeIndex }.
+export function linkChangesToHunks(segments, changes = []) {
+  const links = {};
+  if (!changes.length) return links;
+
+  const keywords = text => new Set((text.toLowerCase().match(/\w{4,}/g) || []));
+  const quoted = text => (text.match(/["'‘“]([^"'’”]{3,})["'’”]/g) || [])
+    .map(q => q.slice(1, -1).toLowerCase());
+
+  const changeTerms = changes.map(c => ({
+    words: keywords(`${c.change || ''}`),
+    phrases: quoted(`${c.change || ''} ${c.reason || ''}`)
+  }));
+
+  segments.filter(s => s.type === 'hunk').forEach(hunk => {
+    const hunkText = [...hunk.removed, ...hunk.added].join('\n').toLowerCase();
+    const hunkWords = keywords(hunkText);
+
+    let best = -1;
+    let bestScore = 0;
+    changeTerms.forEach((terms, index) => {
+      let score = 0;
+      terms.words.forEach(word => {
+        if (hunkWords.has(word)) score += 1;
+      });
+      // A quoted phrase from the change appearing verbatim is a much stronger signal
+      terms.phrases.forEach(phrase => {
+        if (hunkText.includes(phrase)) score += 3;
+      });
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    if (bestScore >= 2) links[hunk.id] = best;
+  });
+
+  return links;
+}
@@ -0,0 +1,228 @@
+// A/B evaluation of prompt variants
+// Every variant is run on every test input, then a judge model scores each
+// output against a rubric built from the vendor's best practices plus any
+// criteria the user adds.
+
+import { GUIDANCE } from './guidance';
+import { getJudgeSystemPrompt } from './prompts';
+import { readAnalysisReply, OutputError } from './outputSchema';
+import { buildPromptRun } from './providers/targets';
+import { analyserUsage } from './providers/pricing';
+import { toCsv } from './csv';
+
+export const EVALUATION_LIMITS = {
+  maxVariants: 4,
+  maxInputs: 8,
+  maxRuns: 16, // variants x inputs
+  maxCriteria: 12,
+  maxPromptLength: 50000,
+  maxInputLength: 10000
+};
+
+// sessionStorage key used to hand variants from the optimiser to /evaluate
+export const EVALUATION_DRAFT_KEY = 'prompt-optimiser:evaluation-draft';
+
+// Parallel model calls per evaluation - enough to be quick, few enough to
+// stay clear of upstream rate limits
+const CONCURRENCY = 3;
+
+// Criteria as { id, name, description, source }. practices selects which of
+// the vendor's bestPractices to include (all when omitted).
+export function buildRubric(vendor, { practices, customCriteria = [] } = {}) {
+  const fromGuidance = (GUIDANCE[vendor]?.bestPractices || [])
+    .filter(p => !practices || practices.includes(p.rule))
+    .map(p => ({ name: p.rule, description: p.description, source: 'guidance' }));
+
+  const custom = customCriteria
+    .map(c => c.trim())
+    .filter(Boolean)
+    .map(c => ({ name: c, description: '', source: 'custom' }));
+
+  return [...fromGuidance, ...custom].map((c, i) => ({ id: `c${i + 1}`, ...c }));
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Scores for one output, and the token usage of the judge call (and its
+// repair, if the reply needed one - see outputSchema.js)
+async function judgeOutput(judge, rubric, prompt, input, output) {
+  const request = {
+    system: getJudgeSystemPrompt(rubric),
+    messages: [{
+      role: 'user',
+      content: `<prompt>\n${prompt}\n</prompt>\n\n<input>\n${input || '(none)'}\n</input>\n\n<output>\n${output}\n</output>`
+    }]
+  };
+  const { text, usage } = await judge.complete(request);
+
+  let reply;
+  try {
+    reply = await readAnalysisReply({ mode: 'judge', request, responseText: text, usage, provider: judge });
+  } catch (error) {
+    if (!(error instanceof OutputError)) throw error;
+    return { scores: {}, overall: null, notes: '', error: 'Judge response could not be parsed', usage };
+  }
+
+  const { scores: replyScores, overall, notes } = reply.result;
+  const clamp = (value, max) => Math.min(max, Math.max(1, Math.round(value)));
+
+  const scores = {};
+  rubric.forEach(c => {
+    if (typeof replyScores?.[c.id] === 'number') {
+      scores[c.id] = clamp(replyScores[c.id], 5);
+    }
+  });
+
+  return {
+    scores,
+    overall: typeof overall === 'number' ? clamp(overall, 10) : null,
+    notes: notes || '',
+    usage: reply.usage
+  };
+}
+
+// Index of the single highest value, or null when tied or nothing scored
+function uniqueTop(entries) {
+  const scored = entries.filter(([, value]) => typeof value === 'number');
+  if (scored.length === 0) return null;
+
+  const best = Math.max(...scored.map(([, value]) => value));
+  const leaders = scored.filter(([, value]) => value === best);
+  return leaders.length === 1 ? leaders[0][0] : null;
+}
+
+const mean = values => values.length
+  ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+  : null;
+
+function buildReport({ variants, inputs, rubric, runs }) {
+  const cases = inputs.map((input, caseIndex) => {
+    const outputs = runs.filter(r => r.caseIndex === caseIndex);
+    const winner = uniqueTop(outputs.map(o => [o.variantIndex, o.overall]));
+
+    const criterionWinners = {};
+    rubric.forEach(c => {
+      criterionWinners[c.id] = uniqueTop(outputs.map(o => [o.variantIndex, o.scores[c.id]]));
+    });
+
+    // The judge "disagrees with itself" when criteria favour different
+    // variants, or all favour one that didn't win overall
+    const favoured = new Set(Object.values(criterionWinners).filter(v => v !== null));
+    const disagreement = favoured.size > 1 || (winner !== null && favoured.size === 1 && !favoured.has(winner));
+
+    return { input, outputs, winner, criterionWinners, disagreement };
+  });
+
+  const aggregate = variants.map((variant, variantIndex) => {
+    const mine = runs.filter(r => r.variantIndex === variantIndex);
+    const meanByCriterion = {};
+    rubric.forEach(c => {
+      meanByCriterion[c.id] = mean(mine.map(r => r.scores[c.id]).filter(v => typeof v === 'number'));
+    });
+
+    return {
+      variant: variant.name,
+      meanOverall: mean(mine.map(r => r.overall).filter(v => typeof v === 'number')),
+      meanByCriterion,
+      wins: cases.filter(c => c.winner === variantIndex).length,
+      failures: mine.filter(r => r.error).length
+    };
+  });
+
+  return {
+    variants: variants.map(v => ({ name: v.name, prompt: v.prompt })),
+    rubric,
+    cases,
+    aggregate,
+    winner: uniqueTop(aggregate.map((a, i) => [i, a.meanOverall])),
+    disagreements: cases.filter(c => c.disagreement).length
+  };
+}
+
+// Run every variant on every input with the target provider and score the
+// outputs with the judge provider. onProgress(completed, total) is called as
+// runs finish. A failed run is recorded on its case rather than aborting the
+// evaluation; if every run fails, the first error is thrown.
+//
+// The report's usage is what every target and judge call that returned cost
+// together, priced on the model each ran on (costUsd leaves out unpriced
+// models).
+export async function runEvaluation({ variants, inputs, rubric, target, judge, onProgress }) {
+  const jobs = inputs.flatMap((input, caseIndex) =>
+    variants.map((variant, variantIndex) => ({ caseIndex, variantIndex, input, variant }))
+  );
+
+  let completed = 0;
+  let firstError = null;
+
+  const usage = { inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  const spend = (provider, callUsage) => {
+    const priced = analyserUsage(provider, callUsage);
+    usage.inputTokens += priced.inputTokens;
+    usage.outputTokens += priced.outputTokens;
+    usage.costUsd += priced.costUsd || 0;
+  };
+
+  const runs = await mapWithConcurrency(jobs, CONCURRENCY, async ({ caseIndex, variantIndex, input, variant }) => {
+    const run = { caseIndex, variantIndex, variant: variant.name, output: '', scores: {}, overall: null, notes: '' };
+
+    try {
+      const { text, usage: runUsage } = await target.complete(buildPromptRun(variant.prompt, input));
+      spend(target, runUsage);
+      run.output = text;
+      const { usage: judgeUsage, ...judged } = await judgeOutput(judge, rubric, variant.prompt, input, text);
+      spend(judge, judgeUsage);
+      Object.assign(run, judged);
+    } catch (error) {
+      firstError = firstError || error;
+      run.error = error.status ? `Model call failed (status ${error.status})` : 'Model call failed';
+    }
+
+    completed++;
+    onProgress?.(completed, jobs.length);
+    return run;
+  });
+
+  if (firstError && runs.every(r => r.error)) {
+    throw firstError;
+  }
+
+  return { ...buildReport({ variants, inputs, rubric, runs }), usage };
+}
+
+// Flatten a report to CSV: one row per test input per variant
+export function evaluationToCsv(report) {
+  const header = [
+    'case', 'input', 'variant', 'overall',
+    ...report.rubric.map(c => c.name),
+    'notes', 'error', 'case_winner', 'disagreement', 'guidance_version'
+  ];
+
+  const rows = report.cases.flatMap((c, caseIndex) => c.outputs.map(o => [
+    caseIndex + 1,
+    c.input,
+    o.variant,
+    o.overall,
+    ...report.rubric.map(r => o.scores[r.id]),
+    o.notes,
+    o.error || '',
+    c.winner === null ? '' : report.variants[c.winner].name,
+    c.disagreement ? 'yes' : 'no',
+    report.guidanceVersion
+  ]));
+
+  return toCsv([header, ...rows]);
+}
@@ -0,0 +1,356 @@
+// Guidance packs: the vendor guidance as versioned data files in guidance/.
+//
+// guidance/base.json holds the published vendor guidance. guidance/overrides.json
+// lists org-level packs that are applied on top, in order - each can add,
+// remove or reweight best practices, anti-patterns, formatting preferences and
+// lint rules, and define whole new vendor profiles for in-house or open-weight
+// models (see guidance/overrides.example.json). Every pack is checked
+// against its schema on load, so a bad edit fails the build rather than
+// quietly changing what the analyser is told.
+
+import basePack from '../guidance/base.json';
+import overridePacks from '../guidance/overrides.json';
+import { checkSchema } from './schema';
+
+export class GuidancePackError extends Error {
+  constructor(packId, problems) {
+    super(`Guidance pack "${packId}" is invalid:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'GuidancePackError';
+    this.packId = packId;
+    this.problems = problems;
+  }
+}
+
+export const SCHEMA_VERSION = 1;
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+// Same order as SEVERITIES in lint.js, which reads this module so can't be imported here
+const LINT_LEVELS = ['error', 'warning', 'info'];
+
+// --- Schemas -----------------------------------------------------------------
+// Checked with lib/schema.js. Objects are closed, so unknown keys are
+// reported - which catches typos.
+
+const text = { type: 'string', minLength: 1 };
+const texts = { type: 'array', items: text };
+const packId = { type: 'string', pattern: /^[a-z0-9][a-z0-9-]{0,39}$/ };
+
+const PRACTICE = {
+  type: 'object',
+  required: ['rule', 'description'],
+  properties: {
+    rule: text,
+    description: text,
+    example: text,
+    priority: { type: 'string', enum: PRIORITIES }
+  }
+};
+
+// USD per million tokens, by model name - used for cost estimates in the UI
+const PRICE = {
+  type: 'object',
+  required: ['input', 'output'],
+  properties: {
+    input: { type: 'number', minimum: 0 },
+    output: { type: 'number', minimum: 0 }
+  }
+};
+
+const VENDOR = {
+  type: 'object',
+  required: ['name', 'models', 'contextWindow', 'lastUpdated', 'source', 'bestPractices', 'formattingPreferences', 'antiPatterns', 'structureTemplate'],
+  properties: {
+    name: text,
+    models: { type: 'array', items: text, minItems: 1 },
+    contextWindow: text,
+    maxOutput: text,
+    pricing: { type: 'object', values: PRICE },
+    lastUpdated: text,
+    knowledgeCutoff: text,
+    source: text,
+    bestPractices: { type: 'array', items: PRACTICE },
+    formattingPreferences: texts,
+    antiPatterns: texts,
+    structureTemplate: text
+  }
+};
+
+const HEADER = {
+  schemaVersion: { type: 'number', enum: [SCHEMA_VERSION] },
+  id: packId,
+  name: text,
+  version: text,
+  description: text
+};
+
+export const BASE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'id', 'name', 'version', 'vendors', 'universal', 'comparison'],
+  properties: {
+    ...HEADER,
+    vendors: { type: 'object', values: VENDOR },
+    universal: {
+      type: 'object',
+      required: ['bestPractices', 'antiPatterns'],
+      properties: { bestPractices: texts, antiPatterns: texts }
+    },
+    comparison: { type: 'object', values: { type: 'object', values: text } }
+  }
+};
+
+const listEdit = items => ({
+  type: 'object',
+  properties: { add: { type: 'array', items }, remove: texts }
+});
+
+const LINT_RULE = {
+  type: 'object',
+  required: ['id', 'severity', 'message', 'pattern'],
+  properties: {
+    id: packId,
+    severity: { type: 'string', enum: LINT_LEVELS },
+    message: text,
+    suggestion: text,
+    pattern: text,
+    flags: { type: 'string', pattern: /^[imsu]*$/ }
+  }
+};
+
+const VENDOR_OVERRIDE = {
+  type: 'object',
+  properties: {
+    bestPractices: {
+      type: 'object',
+      properties: {
+        add: { type: 'array', items: PRACTICE },
+        remove: texts,
+        reweight: { type: 'object', values: { type: 'string', enum: PRIORITIES } }
+      }
+    },
+    antiPatterns: listEdit(text),
+    formattingPreferences: listEdit(text),
+    lint: {
+      type: 'object',
+      properties: {
+        severity: { type: 'object', values: { type: 'string', enum: [...LINT_LEVELS, 'off'] } },
+        add: { type: 'array', items: LINT_RULE }
+      }
+    }
+  }
+};
+
+// Same names as PROVIDERS in lib/providers, which is server-only
+const TARGET_PROVIDERS = ['anthropic', 'openai', 'gemini', 'ollama'];
+
+// A custom vendor: the same guidance fields as a base vendor, plus where test
+// drive should run it and its row values for the vendor comparison table.
+// baseUrlVar names an environment variable rather than holding the URL, so
+// internal hostnames stay out of the browser bundle.
+const PROFILE = {
+  ...VENDOR,
+  properties: {
+    ...VENDOR.properties,
+    target: {
+      type: 'object',
+      required: ['provider', 'models'],
+      properties: {
+        provider: { type: 'string', enum: TARGET_PROVIDERS },
+        models: { type: 'object', values: text },
+        baseUrlVar: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/ }
+      }
+    },
+    comparison: { type: 'object', values: text }
+  }
+};
+
+export const OVERRIDE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'id', 'name', 'version'],
+  properties: {
+    ...HEADER,
+    profiles: { type: 'object', values: PROFILE },
+    vendors: { type: 'object', values: VENDOR_OVERRIDE }
+  }
+};
+
+// --- Applying overrides --------------------------------------------------------
+
+// Prices are listed by model name, so each must be one of the vendor's models
+function checkPricing(guidance, where, problems) {
+  Object.keys(guidance.pricing || {})
+    .filter(model => !guidance.models.includes(model))
+    .forEach(model => problems.push(`${where}.pricing.${model}: not one of the models`));
+}
+
+// Best practices are named by their rule; other guidance entries are plain strings
+const nameOf = item => (typeof item === 'string' ? item : item.rule);
+
+// Remove items by name. Under a specific vendor a missing name is reported -
+// usually a typo, or the base pack has reworded the entry since the override
+// was written. Under "*" a name only has to exist for some vendor (checked in
+// checkWildcardRemovals).
+function removeNamed(list, names, where, problems, strict) {
+  if (strict) {
+    names.forEach(name => {
+      if (!list.some(item => nameOf(item) === name)) problems.push(`${where}.remove: "${name}" not found`);
+    });
+  }
+  return list.filter(item => !names.includes(nameOf(item)));
+}
+
+function checkWildcardRemovals(edit, vendors, problems) {
+  ['bestPractices', 'antiPatterns', 'formattingPreferences'].forEach(field => {
+    (edit[field]?.remove || []).forEach(name => {
+      if (!Object.values(vendors).some(guidance => guidance[field].some(item => nameOf(item) === name))) {
+        problems.push(`vendors.*.${field}.remove: "${name}" not found for any vendor`);
+      }
+    });
+  });
+}
+
+function applyVendorOverride({ guidance, lint }, edit, pack, where, problems) {
+  const strict = !where.endsWith('*');
+  const practices = edit.bestPractices || {};
+
+  let bestPractices = removeNamed(guidance.bestPractices, practices.remove || [], `${where}.bestPractices`, problems, strict);
+  bestPractices = [...bestPractices, ...(practices.add || []).map(p => ({ ...p, pack: pack.name }))];
+  Object.entries(practices.reweight || {}).forEach(([rule, priority]) => {
+    if (strict && !bestPractices.some(p => p.rule === rule)) {
+      problems.push(`${where}.bestPractices.reweight: "${rule}" not found`);
+    }
+    bestPractices = bestPractices.map(p => (p.rule === rule ? { ...p, priority } : p));
+  });
+
+  const editList = (field) => {
+    const change = edit[field] || {};
+    const kept = removeNamed(guidance[field], change.remove || [], `${where}.${field}`, problems, strict);
+    return [...kept, ...(change.add || [])];
+  };
+
+  // House lint rules replace any earlier rule with the same id
+  const added = (edit.lint?.add || []).map(rule => ({ ...rule, pack: pack.name }));
+  added.forEach((rule, i) => {
+    try {
+      new RegExp(rule.pattern, rule.flags);
+    } catch {
+      problems.push(`${where}.lint.add[${i}].pattern: not a valid regular expression`);
+    }
+  });
+
+  return {
+    guidance: {
+      ...guidance,
+      bestPractices,
+      antiPatterns: editList('antiPatterns'),
+      formattingPreferences: editList('formattingPreferences')
+    },
+    lint: {
+      severity: { ...lint.severity, ...edit.lint?.severity },
+      rules: [...lint.rules.filter(rule => !added.some(a => a.id === rule.id)), ...added]
+    }
+  };
+}
+
+// New vendor profiles, added before the pack's vendor edits so those can refine them
+function addProfiles(resolved, profiles, problems) {
+  let next = resolved;
+
+  Object.entries(profiles).forEach(([id, profile]) => {
+    const where = `profiles.${id}`;
+    if (!packId.pattern.test(id)) {
+      problems.push(`${where}: ids are lower-case letters, digits and dashes`);
+    }
+    if (resolved.vendors[id]) {
+      problems.push(`${where}: "${id}" is already a vendor - change it under vendors instead`);
+    }
+    Object.keys(profile.target?.models || {})
+      .filter(model => !profile.models.includes(model))
+      .forEach(model => problems.push(`${where}.target.models.${model}: not one of the profile's models`));
+    checkPricing(profile, where, problems);
+    Object.keys(profile.comparison || {})
+      .filter(row => !resolved.comparison[row])
+      .forEach(row => problems.push(`${where}.comparison.${row}: no such row (expected one of ${Object.keys(resolved.comparison).join(', ')})`));
+
+    const { target, comparison = {}, ...guidance } = profile;
+    next = {
+      ...next,
+      vendors: { ...next.vendors, [id]: guidance },
+      lint: { ...next.lint, [id]: { severity: {}, rules: [] } },
+      targets: target ? { ...next.targets, [id]: target } : next.targets,
+      comparison: Object.fromEntries(Object.entries(next.comparison).map(([row, values]) =>
+        [row, comparison[row] ? { ...values, [id]: comparison[row] } : values]))
+    };
+  });
+
+  return next;
+}
+
+// Vendor edits under "*" apply to every vendor, before that vendor's own
+function applyOverride(previous, pack) {
+  const problems = checkSchema(pack, OVERRIDE_SCHEMA);
+  if (problems.length) throw new GuidancePackError(pack?.id || 'override', problems);
+
+  const resolved = addProfiles(previous, pack.profiles || {}, problems);
+  const edits = pack.vendors || {};
+
+  Object.keys(edits).forEach(vendor => {
+    if (vendor !== '*' && !resolved.vendors[vendor]) {
+      problems.push(`vendors.${vendor}: no such vendor (expected one of ${Object.keys(resolved.vendors).join(', ')} or *)`);
+    }
+  });
+  if (resolved.packs.some(p => p.id === pack.id)) {
+    problems.push(`id: "${pack.id}" is already loaded`);
+  }
+  if (edits['*']) {
+    checkWildcardRemovals(edits['*'], resolved.vendors, problems);
+  }
+
+  const vendors = {};
+  const lint = {};
+  Object.keys(resolved.vendors).forEach(vendor => {
+    let state = { guidance: resolved.vendors[vendor], lint: resolved.lint[vendor] };
+    ['*', vendor].filter(key => edits[key]).forEach(key => {
+      state = applyVendorOverride(state, edits[key], pack, `vendors.${key}`, problems);
+    });
+    vendors[vendor] = state.guidance;
+    lint[vendor] = state.lint;
+  });
+
+  // "*" edits run once per vendor, so the same problem can come up several times
+  if (problems.length) throw new GuidancePackError(pack.id, [...new Set(problems)]);
+
+  return {
+    ...resolved,
+    vendors,
+    lint,
+    packs: [...resolved.packs, { id: pack.id, name: pack.name, version: pack.version }]
+  };
+}
+
+// Base pack plus overrides, ready for lib/guidance.js and lib/lint.js.
+// version reads e.g. "base@2025.12.23+acme@3" and is recorded on every result.
+export function resolvePacks(base, overrides = []) {
+  const problems = checkSchema(base, BASE_SCHEMA);
+  if (!problems.length) {
+    Object.entries(base.vendors).forEach(([vendor, guidance]) => checkPricing(guidance, `vendors.${vendor}`, problems));
+  }
+  if (problems.length) throw new GuidancePackError(base?.id || 'base', problems);
+  if (!Array.isArray(overrides)) {
+    throw new GuidancePackError('overrides', ['guidance/overrides.json must be an array of packs']);
+  }
+
+  const start = {
+    vendors: base.vendors,
+    universal: base.universal,
+    comparison: base.comparison,
+    lint: Object.fromEntries(Object.keys(base.vendors).map(vendor => [vendor, { severity: {}, rules: [] }])),
+    // Test drive backends for custom profiles (the base vendors' are in lib/providers/targets.js)
+    targets: {},
+    packs: [{ id: base.id, name: base.name, version: base.version }]
+  };
+
+  const resolved = overrides.reduce(applyOverride, start);
+  return { ...resolved, version: resolved.packs.map(p => `${p.id}@${p.version}`).join('+') };
+}
+
+export const GUIDANCE_PACK = resolvePacks(basePack, overridePacks);
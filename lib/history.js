@@ -0,0 +1,80 @@
+// Session history, kept in the browser's localStorage
+// Nothing here is sent to the server unless the user creates a share link.
+
+const STORAGE_KEY = 'prompt-optimiser:history';
+const MAX_SESSIONS = 100;
+
+// Results are stored per target so switching models doesn't overwrite them
+export const resultKey = (vendor, model) => `${vendor}:${model}`;
+
+export function createSessionId() {
+  return `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function loadHistory() {
+  try {
+    const sessions = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(sessions) ? sessions : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeHistory(sessions) {
+  // Newest first; drop the oldest sessions if the browser quota is exceeded
+  let kept = sessions.slice(0, MAX_SESSIONS);
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+      return kept;
+    } catch {
+      kept = kept.slice(0, -1);
+    }
+  }
+  localStorage.removeItem(STORAGE_KEY);
+  return [];
+}
+
+// Insert or update a session and move it to the top. Returns the new list.
+export function saveSession(session) {
+  const others = loadHistory().filter(s => s.id !== session.id);
+  return writeHistory([{ ...session, updatedAt: new Date().toISOString() }, ...others]);
+}
+
+export function deleteSession(id) {
+  return writeHistory(loadHistory().filter(s => s.id !== id));
+}
+
+export function clearHistory() {
+  localStorage.removeItem(STORAGE_KEY);
+  return [];
+}
+
+// Everything a user might remember about a session, flattened for searching
+function searchableText(session) {
+  const critique = session.critique || {};
+  const results = Object.values(session.results || {}).map(r => r.result || {});
+
+  return [
+    session.inputText,
+    session.problemContext,
+    critique.overallAssessment,
+    ...(critique.concerns || []),
+    // Follow-up critique rounds (the first round repeats the fields above)
+    ...(critique.rounds || []).slice(1).flatMap(r => [r.overallAssessment, ...(r.concerns || [])]),
+    ...(critique.questions || []).flatMap(q => [q.question, q.why]),
+    ...Object.values(session.answers || {}),
+    ...results.flatMap(r => [r.generatedPrompt, r.optimisedPrompt, r.summary])
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+// Sessions containing every word of the query, in their existing order
+export function searchHistory(sessions, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return sessions;
+
+  return sessions.filter(session => {
+    const text = searchableText(session);
+    return terms.every(term => text.includes(term));
+  });
+}
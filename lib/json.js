@@ -0,0 +1,102 @@
+// JSON extraction from model responses
+// Models are asked for bare JSON but sometimes wrap it in code fences or prose
+
+// Pull the JSON object out of a complete response. Throws if none can be parsed.
+export function extractJson(responseText) {
+  // Remove markdown code blocks if present
+  let jsonStr = responseText;
+  const codeBlockMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (codeBlockMatch) {
+    jsonStr = codeBlockMatch[1];
+  }
+
+  // Find JSON object
+  const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in response');
+  }
+
+  // Clean up common JSON issues
+  const cleanJson = jsonMatch[0]
+    .replace(/,\s*}/g, '}')
+    .replace(/,\s*]/g, ']');
+
+  return JSON.parse(cleanJson);
+}
+
+// Best-effort parse of a JSON object that is still being streamed.
+// Closes any open strings, arrays and objects so the fields received so far
+// can be rendered. Incomplete keys and literals are dropped until they finish.
+// Returns null if nothing usable has arrived yet.
+export function parsePartialJson(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+  const src = text.slice(start);
+
+  const closers = [];
+  let inString = false;
+  let stringIsKey = false;
+  let escaped = false;
+  let expectKey = false;
+
+  // Last position where the prefix can be closed into valid JSON
+  let cut = 0;
+  let cutClosers = '';
+  const markCut = (index) => {
+    cut = index;
+    cutClosers = closers.slice().reverse().join('');
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+        if (!stringIsKey) markCut(i + 1);
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      stringIsKey = expectKey;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+      expectKey = ch === '{';
+      markCut(i + 1);
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+      expectKey = false;
+      markCut(i + 1);
+      if (closers.length === 0) break;
+    } else if (ch === ':') {
+      expectKey = false;
+    } else if (ch === ',') {
+      // Everything before a comma is a complete value
+      markCut(i);
+      expectKey = closers[closers.length - 1] === '}';
+    }
+  }
+
+  let candidate;
+  if (inString && !stringIsKey) {
+    // Mid-value: close the string so the text received so far is visible,
+    // trimming any half-written escape sequence first
+    let partial = escaped ? src.slice(0, -1) : src;
+    partial = partial.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    candidate = partial + '"' + closers.slice().reverse().join('');
+  } else {
+    candidate = src.slice(0, cut) + cutClosers;
+  }
+
+  try {
+    return JSON.parse(candidate.replace(/,\s*}/g, '}').replace(/,\s*]/g, ']'));
+  } catch {
+    return null;
+  }
+}
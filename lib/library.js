@@ -0,0 +1,47 @@
+// Prompt library helpers shared by the browser and the API routes.
+// Storage itself lives in libraryStore.js (server only).
+
+export const LIBRARY_LIMITS = {
+  maxTitleLength: 120,
+  maxTags: 10,
+  maxTagLength: 30,
+  maxPromptLength: 50000,
+  maxVersions: 200
+};
+
+// How a version came to exist
+export const VERSION_SOURCES = {
+  generate: 'Generated',
+  optimise: 'Optimised',
+  refine: 'Refined',
+  manual: 'Saved',
+  rollback: 'Rolled back'
+};
+
+// sessionStorage key for handing a saved version to the optimiser
+export const LIBRARY_DRAFT_KEY = 'prompt-optimiser:library-draft';
+
+// Lowercase, trimmed, de-duplicated tags. Accepts an array or a comma-separated string.
+export function normaliseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+
+  list.forEach(tag => {
+    if (typeof tag !== 'string') return;
+    const clean = tag.trim().toLowerCase().slice(0, LIBRARY_LIMITS.maxTagLength);
+    if (clean) seen.add(clean);
+  });
+
+  return [...seen].slice(0, LIBRARY_LIMITS.maxTags);
+}
+
+// Entries containing every word of the query (title, tags or latest prompt) and every chosen tag
+export function searchLibrary(entries, query, tags = []) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries.filter(entry => {
+    if (!tags.every(tag => entry.tags.includes(tag))) return false;
+    const text = [entry.title, ...entry.tags, entry.latestPrompt].join('\n').toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
@@ -0,0 +1,163 @@
+// Prompt library storage: named prompts with tags and a full version history.
+// Shared by everyone using this deployment.
+
+import crypto from 'crypto';
+import { GUIDANCE } from './guidance';
+import { getStore } from './storage';
+import { LIBRARY_LIMITS, VERSION_SOURCES, normaliseTags } from './library';
+
+export class LibraryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LibraryError';
+  }
+}
+
+const library = () => getStore('library');
+
+const isValidId = id => typeof id === 'string' && /^p_[A-Za-z0-9_-]{1,40}$/.test(id);
+
+function checkTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new LibraryError('Title is required');
+  }
+  if (title.length > LIBRARY_LIMITS.maxTitleLength) {
+    throw new LibraryError(`Title too long (max ${LIBRARY_LIMITS.maxTitleLength} characters)`);
+  }
+  return title.trim();
+}
+
+function buildVersion(number, { prompt, vendor, model, source, note, guidanceVersion }) {
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new LibraryError('Prompt is required');
+  }
+  if (prompt.length > LIBRARY_LIMITS.maxPromptLength) {
+    throw new LibraryError('Prompt too long (max 50,000 characters)');
+  }
+  if (!GUIDANCE[vendor]) {
+    throw new LibraryError('Invalid vendor');
+  }
+  if (typeof model !== 'string' || !model) {
+    throw new LibraryError('Model is required');
+  }
+
+  return {
+    version: number,
+    prompt,
+    vendor,
+    model: model.slice(0, 100),
+    source: VERSION_SOURCES[source] ? source : 'manual',
+    note: typeof note === 'string' ? note.slice(0, 500) : '',
+    // Guidance pack that produced this version (none for manual edits)
+    guidanceVersion: typeof guidanceVersion === 'string' ? guidanceVersion.slice(0, 200) : null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Oldest versions drop off once the cap is reached; numbering carries on
+function appendVersion(entry, fields) {
+  const last = entry.versions[entry.versions.length - 1];
+  const version = buildVersion(last ? last.version + 1 : 1, fields);
+
+  return {
+    ...entry,
+    vendor: version.vendor,
+    model: version.model,
+    updatedAt: version.createdAt,
+    versions: [...entry.versions, version].slice(-LIBRARY_LIMITS.maxVersions)
+  };
+}
+
+// Listing view of an entry, without the version bodies
+function summarise(entry) {
+  const latest = entry.versions[entry.versions.length - 1];
+  return {
+    id: entry.id,
+    title: entry.title,
+    tags: entry.tags,
+    vendor: entry.vendor,
+    model: entry.model,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    versionCount: entry.versions.length,
+    latestVersion: latest.version,
+    latestPrompt: latest.prompt
+  };
+}
+
+// Every entry, most recently updated first
+export async function listPrompts() {
+  const store = library();
+  const entries = await Promise.all((await store.list()).map(id => store.get(id)));
+  return entries
+    .filter(Boolean)
+    .map(summarise)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getPrompt(id) {
+  if (!isValidId(id)) return null;
+  return library().get(id);
+}
+
+export async function createPrompt({ title, tags, ...version }) {
+  const now = new Date().toISOString();
+  const entry = appendVersion({
+    id: `p_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+    title: checkTitle(title),
+    tags: normaliseTags(tags),
+    createdAt: now,
+    versions: []
+  }, version);
+
+  await library().set(entry.id, entry);
+  return entry;
+}
+
+// Change the title and/or tags. Returns null if the entry doesn't exist.
+export async function updatePrompt(id, { title, tags }) {
+  const entry = await getPrompt(id);
+  if (!entry) return null;
+
+  const updated = {
+    ...entry,
+    title: title === undefined ? entry.title : checkTitle(title),
+    tags: tags === undefined ? entry.tags : normaliseTags(tags),
+    updatedAt: new Date().toISOString()
+  };
+  await library().set(id, updated);
+  return updated;
+}
+
+export async function deletePrompt(id) {
+  if (!isValidId(id)) return false;
+  return library().delete(id);
+}
+
+export async function addVersion(id, fields) {
+  const entry = await getPrompt(id);
+  if (!entry) return null;
+
+  const updated = appendVersion(entry, fields);
+  await library().set(id, updated);
+  return updated;
+}
+
+// Rolling back never loses history: the chosen version is copied to a new latest version
+export async function rollbackPrompt(id, versionNumber) {
+  const entry = await getPrompt(id);
+  if (!entry) return null;
+
+  const target = entry.versions.find(v => v.version === versionNumber);
+  if (!target) {
+    throw new LibraryError(`Version ${versionNumber} not found`);
+  }
+
+  const updated = appendVersion(entry, {
+    ...target,
+    source: 'rollback',
+    note: `Rolled back to v${target.version}`
+  });
+  await library().set(id, updated);
+  return updated;
+}
@@ -0,0 +1,330 @@
+// Deterministic prompt linter - runs locally, no API call.
+//
+// Each rule enforces an entry from GUIDANCE (a bestPractices rule or an
+// antiPatterns line) or UNIVERSAL_PATTERNS, named in `source` - per vendor
+// where the wording differs. Guidance that can only be judged by reading for
+// meaning (e.g. "Iterate and Refine") is left to the analyser.
+//
+// A rule's find(text) returns the character ranges it objects to:
+//   { start, end, fix? }   where fix is { label, replacement } for [start, end)
+//
+// Org guidance packs (lib/guidancePack.js) can change a rule's severity, turn
+// it off, or add simple pattern-based house rules - see rulesFor().
+
+import { findPlaceholders } from './placeholders';
+import { GUIDANCE_PACK, GuidancePackError } from './guidancePack';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Rules for every vendor, custom profiles from guidance packs included
+const ALL_VENDORS = '*';
+
+// Every match of a global regex as a range
+function rangesOf(text, regex, fix) {
+  return [...text.matchAll(regex)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    ...(fix && { fix: fix(match) })
+  }));
+}
+
+// Delete a phrase along with one adjoining space so no double gap is left.
+// At the start of a sentence the next word is capitalised in its place.
+function removal(text, regex, label) {
+  return [...text.matchAll(regex)].map(match => {
+    let end = match.index + match[0].length;
+    if (text[end] === ' ') end++;
+
+    const before = text.slice(0, match.index).trimEnd();
+    if ((before === '' || /[.!?:\n]$/.test(before)) && /[a-z]/.test(text[end] || '')) {
+      return { start: match.index, end: end + 1, fix: { label, replacement: text[end].toUpperCase() } };
+    }
+    return { start: match.index, end, fix: { label, replacement: '' } };
+  });
+}
+
+// Ranges inside <tag>...</tag> pairs
+function taggedRegions(text) {
+  const regions = [];
+  for (const match of text.matchAll(/<([A-Za-z][\w-]*)[^>]*>/g)) {
+    const close = text.indexOf(`</${match[1]}>`, match.index);
+    if (close !== -1) regions.push([match.index, close]);
+  }
+  return regions;
+}
+
+const RAW_INPUT_NAMES = /\b(input|text|document|message|query|content|email|data|question)s?\b/;
+
+export const RULES = [
+  {
+    id: 'negative-constraint',
+    severity: 'warning',
+    vendors: ALL_VENDORS,
+    source: {
+      claude: 'Use Positive Instructions',
+      copilot: 'Use Positive Instructions',
+      gpt: "Negative constraints ('Don't do X') - use positive framing",
+      gemini: "Negative constraints ('Don't do X') - use positive framing",
+      default: "Negative constraints ('Don't do X') - use positive framing"
+    },
+    message: 'Negative instruction - models follow "do Y" better than "don\'t do X"',
+    suggestion: "Rephrase as what to do instead, e.g. 'Output plain text only' rather than 'Don't use markdown'",
+    find: text => rangesOf(text, /\b(don't|don’t|do not|never|avoid)\b/gi)
+  },
+  {
+    id: 'redundant-cot',
+    severity: 'warning',
+    vendors: ['gpt', 'gemini'],
+    source: {
+      gpt: "Adding 'Think step by step' to GPT-5.2 Thinking prompts (already has hidden CoT)",
+      gemini: 'Manual chain-of-thought prompting (use thinkingLevel parameter)'
+    },
+    message: 'Built-in reasoning makes "think step by step" redundant',
+    suggestion: 'Remove it and set the reasoning parameter (reasoning_effort / thinkingLevel) instead',
+    find: text => removal(text, /(let's |let us )?think (through (this|it) )?step[- ]by[- ]step[.,]?/gi, 'Remove phrase')
+  },
+  {
+    id: 'think-sensitivity',
+    severity: 'info',
+    vendors: ['claude'],
+    source: "Using 'think step by step' when extended thinking is disabled (Opus is sensitive to the word 'think')",
+    message: '"Think step by step" without extended thinking - Opus is sensitive to the word "think"',
+    suggestion: "Enable extended thinking, or use 'consider' / 'evaluate' instead",
+    find: text => rangesOf(text, /\bthink (through (this|it) )?step[- ]by[- ]step\b/gi)
+  },
+  {
+    id: 'shouting',
+    severity: 'warning',
+    vendors: ['claude'],
+    source: "Aggressive tool-use language with Opus ('CRITICAL: YOU MUST...') - use calm imperatives",
+    message: 'All-caps emphasis - Claude 4.x over-reacts to aggressive language',
+    suggestion: 'Use calm, plain imperatives',
+    find: text => rangesOf(text, /\b(CRITICAL|IMPORTANT|MUST|NEVER|ALWAYS|YOU)\b/g, match => {
+      // Capitalised at the start of a sentence or line, lowercase elsewhere
+      const before = text.slice(0, match.index).trimEnd();
+      const word = match[0].toLowerCase();
+      const sentenceStart = before === '' || /[.!?:\n]$/.test(before);
+      return { label: 'Lower case', replacement: sentenceStart ? word[0].toUpperCase() + word.slice(1) : word };
+    })
+  },
+  {
+    id: 'raw-input-untagged',
+    severity: 'warning',
+    vendors: ['claude'],
+    source: 'Feeding raw user input without XML tag separation (prompt injection risk)',
+    message: 'Inserted input is not wrapped in XML tags, so it can be mistaken for instructions',
+    suggestion: 'Wrap it in a tag such as <user_input>',
+    find: (text) => {
+      const regions = taggedRegions(text);
+      return findPlaceholders(text)
+        .filter(p => RAW_INPUT_NAMES.test(p.key))
+        .filter(p => !regions.some(([open, close]) => open < p.start && close >= p.end))
+        .map(p => ({
+          start: p.start,
+          end: p.end,
+          fix: { label: 'Wrap in <user_input>', replacement: `<user_input>\n${p.raw}\n</user_input>` }
+        }));
+    }
+  },
+  {
+    id: 'too-many-examples',
+    severity: 'info',
+    vendors: ['claude'],
+    source: 'Providing dozens of examples (3-5 diverse examples is optimal)',
+    message: 'More than 5 examples - 3-5 diverse examples works best',
+    suggestion: 'Keep the 3-5 most varied examples',
+    find: text => rangesOf(text, /<example>/gi).slice(5)
+  },
+  {
+    id: 'negative-example',
+    severity: 'warning',
+    vendors: ['claude', 'gemini'],
+    source: {
+      claude: 'Showing what NOT to do in examples (model may follow the negative pattern)',
+      gemini: 'Using anti-pattern examples (showing what NOT to do)'
+    },
+    message: 'Example of what not to do - the model may copy it',
+    suggestion: 'Show only examples of the behaviour you want',
+    find: text => rangesOf(text, /\b(bad|wrong|incorrect|poor) (example|output|response)\b|\bdon't do this\b/gi)
+  },
+  {
+    id: 'low-temperature',
+    severity: 'error',
+    vendors: ['gemini'],
+    source: 'Keep Temperature at 1.0 (CRITICAL)',
+    message: 'Gemini 3 degrades (loops, repetition) below temperature 1.0',
+    suggestion: 'Keep temperature at 1.0 and use thinkingLevel for determinism',
+    find: text => rangesOf(text, /(temperature\s*(?:of|=|:|to|at)?\s*)(0(?:\.\d+)?|\.\d+)\b/gi, match => ({
+      label: 'Set to 1.0',
+      replacement: `${match[1]}1.0`
+    }))
+  },
+  {
+    id: 'mixed-delimiters',
+    severity: 'warning',
+    vendors: ['gpt', 'gemini'],
+    source: {
+      gpt: 'Mixing XML and Markdown inconsistently',
+      gemini: 'Use Consistent Delimiters'
+    },
+    message: 'Markdown headings mixed with XML tags - pick one delimiter style',
+    suggestion: 'Use XML tags or Markdown headings throughout, not both',
+    find: text => (taggedRegions(text).length > 0 ? rangesOf(text, /^#{1,6} .+$/gm) : [])
+  },
+  {
+    id: 'verbose-politeness',
+    severity: 'info',
+    vendors: ['gemini'],
+    source: 'Be Precise and Direct',
+    message: 'Hedging or politeness padding - Gemini 3 favours direct instructions',
+    suggestion: 'State the task directly',
+    find: text => removal(text, /\b(could you (please |perhaps )?|would you (kindly |please )?|can you please |i was wondering if you could |perhaps )/gi, 'Remove padding')
+  },
+  {
+    id: 'unbounded-updates',
+    severity: 'info',
+    vendors: ['gpt'],
+    source: "Asking for task 'updates' without limits (causes narrative noise)",
+    message: 'Progress updates without a limit - GPT-5.2 will narrate',
+    suggestion: "Bound them, e.g. 'one sentence per major step'",
+    find: text => rangesOf(text, /\b(give|provide|send|post) (me )?(regular |frequent )?updates\b|\bkeep me (updated|posted)\b/gi)
+      .filter(range => !/\d|one|single|brief/i.test(text.slice(range.end, range.end + 60).split(/[.\n]/)[0]))
+  },
+  {
+    id: 'missing-source',
+    severity: 'info',
+    vendors: ['copilot'],
+    source: 'Explicitly Reference Data Sources',
+    message: 'Refers to a file without a / reference - Copilot may search the web instead',
+    suggestion: 'Reference it with /filename',
+    find: text => (text.includes('/') ? [] : rangesOf(text, /\b(file|document|report|spreadsheet|deck|presentation)s?\b/gi))
+  },
+  {
+    id: 'third-person',
+    severity: 'warning',
+    vendors: ['copilot'],
+    source: "Third-person references ('The model should...') - address Copilot directly",
+    message: 'Talks about the model in the third person',
+    suggestion: 'Address Copilot directly as "you"',
+    find: text => rangesOf(text, /\b(the|this) (model|assistant|ai|bot|copilot) (should|must|will|needs to)\b/gi, match => ({
+      label: 'Use "you"',
+      replacement: `${match[1][0] === match[1][0].toUpperCase() ? 'You' : 'you'} ${match[3]}`
+    }))
+  },
+  {
+    id: 'catch-up',
+    severity: 'warning',
+    vendors: ['copilot'],
+    source: "Generic 'catch up' prompts ('What did I miss?')",
+    message: 'Generic catch-up request - Copilot needs a scope',
+    suggestion: 'Name the people, threads or time range to summarise',
+    find: text => rangesOf(text, /\bwhat did i miss\b|\bcatch me up\b/gi)
+  },
+  {
+    id: 'ambiguous-terms',
+    severity: 'info',
+    vendors: ['copilot'],
+    source: 'Define Ambiguous Terms',
+    message: 'Vague term - say exactly what it means',
+    suggestion: "e.g. 'recent' → 'from the past 5 business days'",
+    find: text => rangesOf(text, /\b(recent(ly)?|significant|soon|asap|a few|several)\b/gi)
+  },
+  {
+    id: 'too-short',
+    severity: 'info',
+    vendors: ALL_VENDORS,
+    source: 'Vague instructions without specifics',
+    message: 'Very short prompt - likely missing context, audience or output format',
+    suggestion: 'Add why you need it, who it is for and what the output should look like',
+    find: text => (text.trim() && text.trim().split(/\s+/).length < 8 ? [{ start: 0, end: text.length }] : [])
+  }
+];
+
+// A house rule from an org pack: a regular expression, no quick-fix
+function houseRule(rule, vendor) {
+  return {
+    id: rule.id,
+    severity: rule.severity,
+    vendors: [vendor],
+    source: `House rule (${rule.pack})`,
+    message: rule.message,
+    suggestion: rule.suggestion || '',
+    find: text => rangesOf(text, new RegExp(rule.pattern, `${rule.flags || ''}g`)).filter(range => range.end > range.start)
+  };
+}
+
+// Built once at load so a pack naming a rule that doesn't exist fails the build
+const VENDOR_RULES = Object.fromEntries(Object.entries(GUIDANCE_PACK.lint).map(([vendor, { severity, rules }]) => {
+  const problems = [
+    ...Object.keys(severity)
+      .filter(id => !RULES.some(rule => rule.id === id) && !rules.some(rule => rule.id === id))
+      .map(id => `lint.severity: no lint rule "${id}"`),
+    ...rules
+      .filter(rule => RULES.some(builtIn => builtIn.id === rule.id))
+      .map(rule => `lint.add: "${rule.id}" is a built-in rule - change its severity instead`)
+  ];
+  if (problems.length) throw new GuidancePackError('overrides', [...new Set(problems)]);
+
+  const builtIn = RULES.filter(rule => rule.vendors === ALL_VENDORS || rule.vendors.includes(vendor));
+  const effective = [...builtIn, ...rules.map(rule => houseRule(rule, vendor))]
+    .map(rule => ({ ...rule, severity: severity[rule.id] || rule.severity }))
+    .filter(rule => rule.severity !== 'off');
+  return [vendor, effective];
+}));
+
+// The rules that apply to a vendor, after org pack overrides
+export function rulesFor(vendor) {
+  return VENDOR_RULES[vendor] || [];
+}
+
+// All problems in the text for a vendor, in document order.
+// Each issue: { ruleId, severity, start, end, message, suggestion, source, fix }
+export function lintPrompt(text, vendor) {
+  if (!text) return [];
+
+  const issues = [];
+  rulesFor(vendor).forEach(rule => {
+    rule.find(text).forEach(range => {
+      issues.push({
+        ruleId: rule.id,
+        severity: rule.severity,
+        start: range.start,
+        end: range.end,
+        message: rule.message,
+        suggestion: rule.suggestion,
+        source: typeof rule.source === 'string' ? rule.source : rule.source[vendor] || rule.source.default,
+        fix: range.fix || null
+      });
+    });
+  });
+
+  return issues.sort((a, b) => a.start - b.start || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+export function applyFix(text, issue) {
+  return text.slice(0, issue.start) + issue.fix.replacement + text.slice(issue.end);
+}
+
+// Apply every fixable issue. Overlapping fixes after the first are skipped.
+export function applyAllFixes(text, issues) {
+  let result = text;
+  let limit = Infinity;
+
+  [...issues]
+    .filter(issue => issue.fix)
+    .sort((a, b) => b.start - a.start)
+    .forEach(issue => {
+      if (issue.end > limit) return;
+      result = applyFix(result, issue);
+      limit = issue.start;
+    });
+
+  return result;
+}
+
+// 1-based line and column of a character offset, for editor-style output
+export function lineColumn(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
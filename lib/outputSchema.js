@@ -0,0 +1,179 @@
+// The JSON each analysis mode (and the evaluation judge) asks for (the
+// OUTPUT FORMAT sections in prompts.js) as schemas, and reading a reply
+// against them.
+//
+// A reply that doesn't parse or doesn't match gets one repair round-trip: the
+// model is shown its reply and the problems and asked for the corrected JSON.
+// If that still fails, the fields that are valid are kept and the rest are
+// listed in partialFields, so the user sees what came back rather than a
+// blank failure.
+
+import { checkSchema } from './schema';
+import { extractJson, parsePartialJson } from './json';
+
+export class OutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutputError';
+  }
+}
+
+const text = { type: 'string', minLength: 1 };
+const string = { type: 'string' };
+const strings = { type: 'array', items: string };
+
+// Models add fields of their own now and then - that's harmless, so objects
+// are open
+const object = (required, properties) => ({ type: 'object', open: true, required, properties });
+
+const CHANGE = object(['change'], {
+  severity: { type: 'string', pattern: /^(high|medium|low)$/i },
+  change: text,
+  reason: string,
+  guideline: string
+});
+
+const ASSUMPTION = object(['assumption'], { assumption: text, reason: string });
+
+export const OUTPUT_SCHEMAS = {
+  critique: object(['overallAssessment', 'questions'], {
+    overallAssessment: string,
+    questions: { type: 'array', items: object(['question'], { id: string, question: text, why: string, category: string }) },
+    concerns: strings,
+    majorGaps: { type: 'boolean' }
+  }),
+  optimise: object(['currentScore', 'action', 'optimisedPrompt', 'changes', 'summary'], {
+    currentScore: { type: 'number', minimum: 1, maximum: 10 },
+    action: { type: 'string', enum: ['optimised', 'rebuilt'] },
+    reason: string,
+    optimisedPrompt: text,
+    changes: { type: 'array', items: CHANGE },
+    assumptions: { type: 'array', items: ASSUMPTION },
+    notChanged: strings,
+    summary: string
+  }),
+  generate: object(['generatedPrompt', 'summary'], {
+    generatedPrompt: text,
+    assumptions: { type: 'array', items: ASSUMPTION },
+    structure: { type: 'array', items: object(['section'], { section: text, purpose: string }) },
+    suggestions: strings,
+    summary: string
+  }),
+  refine: object(['refinedPrompt', 'changes', 'summary'], {
+    refinedPrompt: text,
+    changes: { type: 'array', items: CHANGE },
+    summary: string
+  }),
+  // Scores are clamped to their ranges afterwards (evaluation.js)
+  judge: object(['scores', 'overall'], {
+    scores: { type: 'object', values: { type: 'number' } },
+    overall: { type: 'number' },
+    notes: string
+  })
+};
+
+// At most this many problems are sent back in the repair request
+const MAX_REPORTED_PROBLEMS = 20;
+
+// The reply's JSON (as much as can be salvaged from a truncated or broken
+// reply, flagged salvaged) and every way it fails the mode's schema
+export function checkReply(mode, responseText) {
+  let value;
+  try {
+    value = extractJson(responseText);
+  } catch {
+    value = parsePartialJson(responseText || '');
+    if (!value || Array.isArray(value)) return { value: null, problems: ['(root): no complete JSON object found'] };
+    return { value, salvaged: true, problems: ['(root): the JSON is cut off or malformed', ...checkSchema(value, OUTPUT_SCHEMAS[mode])] };
+  }
+  return { value, problems: checkSchema(value, OUTPUT_SCHEMAS[mode]) };
+}
+
+// The original request continued with the bad reply and what's wrong with it
+export function repairRequest(request, responseText, problems) {
+  const listed = problems.slice(0, MAX_REPORTED_PROBLEMS).map(p => `- ${p}`).join('\n');
+  return {
+    ...request,
+    messages: [
+      ...request.messages,
+      { role: 'assistant', content: responseText },
+      {
+        role: 'user',
+        content: `Your reply doesn't match the required JSON format:\n${listed}\n\nReply with the complete, corrected JSON object only - no other text.`
+      }
+    ]
+  };
+}
+
+// The valid fields of value, and the fields left out or cut down because
+// they were missing or failed the schema. Lists keep their valid items.
+export function keepValidFields(mode, value) {
+  const schema = OUTPUT_SCHEMAS[mode];
+  const fields = {};
+  const partialFields = [];
+
+  Object.entries(value).forEach(([key, child]) => {
+    const fieldSchema = schema.properties[key];
+    if (!fieldSchema || checkSchema(child, fieldSchema).length === 0) {
+      fields[key] = child;
+      return;
+    }
+    partialFields.push(key);
+    if (fieldSchema.type === 'array' && Array.isArray(child)) {
+      fields[key] = child.filter(item => checkSchema(item, fieldSchema.items).length === 0);
+    }
+  });
+
+  schema.required
+    .filter(key => value[key] === undefined)
+    .forEach(key => partialFields.push(key));
+
+  return { fields, partialFields };
+}
+
+const addUsage = (a, b) => (a || b) && {
+  inputTokens: (a?.inputTokens || 0) + (b?.inputTokens || 0),
+  outputTokens: (a?.outputTokens || 0) + (b?.outputTokens || 0)
+};
+
+// Read a complete analyser reply for mode, asking provider for one repair if
+// it doesn't match the schema. Resolves with { result, usage, partialFields,
+// repaired } - usage covers both calls, partialFields is empty when everything
+// checked out, repaired says the repair reply was the one used. Throws
+// OutputError when neither reply has anything usable.
+export async function readAnalysisReply({ mode, request, responseText, usage, provider }) {
+  let reply = checkReply(mode, responseText);
+  let totalUsage = usage;
+  let repaired = false;
+
+  if (reply.problems.length > 0) {
+    try {
+      const repair = await provider.complete(repairRequest(request, responseText, reply.problems));
+      totalUsage = addUsage(totalUsage, repair.usage);
+      const repairedReply = checkReply(mode, repair.text || '');
+      if (repairedReply.value && (!reply.value || repairedReply.problems.length <= reply.problems.length)) {
+        reply = repairedReply;
+        repaired = true;
+      }
+    } catch (error) {
+      // Without the first reply there's nothing to fall back on
+      if (!reply.value) throw error;
+    }
+  }
+
+  if (!reply.value) {
+    throw new OutputError('Failed to parse response. Please try again.');
+  }
+
+  const { fields, partialFields } = keepValidFields(mode, reply.value);
+
+  // A salvaged reply stopped part-way through its last field. Only the
+  // schema's own field names are listed, since extra keys are the model's
+  // words and partialFields is logged and kept in analytics.
+  const lastField = Object.keys(reply.value).pop();
+  if (reply.salvaged && OUTPUT_SCHEMAS[mode].properties[lastField] && !partialFields.includes(lastField)) {
+    partialFields.push(lastField);
+  }
+
+  return { result: fields, usage: totalUsage, partialFields, repaired };
+}
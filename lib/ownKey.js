@@ -0,0 +1,72 @@
+// Bring-your-own API key, shared by the browser and the API routes.
+//
+// A user can enter their own provider key instead of spending the
+// deployment's. The browser keeps it in sessionStorage (gone when the tab
+// closes) and sends it with each analyser or evaluation request in the
+// X-Analyser-Key header, naming its provider in X-Analyser-Provider. The
+// server uses it for that request only.
+// SECURITY: the key is never logged, stored or put in an error message.
+
+export const OWN_KEY_HEADER = 'x-analyser-key';
+export const OWN_PROVIDER_HEADER = 'x-analyser-provider';
+
+// Providers a user can bring a key for (Ollama needs none)
+export const OWN_KEY_PROVIDERS = {
+  anthropic: 'Anthropic',
+  openai: 'OpenAI',
+  gemini: 'Google Gemini'
+};
+
+const STORAGE_KEY = 'prompt-optimiser:own-key';
+const MAX_KEY_LENGTH = 500;
+
+export class OwnKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OwnKeyError';
+  }
+}
+
+// --- Browser ------------------------------------------------------------------
+
+// { provider, apiKey }, or null to use the deployment's key
+export function loadOwnKey() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+    return saved && OWN_KEY_PROVIDERS[saved.provider] && saved.apiKey ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveOwnKey(provider, apiKey) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ provider, apiKey: apiKey.trim() }));
+}
+
+export function clearOwnKey() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+// Request headers carrying the saved key, if there is one
+export function ownKeyHeaders() {
+  const ownKey = typeof window !== 'undefined' && loadOwnKey();
+  return ownKey ? { [OWN_KEY_HEADER]: ownKey.apiKey, [OWN_PROVIDER_HEADER]: ownKey.provider } : {};
+}
+
+// --- Server -------------------------------------------------------------------
+
+// The key sent with request as { provider, apiKey }, or null. Throws
+// OwnKeyError for a malformed key or an unsupported provider.
+export function readOwnKey(request) {
+  const apiKey = request.headers.get(OWN_KEY_HEADER)?.trim();
+  if (!apiKey) return null;
+
+  const provider = (request.headers.get(OWN_PROVIDER_HEADER) || 'anthropic').toLowerCase();
+  if (!OWN_KEY_PROVIDERS[provider]) {
+    throw new OwnKeyError(`Own keys work with ${Object.values(OWN_KEY_PROVIDERS).join(', ')}`);
+  }
+  if (apiKey.length > MAX_KEY_LENGTH || /\s/.test(apiKey)) {
+    throw new OwnKeyError('That doesn\'t look like an API key');
+  }
+  return { provider, apiKey };
+}
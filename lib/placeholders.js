@@ -0,0 +1,113 @@
+// Placeholder detection and filling for prompts used as templates.
+// Recognises [slot], {{slot}} and <slot>. Angle-bracket names that also
+// appear as a closing tag (<context>...</context>) are structure, not slots.
+
+const PATTERNS = [
+  { syntax: 'mustache', regex: /\{\{\s*([^{}\n]+?)\s*\}\}/g },
+  // Not markdown links ([text](url)) or images
+  { syntax: 'bracket', regex: /\[([^[\]\n]{1,80})\](?!\()/g },
+  { syntax: 'angle', regex: /<([A-Za-z][\w -]{0,60})>/g }
+];
+
+// HTML tags that never get a closing tag but aren't slots either
+const VOID_TAGS = new Set(['br', 'hr']);
+
+// Same slot however it's written: "[Target Audience]" and "{{target audience}}"
+export const placeholderKey = name => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// snake_case name used when exporting as a {{variable}} template
+export const variableName = key => key.replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'value';
+
+function isPlaceholder(syntax, name, text) {
+  const trimmed = name.trim();
+  if (!trimmed) return false;
+
+  if (syntax === 'bracket') {
+    // Checkboxes ([x]) and citations ([1])
+    return !/^(x|\d+)$/i.test(trimmed);
+  }
+
+  if (syntax === 'angle') {
+    const tag = trimmed.toLowerCase();
+    return !VOID_TAGS.has(tag) && !text.toLowerCase().includes(`</${tag}>`);
+  }
+
+  return true;
+}
+
+// Every placeholder occurrence in order: { start, end, raw, name, key, syntax }.
+// Where matches overlap the earliest (then longest) wins.
+export function findPlaceholders(text) {
+  const found = [];
+
+  PATTERNS.forEach(({ syntax, regex }) => {
+    for (const match of text.matchAll(regex)) {
+      if (!isPlaceholder(syntax, match[1], text)) continue;
+      found.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        raw: match[0],
+        name: match[1].trim(),
+        key: placeholderKey(match[1]),
+        syntax
+      });
+    }
+  });
+
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let lastEnd = -1;
+  return found.filter(p => {
+    if (p.start < lastEnd) return false;
+    lastEnd = p.end;
+    return true;
+  });
+}
+
+// One field per distinct placeholder, in order of first appearance
+export function placeholderFields(matches) {
+  const fields = new Map();
+  matches.forEach(p => {
+    const field = fields.get(p.key);
+    if (field) {
+      field.count++;
+    } else {
+      fields.set(p.key, { key: p.key, label: p.name, count: 1 });
+    }
+  });
+  return [...fields.values()];
+}
+
+// Rebuild the text, replacing each placeholder with replace(placeholder)
+function rewrite(text, matches, replace) {
+  let out = '';
+  let position = 0;
+  matches.forEach(p => {
+    out += text.slice(position, p.start) + replace(p);
+    position = p.end;
+  });
+  return out + text.slice(position);
+}
+
+// Fill in the values given; blank values leave the placeholder as written
+export function fillPlaceholders(text, values) {
+  return rewrite(text, findPlaceholders(text), p => (values[p.key]?.trim() ? values[p.key] : p.raw));
+}
+
+// Normalise every placeholder to {{variable_name}} for reuse in other tools
+export function toTemplate(text) {
+  return rewrite(text, findPlaceholders(text), p => `{{${variableName(p.key)}}}`);
+}
+
+// Text split into plain and placeholder pieces, for highlighting a preview
+export function splitOnPlaceholders(text) {
+  const pieces = [];
+  let position = 0;
+  findPlaceholders(text).forEach(p => {
+    if (p.start > position) pieces.push({ text: text.slice(position, p.start) });
+    pieces.push({ text: p.raw, placeholder: p });
+    position = p.end;
+  });
+  if (position < text.length) pieces.push({ text: text.slice(position) });
+  return pieces;
+}
@@ -0,0 +1,71 @@
+// Anthropic Messages API adapter
+
+import { postJson, ProviderError } from './http';
+import { readSse } from '../sse';
+
+const LABEL = 'Anthropic';
+
+export function createAnthropicProvider({
+  apiKey,
+  model = 'claude-sonnet-4-20250514',
+  baseUrl = 'https://api.anthropic.com',
+  maxTokens = 4096
+}) {
+  const send = ({ system, messages, maxTokens: requestMax }, stream) => postJson(LABEL, `${baseUrl}/v1/messages`, {
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01'
+  }, {
+    model,
+    max_tokens: requestMax || maxTokens,
+    system,
+    messages,
+    stream
+  });
+
+  return {
+    name: 'anthropic',
+    label: LABEL,
+    model,
+
+    async complete(request) {
+      const response = await send(request, false);
+      const data = await response.json();
+
+      return {
+        text: data.content
+          ?.filter(item => item.type === 'text')
+          ?.map(item => item.text)
+          ?.join('') || '',
+        usage: {
+          inputTokens: data.usage?.input_tokens || 0,
+          outputTokens: data.usage?.output_tokens || 0
+        }
+      };
+    },
+
+    async stream(request) {
+      const response = await send(request, true);
+
+      return (async function* () {
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        for await (const { event, data } of readSse(response.body)) {
+          if (event === 'error') {
+            throw new ProviderError(LABEL, 502);
+          }
+
+          const payload = JSON.parse(data);
+          if (event === 'message_start') {
+            usage.inputTokens = payload.message?.usage?.input_tokens || 0;
+          } else if (event === 'message_delta') {
+            usage.outputTokens = payload.usage?.output_tokens || usage.outputTokens;
+          } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+            yield { text: payload.delta.text };
+          }
+        }
+
+        yield { usage };
+      })();
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// Google Gemini (Generative Language API) adapter
+
+import { postJson } from './http';
+import { readSse } from '../sse';
+
+const LABEL = 'Gemini';
+
+export function createGeminiProvider({
+  apiKey,
+  model = 'gemini-2.5-flash',
+  baseUrl = 'https://generativelanguage.googleapis.com/v1beta',
+  maxTokens = 4096
+}) {
+  const send = ({ system, messages, maxTokens: requestMax }, stream) => postJson(
+    LABEL,
+    `${baseUrl}/models/${model}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`,
+    { 'x-goog-api-key': apiKey },
+    {
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      contents: messages.map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      })),
+      generationConfig: { maxOutputTokens: requestMax || maxTokens }
+    }
+  );
+
+  const textOf = payload => payload.candidates?.[0]?.content?.parts
+    ?.map(part => part.text || '')
+    ?.join('') || '';
+
+  const usageOf = payload => ({
+    inputTokens: payload.usageMetadata?.promptTokenCount || 0,
+    outputTokens: payload.usageMetadata?.candidatesTokenCount || 0
+  });
+
+  return {
+    name: 'gemini',
+    label: LABEL,
+    model,
+
+    async complete(request) {
+      const response = await send(request, false);
+      const data = await response.json();
+      return { text: textOf(data), usage: usageOf(data) };
+    },
+
+    async stream(request) {
+      const response = await send(request, true);
+
+      return (async function* () {
+        let usage = { inputTokens: 0, outputTokens: 0 };
+
+        for await (const { data } of readSse(response.body)) {
+          const payload = JSON.parse(data);
+          const text = textOf(payload);
+          if (text) yield { text };
+          if (payload.usageMetadata) usage = usageOf(payload);
+        }
+
+        yield { usage };
+      })();
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// Shared plumbing for provider adapters
+
+// Upstream API returned a non-OK status or a broken stream.
+// SECURITY: carries the status only - upstream bodies may echo keys or prompts.
+export class ProviderError extends Error {
+  constructor(provider, status) {
+    super(`${provider} API error: status ${status}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+// Provider selected but not usable (e.g. missing API key)
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
+
+// POST JSON and throw ProviderError on a non-OK response
+export async function postJson(provider, url, headers, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    // Drain the body so the connection can be reused, but never surface it
+    await response.text().catch(() => '');
+    throw new ProviderError(provider, response.status);
+  }
+
+  return response;
+}
+
+// Async iterator over newline-delimited JSON objects (Ollama's stream format)
+export async function* readNdjson(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) yield JSON.parse(line);
+      }
+    }
+
+    if (buffer.trim()) yield JSON.parse(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
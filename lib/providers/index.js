@@ -0,0 +1,83 @@
+// LLM backend selection
+// The analyser talks to whichever provider the environment configures:
+//
+//   ANALYSER_PROVIDER    anthropic (default) | openai | gemini | ollama
+//   ANALYSER_MODEL       model id for that provider (each adapter has a default)
+//   ANALYSER_BASE_URL    endpoint override (gateways, llama.cpp, local stubs)
+//   ANALYSER_MAX_TOKENS  max output tokens per call (default 4096)
+//
+// API keys come from ANTHROPIC_API_KEY, OPENAI_API_KEY or GEMINI_API_KEY, or
+// from the user for a single request (getOwnKeyProvider, see ownKey.js).
+// Ollama runs locally and needs none (OLLAMA_BASE_URL overrides its address).
+//
+// Every provider exposes the same shape:
+//   complete({ system, messages, maxTokens }) -> { text, usage }
+//   stream({ system, messages, maxTokens })   -> async iterator of { text } chunks, then { usage }
+// where usage is { inputTokens, outputTokens }. stream() resolves only once the
+// upstream has accepted the request, so HTTP errors surface before streaming starts.
+
+import { createAnthropicProvider } from './anthropic';
+import { createOpenAIProvider } from './openai';
+import { createGeminiProvider } from './gemini';
+import { createOllamaProvider } from './ollama';
+import { ProviderConfigError } from './http';
+
+export { ProviderError, ProviderConfigError } from './http';
+
+const PROVIDERS = {
+  anthropic: { create: createAnthropicProvider, keyVar: 'ANTHROPIC_API_KEY' },
+  openai: { create: createOpenAIProvider, keyVar: 'OPENAI_API_KEY', keyOptional: true },
+  gemini: { create: createGeminiProvider, keyVar: 'GEMINI_API_KEY' },
+  ollama: { create: createOllamaProvider, baseUrlVar: 'OLLAMA_BASE_URL' }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Build a named provider. Options: { apiKey, model, baseUrl, maxTokens };
+// unset options fall back to the environment and then the adapter defaults.
+export function createProvider(name, options = {}, env = process.env) {
+  const entry = PROVIDERS[name];
+  if (!entry) {
+    throw new ProviderConfigError(`Unknown provider "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  const apiKey = options.apiKey || (entry.keyVar && env[entry.keyVar]);
+  // OpenAI-compatible local servers often run without auth, so only require
+  // a key when talking to OpenAI itself
+  const keyRequired = entry.keyVar && !(entry.keyOptional && options.baseUrl);
+  if (keyRequired && !apiKey) {
+    throw new ProviderConfigError(`${entry.keyVar} not configured`);
+  }
+
+  const config = { apiKey };
+  const baseUrl = options.baseUrl || (entry.baseUrlVar && env[entry.baseUrlVar]);
+  if (baseUrl) config.baseUrl = baseUrl.replace(/\/+$/, '');
+  if (options.model) config.model = options.model;
+  if (options.maxTokens) config.maxTokens = options.maxTokens;
+
+  return entry.create(config);
+}
+
+// The provider the analyser itself runs on, as configured by the environment
+export function getProvider(env = process.env) {
+  const name = (env.ANALYSER_PROVIDER || 'anthropic').toLowerCase();
+
+  return createProvider(name, {
+    model: env.ANALYSER_MODEL,
+    baseUrl: env.ANALYSER_BASE_URL,
+    maxTokens: parseInt(env.ANALYSER_MAX_TOKENS, 10) || undefined
+  }, env);
+}
+
+// The analyser's provider on a user's own key ({ provider, apiKey } from
+// readOwnKey). ANALYSER_MODEL applies when it's the configured provider, but
+// ANALYSER_BASE_URL never does: an own key only goes to the provider's own API.
+export function getOwnKeyProvider(ownKey, env = process.env) {
+  const configured = (env.ANALYSER_PROVIDER || 'anthropic').toLowerCase();
+
+  return createProvider(ownKey.provider, {
+    apiKey: ownKey.apiKey,
+    model: ownKey.provider === configured ? env.ANALYSER_MODEL : undefined,
+    maxTokens: parseInt(env.ANALYSER_MAX_TOKENS, 10) || undefined
+  }, env);
+}
@@ -0,0 +1,56 @@
+// Local model adapter for Ollama's /api/chat endpoint
+// For llama.cpp's server (or anything else with /v1/chat/completions) use the
+// openai provider with ANALYSER_BASE_URL pointing at it instead
+
+import { postJson, readNdjson, ProviderError } from './http';
+
+const LABEL = 'Ollama';
+
+export function createOllamaProvider({
+  model = 'llama3.1',
+  baseUrl = 'http://localhost:11434',
+  maxTokens = 4096
+}) {
+  const send = ({ system, messages, maxTokens: requestMax }, stream) => postJson(LABEL, `${baseUrl}/api/chat`, {}, {
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages
+    ],
+    stream,
+    options: { num_predict: requestMax || maxTokens }
+  });
+
+  const usageOf = payload => ({
+    inputTokens: payload.prompt_eval_count || 0,
+    outputTokens: payload.eval_count || 0
+  });
+
+  return {
+    name: 'ollama',
+    label: LABEL,
+    model,
+
+    async complete(request) {
+      const response = await send(request, false);
+      const data = await response.json();
+      return { text: data.message?.content || '', usage: usageOf(data) };
+    },
+
+    async stream(request) {
+      const response = await send(request, true);
+
+      return (async function* () {
+        let usage = { inputTokens: 0, outputTokens: 0 };
+
+        for await (const payload of readNdjson(response.body)) {
+          if (payload.error) throw new ProviderError(LABEL, 502);
+          if (payload.message?.content) yield { text: payload.message.content };
+          if (payload.done) usage = usageOf(payload);
+        }
+
+        yield { usage };
+      })();
+    }
+  };
+}
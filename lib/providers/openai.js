@@ -0,0 +1,74 @@
+// OpenAI-compatible Chat Completions adapter
+// Works with OpenAI itself and with gateways/servers that mimic its API
+// (Azure-style proxies, vLLM, llama.cpp's server, LiteLLM, etc.)
+
+import { postJson } from './http';
+import { readSse } from '../sse';
+
+const LABEL = 'OpenAI-compatible';
+
+export function createOpenAIProvider({
+  apiKey,
+  model = 'gpt-4.1',
+  baseUrl = 'https://api.openai.com/v1',
+  maxTokens = 4096
+}) {
+  // OpenAI's own API wants max_completion_tokens for newer models, while most
+  // compatible servers only understand the older max_tokens
+  const isOpenAI = baseUrl.startsWith('https://api.openai.com');
+
+  const send = ({ system, messages, maxTokens: requestMax }, stream) => postJson(LABEL, `${baseUrl}/chat/completions`, {
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+  }, {
+    model,
+    [isOpenAI ? 'max_completion_tokens' : 'max_tokens']: requestMax || maxTokens,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages
+    ],
+    stream,
+    ...(stream && isOpenAI ? { stream_options: { include_usage: true } } : {})
+  });
+
+  return {
+    name: 'openai',
+    label: LABEL,
+    model,
+
+    async complete(request) {
+      const response = await send(request, false);
+      const data = await response.json();
+
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: {
+          inputTokens: data.usage?.prompt_tokens || 0,
+          outputTokens: data.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    async stream(request) {
+      const response = await send(request, true);
+
+      return (async function* () {
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        for await (const { data } of readSse(response.body)) {
+          if (data === '[DONE]') break;
+
+          const payload = JSON.parse(data);
+          const text = payload.choices?.[0]?.delta?.content;
+          if (text) yield { text };
+
+          if (payload.usage) {
+            usage.inputTokens = payload.usage.prompt_tokens || 0;
+            usage.outputTokens = payload.usage.completion_tokens || 0;
+          }
+        }
+
+        yield { usage };
+      })();
+    }
+  };
+}
@@ -0,0 +1,50 @@
+// What the analyser's own API calls cost, for the running session total in
+// the UI. Prices are USD per million tokens, matched on the model id by the
+// longest prefix (dated snapshots like claude-sonnet-4-20250514 included):
+//
+//   ANALYSER_PRICE_INPUT / ANALYSER_PRICE_OUTPUT  override both, e.g. for a
+//                                                 gateway or negotiated rates
+
+import { costUsd } from '../tokens';
+
+const MODEL_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-5.2-pro': { input: 21, output: 168 },
+  'gpt-5.2': { input: 1.75, output: 14 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gemini-3-pro': { input: 2, output: 12 },
+  'gemini-3-flash': { input: 0.5, output: 3 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 }
+};
+
+// Null when the price isn't known (e.g. an OpenAI-compatible local server)
+export function analyserPrice(provider, env = process.env) {
+  const input = parseFloat(env.ANALYSER_PRICE_INPUT);
+  const output = parseFloat(env.ANALYSER_PRICE_OUTPUT);
+  if (input >= 0 && output >= 0) return { input, output };
+
+  // Ollama runs locally
+  if (provider.name === 'ollama') return { input: 0, output: 0 };
+
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(id => provider.model.startsWith(id))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+// Token usage of one analyser call with its cost (null if unknown)
+export function analyserUsage(provider, usage, env = process.env) {
+  const { inputTokens = 0, outputTokens = 0 } = usage || {};
+  const price = analyserPrice(provider, env);
+  return { inputTokens, outputTokens, costUsd: price ? costUsd(price, inputTokens, outputTokens) : null };
+}
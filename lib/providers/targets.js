@@ -0,0 +1,101 @@
+// Maps the vendors/models in GUIDANCE to real API backends, so a generated
+// prompt can be run on the model it was written for. Custom vendor profiles
+// bring their own target in their guidance pack.
+
+import { createProvider } from './index';
+import { GUIDANCE_PACK } from '../guidancePack';
+
+// Display names from GUIDANCE[vendor].models -> API model ids
+const TARGETS = {
+  claude: {
+    provider: 'anthropic',
+    models: {
+      'Opus 4.5': 'claude-opus-4-5',
+      'Sonnet 4.5': 'claude-sonnet-4-5',
+      'Haiku 4.5': 'claude-haiku-4-5'
+    }
+  },
+  gpt: {
+    provider: 'openai',
+    models: {
+      'Instant': 'gpt-5.2-chat-latest',
+      'Thinking': 'gpt-5.2',
+      'Pro': 'gpt-5.2-pro'
+    }
+  },
+  gemini: {
+    provider: 'gemini',
+    models: {
+      'Pro': 'gemini-3-pro-preview',
+      'Flash': 'gemini-3-flash-preview',
+      // Deep Think isn't exposed through the API; Pro is the closest match
+      'Deep Think': 'gemini-3-pro-preview'
+    }
+  },
+  // Copilot has no public completion API - run on the OpenAI model underneath it
+  copilot: {
+    provider: 'openai',
+    approximate: true,
+    models: {
+      'GPT-5.2 (primary)': 'gpt-5.2',
+      'GPT-5 (default)': 'gpt-5',
+      'GPT-4.1 (fallback)': 'gpt-4.1'
+    }
+  }
+};
+
+// Provider for running a prompt on GUIDANCE[vendor]/model. Falls back to the
+// analyser's own provider when the vendor's backend isn't configured.
+// Returns { provider, matched, note } - note explains any substitution.
+//
+// With a user's own key (readOwnKey), only a target on that key's provider is
+// used, so a request on an own key never spends the deployment's keys.
+export function getTargetProvider(vendor, model, fallback, { ownKey = null, env = process.env } = {}) {
+  const target = TARGETS[vendor] || GUIDANCE_PACK.targets[vendor];
+  const modelId = target?.models[model];
+  // A profile that names a base URL variable is only configured once it's set
+  const baseUrl = target?.baseUrlVar && env[target.baseUrlVar];
+
+  if (ownKey) {
+    if (target && modelId && !target.baseUrlVar && target.provider === ownKey.provider) {
+      return {
+        provider: createProvider(target.provider, { model: modelId, apiKey: ownKey.apiKey }, env),
+        matched: !target.approximate,
+        note: target.approximate ? `No public API for this vendor - ran on ${modelId} instead.` : ''
+      };
+    }
+    return {
+      provider: fallback,
+      matched: false,
+      note: `Your key is for ${fallback.label} - ran on ${fallback.model} instead.`
+    };
+  }
+
+  if (target && modelId && (baseUrl || !target.baseUrlVar)) {
+    try {
+      const provider = createProvider(target.provider, { model: modelId, baseUrl }, env);
+      return {
+        provider,
+        matched: !target.approximate,
+        note: target.approximate ? `No public API for this vendor - ran on ${modelId} instead.` : ''
+      };
+    } catch {
+      // Backend not configured (no API key) - fall through to the analyser's provider
+    }
+  }
+
+  return {
+    provider: fallback,
+    matched: false,
+    note: `No backend configured for this model - ran on ${fallback.label} (${fallback.model}) instead.`
+  };
+}
+
+// Provider request for running a finished prompt. The prompt acts as the
+// system prompt and the sample as the user turn; with no sample the prompt
+// is sent on its own.
+export function buildPromptRun(prompt, sampleInput) {
+  return sampleInput?.trim()
+    ? { system: prompt, messages: [{ role: 'user', content: sampleInput }] }
+    : { messages: [{ role: 'user', content: prompt }] };
+}
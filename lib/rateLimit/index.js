@@ -0,0 +1,170 @@
+// Request rate limits and daily cost quotas shared by the API routes.
+//
+//   RATE_LIMIT_BACKEND          memory (default) | redis - redis shares limits
+//                               between instances and keeps them across restarts
+//   REDIS_URL                   server for the redis backend (as for storage)
+//   RATE_LIMIT_PER_MINUTE       requests per minute per IP address (default 20)
+//   RATE_LIMIT_KEY_PER_MINUTE   ... per API key (default 60)
+//   RATE_LIMIT_USER_PER_MINUTE  ... per signed-in user (default 60)
+//   DAILY_COST_QUOTA_USD        analyser spend allowed per caller per UTC day
+//                               (default unset - no quota)
+//
+// Each caller has a token bucket holding a minute's worth of requests, which
+// refills continuously - so short bursts are fine but the average rate is
+// capped. Callers are identified by API key or user when the route knows
+// one, otherwise by IP address.
+
+import { getRedisClient } from '../storage';
+import { createMemoryLimiter } from './memory';
+import { createRedisLimiter } from './redis';
+
+const DEFAULT_PER_MINUTE = { ip: 20, key: 60, user: 60 };
+const PER_MINUTE_VARS = { ip: 'RATE_LIMIT_PER_MINUTE', key: 'RATE_LIMIT_KEY_PER_MINUTE', user: 'RATE_LIMIT_USER_PER_MINUTE' };
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const limiters = new Map();
+
+// Backend for the environment, created once per process
+function getLimiter(env) {
+  const backend = (env.RATE_LIMIT_BACKEND || 'memory').toLowerCase();
+  if (limiters.has(backend)) return limiters.get(backend);
+
+  let limiter;
+  if (backend === 'memory') {
+    limiter = createMemoryLimiter();
+  } else if (backend === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('REDIS_URL not configured');
+    }
+    limiter = createRedisLimiter(getRedisClient(env.REDIS_URL));
+  } else {
+    throw new Error(`Unknown RATE_LIMIT_BACKEND "${backend}". Expected memory or redis`);
+  }
+
+  limiters.set(backend, limiter);
+  return limiter;
+}
+
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Daily spend is counted per UTC day
+const dayOf = now => new Date(now).toISOString().slice(0, 10);
+const secondsToMidnight = now => Math.ceil((DAY_SECONDS * 1000 - (now % (DAY_SECONDS * 1000))) / 1000);
+
+// Take cost tokens (one per model call the request will make) from the
+// caller's bucket - after checking their daily quota, for routes that spend
+// money (quota: true). identity is
+// { type: 'key' | 'user', id } for an authenticated caller, and may carry its
+// own perMinute and dailyCostUsd. Resolves with the limit state the response
+// headers and recordCost need: { allowed, reason, subject, capacity,
+// remaining, resetSeconds, retryAfterSeconds, dailyCostUsd }.
+//
+// If the backend fails the request is let through unchecked - rate limiting
+// is defence in depth, and a Redis outage shouldn't take the app down.
+export async function limitRequest(request, { cost = 1, quota = false, identity = null, env = process.env } = {}) {
+  const type = identity ? identity.type : 'ip';
+  const subject = identity ? `${identity.type}:${identity.id}` : `ip:${getClientIdentifier(request)}`;
+  const capacity = identity?.perMinute ?? positive(env[PER_MINUTE_VARS[type]], DEFAULT_PER_MINUTE[type]);
+  const dailyCostUsd = quota ? (identity?.dailyCostUsd ?? positive(env.DAILY_COST_QUOTA_USD, null)) : null;
+  const refillPerSecond = capacity / 60;
+  const now = Date.now();
+
+  const state = { subject, capacity, dailyCostUsd, remaining: capacity, resetSeconds: 0, retryAfterSeconds: 0 };
+
+  try {
+    const limiter = getLimiter(env);
+
+    if (dailyCostUsd !== null) {
+      const spent = await limiter.getCost(`cost:${subject}:${dayOf(now)}`, { now });
+      if (spent >= dailyCostUsd) {
+        return { ...state, allowed: false, reason: 'quota', retryAfterSeconds: secondsToMidnight(now) };
+      }
+    }
+
+    const { allowed, tokens } = await limiter.take(`bucket:${subject}`, { capacity, refillPerSecond, cost, now });
+    return {
+      ...state,
+      allowed,
+      reason: allowed ? null : 'rate',
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((capacity - tokens) / refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((cost - tokens) / refillPerSecond)
+    };
+  } catch (error) {
+    console.error('Rate limit error:', error.name || 'Unknown', error.code || '');
+    return { ...state, allowed: true, reason: null, unchecked: true };
+  }
+}
+
+// Count what a request spent (usage.costUsd, as stamped on analyser results)
+// towards the caller's daily quota
+export async function recordCost(limit, usage, env = process.env) {
+  if (!limit || limit.dailyCostUsd === null || limit.unchecked || !usage?.costUsd) return;
+
+  const now = Date.now();
+  try {
+    await getLimiter(env).addCost(`cost:${limit.subject}:${dayOf(now)}`, usage.costUsd, { ttlSeconds: 2 * DAY_SECONDS, now });
+  } catch (error) {
+    console.error('Rate limit error:', error.name || 'Unknown', error.code || '');
+  }
+}
+
+// RateLimit-* headers (IETF draft: the bucket size per 60-second window, what's
+// left and seconds until it's full again) and Retry-After on a refusal
+export function rateLimitHeaders(limit) {
+  if (!limit || limit.unchecked) return {};
+
+  const headers = limit.reason === 'quota' ? {} : {
+    'RateLimit-Policy': `${limit.capacity};w=60`,
+    'RateLimit-Limit': String(limit.capacity),
+    'RateLimit-Remaining': String(limit.remaining),
+    'RateLimit-Reset': String(limit.resetSeconds)
+  };
+  if (!limit.allowed) headers['Retry-After'] = String(limit.retryAfterSeconds);
+  return headers;
+}
+
+export function withRateLimitHeaders(response, limit) {
+  Object.entries(rateLimitHeaders(limit)).forEach(([name, value]) => response.headers.set(name, value));
+  return response;
+}
+
+// Validate and sanitize IP address to prevent spoofing
+export function getClientIdentifier(request) {
+  // SECURITY: x-forwarded-for can be spoofed by clients.
+  // This rate limiting is defense-in-depth, not a security boundary.
+  // For production, use a trusted reverse proxy that overwrites (not appends to) this header,
+  // or use an external rate limiting service (e.g., Vercel's built-in, Cloudflare).
+  // Callers with an API key or account are limited by that instead.
+
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  const realIp = request.headers.get('x-real-ip');
+
+  // Get the first IP from x-forwarded-for (client IP in most proxy setups)
+  let ip = forwardedFor?.split(',')[0] || realIp || '';
+
+  // Trim whitespace and validate basic IP format
+  ip = ip.trim();
+
+  // Basic IPv4/IPv6 validation - reject obviously invalid values
+  const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
+  const ipv6Regex = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
+
+  if (ip && (ipv4Regex.test(ip) || ipv6Regex.test(ip))) {
+    return ip;
+  }
+
+  // Fallback: Use a combination of headers to create a fingerprint
+  // This makes it harder to bypass by simply omitting headers
+  const userAgent = request.headers.get('user-agent') || '';
+  const acceptLang = request.headers.get('accept-language') || '';
+
+  // Create a simple hash-like identifier from available headers
+  // This is not cryptographically secure but provides some differentiation
+  const fallbackId = `anon_${Buffer.from(userAgent + acceptLang).toString('base64').substring(0, 16)}`;
+  return fallbackId;
+}
@@ -0,0 +1,48 @@
+// In-process rate limit backend. Resets when the server restarts and isn't
+// shared between instances - fine for one server or development.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+export function createMemoryLimiter() {
+  // key -> { tokens, at, fullAt } and key -> { total, expiresAt }
+  const buckets = new Map();
+  const costs = new Map();
+
+  // Drop buckets that have refilled and counters that have expired
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets.entries()) {
+      if (bucket.fullAt <= now) buckets.delete(key);
+    }
+    for (const [key, counter] of costs.entries()) {
+      if (counter.expiresAt <= now) costs.delete(key);
+    }
+  }, SWEEP_INTERVAL);
+  sweep.unref?.();
+
+  return {
+    async take(key, { capacity, refillPerSecond, cost, now }) {
+      const bucket = buckets.get(key);
+      let tokens = bucket
+        ? Math.min(capacity, bucket.tokens + ((now - bucket.at) / 1000) * refillPerSecond)
+        : capacity;
+
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+
+      buckets.set(key, { tokens, at: now, fullAt: now + ((capacity - tokens) / refillPerSecond) * 1000 });
+      return { allowed, tokens };
+    },
+
+    async getCost(key, { now }) {
+      const counter = costs.get(key);
+      return counter && counter.expiresAt > now ? counter.total : 0;
+    },
+
+    async addCost(key, amount, { ttlSeconds, now }) {
+      const total = (await this.getCost(key, { now })) + amount;
+      costs.set(key, { total, expiresAt: now + ttlSeconds * 1000 });
+      return total;
+    }
+  };
+}
@@ -0,0 +1,52 @@
+// Redis rate limit backend - shared by every instance and kept across
+// restarts. Uses the storage backend's connection (getRedisClient), so it
+// works with anything that speaks the Redis protocol and runs Lua scripts.
+
+const KEY_PREFIX = 'prompt-optimiser:ratelimit:';
+
+// Refill, then take cost tokens if there are enough, in one atomic step so
+// instances can't race each other. The bucket expires once it would be full
+// again, since a missing bucket reads as full. Tokens are returned as a
+// string because Lua numbers come back from Redis as integers.
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local perMs = tonumber(ARGV[2]) / 1000
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = tonumber(state[1]) or capacity
+local at = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - at) * perMs)
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / perMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+export function createRedisLimiter(client) {
+  const redisKey = key => KEY_PREFIX + key;
+
+  return {
+    async take(key, { capacity, refillPerSecond, cost, now }) {
+      const [allowed, tokens] = await client.command('EVAL', TAKE_SCRIPT, 1, redisKey(key), capacity, refillPerSecond, cost, now);
+      return { allowed: allowed === 1, tokens: Number(tokens) };
+    },
+
+    async getCost(key) {
+      return Number(await client.command('GET', redisKey(key))) || 0;
+    },
+
+    async addCost(key, amount, { ttlSeconds }) {
+      const total = await client.command('INCRBYFLOAT', redisKey(key), amount);
+      await client.command('EXPIRE', redisKey(key), Math.ceil(ttlSeconds));
+      return Number(total);
+    }
+  };
+}
@@ -0,0 +1,107 @@
+// Response helpers shared by the API routes
+
+import { NextResponse } from 'next/server';
+import { formatSse } from './sse';
+import { ProviderError } from './providers';
+import { rateLimitHeaders } from './rateLimit';
+import { AuthError } from './auth';
+import { OWN_KEY_PROVIDERS } from './ownKey';
+
+// What to tell a user whose own key (see ownKey.js) the provider turned down,
+// or null if the failure wasn't about their key
+function ownKeyRejection(status, ownKey) {
+  if (!ownKey || (status !== 401 && status !== 403)) return null;
+  return `${OWN_KEY_PROVIDERS[ownKey.provider]} rejected your API key. Check it's correct and still active, or remove it to use this site's key.`;
+}
+
+// Map a failed upstream status to a client-safe error. With the user's own
+// key, an authentication failure is theirs to fix rather than the server's.
+export function upstreamErrorResponse(status, { ownKey = null } = {}) {
+  const rejection = ownKeyRejection(status, ownKey);
+  if (rejection) {
+    return NextResponse.json(
+      { error: rejection, ownKeyRejected: true },
+      { status: 401 }
+    );
+  }
+  
+  if (status === 429) {
+    return NextResponse.json(
+      { error: 'API rate limit exceeded. Please try again in a few minutes.' },
+      { status: 429 }
+    );
+  }
+  
+  if (status === 401) {
+    return NextResponse.json(
+      { error: 'API authentication failed. Please check the API key.' },
+      { status: 500 }
+    );
+  }
+  
+  return NextResponse.json(
+    { error: 'Failed to process request. Please try again.' },
+    { status }
+  );
+}
+
+// Response for a failed authenticate/requireAdmin. A 401 says signIn so the
+// browser can send the user to the login page.
+export function authFailureResponse(error) {
+  if (error instanceof AuthError) {
+    return NextResponse.json(
+      { error: error.message, ...(error.status === 401 && { signIn: true }) },
+      { status: error.status }
+    );
+  }
+  
+  console.error('Auth error:', error.name || 'Unknown', error.code || '');
+  return NextResponse.json(
+    { error: 'An unexpected error occurred. Please try again.' },
+    { status: 500 }
+  );
+}
+
+// 429 for a request refused by limitRequest, with Retry-After
+export function rateLimitedResponse(limit) {
+  return NextResponse.json(
+    { error: limit.reason === 'quota'
+      ? 'Daily usage limit reached. It resets at midnight UTC.'
+      : 'Too many requests. Please wait a moment and try again.' },
+    { status: 429, headers: rateLimitHeaders(limit) }
+  );
+}
+
+// Wrap an event producer in an SSE response. Failures part-way through are
+// reported to the client as an error event, since the status is already sent.
+export function sseResponse(produce, { ownKey = null } = {}) {
+  const encoder = new TextEncoder();
+  
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => controller.enqueue(encoder.encode(formatSse(event, data)));
+      
+      try {
+        await produce(send);
+      } catch (error) {
+        if (error instanceof ProviderError) {
+          console.error(`${error.provider} stream error: status`, error.status);
+          send('error', { error: ownKeyRejection(error.status, ownKey) || 'Failed to process request. Please try again.' });
+        } else {
+          console.error('Stream error:', error.name || 'Unknown');
+          send('error', { error: 'An unexpected error occurred. Please try again.' });
+        }
+      } finally {
+        controller.close();
+      }
+    }
+  });
+  
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,23 @@
+// Result cache key, shared by the browser and the API route so both sides
+// agree on when a generate/optimise run can be reused. Storage itself lives
+// in resultCacheStore.js (server only).
+
+import { GUIDANCE_VERSION } from './guidance';
+
+// Critiques are cheap to redo and usually wanted fresh; these are the runs
+// repeated when switching vendors and models
+export const CACHEABLE_MODES = ['generate', 'optimise'];
+
+// SHA-256 of everything in the request that shapes the result, including the
+// guidance pack version so a guidance update never serves an out-of-date
+// prompt. Which analyser ran it and who for is added on the server
+// (resultCacheStore.js). Resolves to null where Web Crypto is unavailable
+// (plain-http pages other than localhost), which simply means no cache on
+// that side.
+export async function resultCacheKey({ mode, vendor, model, inputText, additionalContext, entryMode, problemContext }, guidanceVersion = GUIDANCE_VERSION) {
+  if (!CACHEABLE_MODES.includes(mode) || !globalThis.crypto?.subtle) return null;
+
+  const fields = [mode, vendor, model, inputText, additionalContext || '', entryMode || 'idea', problemContext || '', guidanceVersion];
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(fields)));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,47 @@
+// Server-side cache of finished generate/optimise results, keyed by
+// resultCacheKey. Uses the shared storage backends, so with the file or redis
+// backend cached results survive restarts.
+//
+//   RESULT_CACHE_BACKEND   storage backend for the cache (default STORAGE_BACKEND)
+//   RESULT_CACHE_TTL_DAYS  how long results are kept (default 30, 0 turns the cache off)
+
+import crypto from 'crypto';
+import { getStore } from './storage';
+
+const DEFAULT_TTL_DAYS = 30;
+
+function ttlDays(env) {
+  const days = Number(env.RESULT_CACHE_TTL_DAYS ?? DEFAULT_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+}
+
+const results = (env) => getStore('results', {
+  ...env,
+  STORAGE_BACKEND: env.RESULT_CACHE_BACKEND || env.STORAGE_BACKEND
+});
+
+export function isResultCacheEnabled(env = process.env) {
+  return ttlDays(env) > 0;
+}
+
+// Where a result is stored: the request's key, scoped to the analyser that
+// made it (a new provider or model starts afresh) and, with sign-in on, to
+// the team it was made for, so teams never see each other's prompts.
+// scope is { analyser: 'name/model', team }.
+function storedKey(key, { analyser, team = null }) {
+  return crypto.createHash('sha256').update(JSON.stringify([key, analyser, team || ''])).digest('hex');
+}
+
+// The stored result, marked with when it was made, or null on a miss
+export async function getCachedResult(key, scope, env = process.env) {
+  if (!key || !isResultCacheEnabled(env)) return null;
+  const entry = await results(env).get(storedKey(key, scope));
+  return entry ? { ...entry.result, cachedAt: entry.createdAt } : null;
+}
+
+export async function putCachedResult(key, scope, result, env = process.env) {
+  if (!key || !isResultCacheEnabled(env)) return;
+  await results(env).set(storedKey(key, scope), { result, createdAt: new Date().toISOString() }, {
+    ttlSeconds: ttlDays(env) * 24 * 60 * 60
+  });
+}
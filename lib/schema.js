@@ -0,0 +1,54 @@
+// A small subset of JSON Schema: type, required, properties, values (for
+// maps), items, enum, pattern, minLength, minItems, minimum and maximum.
+// Objects are closed - unknown keys are reported - unless marked open.
+// Used for the guidance packs and for the analyser's JSON replies.
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Every way value fails schema, as "path: problem" strings
+export function checkSchema(value, schema, path = '') {
+  const at = path || '(root)';
+
+  if (typeOf(value) !== schema.type) {
+    return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return [`${at}: must be at least ${schema.minimum}`];
+    if (schema.maximum !== undefined && value > schema.maximum) return [`${at}: must be at most ${schema.maximum}`];
+    return [];
+  }
+  if (schema.type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) return [`${at}: must not be empty`];
+    if (schema.pattern && !schema.pattern.test(value)) return [`${at}: "${value}" does not match ${schema.pattern}`];
+    return [];
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) return [`${at}: needs at least ${schema.minItems} item(s)`];
+    return value.flatMap((item, i) => checkSchema(item, schema.items, `${path}[${i}]`));
+  }
+  if (schema.type !== 'object') return [];
+
+  const join = key => (path ? `${path}.${key}` : key);
+  const problems = (schema.required || [])
+    .filter(key => value[key] === undefined)
+    .map(key => `${join(key)}: required`);
+
+  Object.entries(value).forEach(([key, child]) => {
+    if (schema.values) {
+      problems.push(...checkSchema(child, schema.values, join(key)));
+    } else if (schema.properties?.[key]) {
+      problems.push(...checkSchema(child, schema.properties[key], join(key)));
+    } else if (!schema.open && key !== '$schema') {
+      problems.push(`${join(key)}: unknown field`);
+    }
+  });
+
+  return problems;
+}
@@ -0,0 +1,115 @@
+// Read-only share links for a session, kept in server-side storage.
+// Only the parts needed to show the session are stored - never history or settings.
+
+import crypto from 'crypto';
+import { getStore } from './storage';
+
+export const SHARE_EXPIRY_DAYS = [1, 7, 30];
+const MAX_SNAPSHOT_BYTES = 200 * 1024;
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 10;
+
+export class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+const shares = () => getStore('shares');
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function createShareId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+}
+
+const text = (value, max = 50000) => (typeof value === 'string' ? value.slice(0, max) : '');
+
+// Copy the shareable fields out of a client session, dropping anything else
+export function buildSnapshot(session) {
+  if (!session || typeof session !== 'object') {
+    throw new ShareError('Missing session');
+  }
+
+  const critique = session.critique && typeof session.critique === 'object' ? session.critique : null;
+  const answers = session.answers && typeof session.answers === 'object' ? session.answers : {};
+  const results = Object.values(session.results || {})
+    .filter(entry => entry && typeof entry.result === 'object' && entry.vendor && entry.model)
+    .map(({ vendor, model, result }) => ({
+      vendor: text(vendor, 100),
+      model: text(model, 100),
+      guidanceVersion: text(result.guidanceVersion, 200) || null,
+      prompt: text(result.optimisedPrompt ?? result.generatedPrompt),
+      summary: text(result.summary, 2000),
+      score: typeof result.currentScore === 'number' ? result.currentScore : null
+    }))
+    .filter(entry => entry.prompt);
+
+  if (!text(session.inputText).trim()) {
+    throw new ShareError('Nothing to share yet');
+  }
+
+  const snapshot = {
+    entryMode: session.entryMode === 'prompt' ? 'prompt' : 'idea',
+    inputText: text(session.inputText),
+    problemContext: text(session.problemContext),
+    critique: critique && {
+      overallAssessment: text(critique.overallAssessment, 5000),
+      concerns: (Array.isArray(critique.concerns) ? critique.concerns : []).map(c => text(c, 2000)),
+      questions: (Array.isArray(critique.questions) ? critique.questions : []).map(q => ({
+        question: text(q?.question, 2000),
+        why: text(q?.why, 2000),
+        answer: text(answers[q?.id], 5000)
+      }))
+    },
+    results
+  };
+
+  if (Buffer.byteLength(JSON.stringify(snapshot)) > MAX_SNAPSHOT_BYTES) {
+    throw new ShareError('Session too large to share');
+  }
+  return snapshot;
+}
+
+// Store a snapshot. The revoke token is returned once and only its hash is kept.
+export async function createShare(snapshot, { expiresInDays } = {}) {
+  if (expiresInDays != null && !SHARE_EXPIRY_DAYS.includes(expiresInDays)) {
+    throw new ShareError(`Expiry must be one of ${SHARE_EXPIRY_DAYS.join(', ')} days`);
+  }
+
+  const id = createShareId();
+  const revokeToken = crypto.randomBytes(24).toString('base64url');
+  const ttlSeconds = expiresInDays ? expiresInDays * 24 * 60 * 60 : undefined;
+  const createdAt = new Date().toISOString();
+  const expiresAt = ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+
+  await shares().set(id, { snapshot, createdAt, expiresAt, revokeHash: hashToken(revokeToken) }, { ttlSeconds });
+  return { id, revokeToken, createdAt, expiresAt };
+}
+
+// The stored share without its revoke hash, or null if missing, expired or revoked
+export async function getShare(id) {
+  if (typeof id !== 'string' || !/^[A-Za-z0-9]{1,32}$/.test(id)) return null;
+
+  const share = await shares().get(id);
+  if (!share) return null;
+
+  const { revokeHash, ...visible } = share;
+  return { id, ...visible };
+}
+
+// Delete a share if the token matches. Returns false for unknown ids or wrong tokens.
+export async function revokeShare(id, revokeToken) {
+  if (typeof revokeToken !== 'string' || !/^[A-Za-z0-9]{1,32}$/.test(id)) return false;
+
+  const share = await shares().get(id);
+  if (!share) return false;
+
+  const expected = Buffer.from(share.revokeHash, 'hex');
+  const actual = Buffer.from(hashToken(revokeToken), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return false;
+
+  return shares().delete(id);
+}
@@ -0,0 +1,55 @@
+// Minimal Server-Sent Events helpers
+// Used by the API route to read the upstream model stream and by the UI to
+// read the route's own stream
+
+// Async iterator of { event, data } for each event in a fetch response body
+export async function* readSse(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = /\r?\n\r?\n/.exec(buffer))) {
+        const event = parseEvent(buffer.slice(0, boundary.index));
+        buffer = buffer.slice(boundary.index + boundary[0].length);
+        if (event) yield event;
+      }
+    }
+
+    const event = parseEvent(buffer);
+    if (event) yield event;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function parseEvent(raw) {
+  let event = 'message';
+  const data = [];
+
+  raw.split(/\r?\n/).forEach(line => {
+    // Lines starting with ':' are comments (often used as keep-alives)
+    if (!line || line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  });
+
+  if (data.length === 0) return null;
+  return { event, data: data.join('\n') };
+}
+
+// Serialise one event with a JSON payload
+export function formatSse(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -0,0 +1,62 @@
+// JSON-file storage backend - one file per key, for local and single-server use.
+// Not for Vercel/serverless: their filesystems are read-only or per-instance.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { checkKey, expiryFrom, isExpired } from './keys';
+
+export function createFileStore(namespace, dir) {
+  const folder = path.join(dir, namespace);
+  const fileFor = key => path.join(folder, `${checkKey(key)}.json`);
+
+  const remove = async (key) => {
+    try {
+      await fs.unlink(fileFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  return {
+    async get(key) {
+      let raw;
+      try {
+        raw = await fs.readFile(fileFor(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      const { value, expiresAt } = JSON.parse(raw);
+      if (isExpired(expiresAt)) {
+        await remove(key);
+        return null;
+      }
+      return value;
+    },
+
+    async set(key, value, { ttlSeconds } = {}) {
+      const file = fileFor(key);
+      await fs.mkdir(folder, { recursive: true });
+
+      // Write then rename so readers never see a half-written file
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ value, expiresAt: expiryFrom(ttlSeconds) }));
+      await fs.rename(temp, file);
+    },
+
+    delete: remove,
+
+    async list() {
+      try {
+        const files = await fs.readdir(folder);
+        return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
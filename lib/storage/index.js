@@ -0,0 +1,53 @@
+// Server-side key/value storage, selected by environment:
+//
+//   STORAGE_BACKEND  file (default) | redis | memory
+//   STORAGE_DIR      folder for the file backend (default .data)
+//   REDIS_URL        redis:// or rediss:// URL for the redis backend
+//
+// Every store exposes the same async shape, with JSON-serialisable values:
+//   get(key) -> value | null
+//   set(key, value, { ttlSeconds })   (entries expire when ttlSeconds is given)
+//   delete(key) -> boolean
+//   list() -> [key]
+// Keys may only contain letters, digits, '-' and '_'.
+
+import path from 'path';
+import { createFileStore } from './file';
+import { createMemoryStore } from './memory';
+import { createRedisStore } from './redis';
+import { createRedisClient } from './redisClient';
+
+const stores = new Map();
+const redisClients = new Map();
+
+// Shared connection per URL, reused by every namespace and other callers
+export function getRedisClient(url) {
+  if (!redisClients.has(url)) {
+    redisClients.set(url, createRedisClient(url));
+  }
+  return redisClients.get(url);
+}
+
+// Store for one namespace (e.g. 'shares'), created once per process
+export function getStore(namespace, env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'file').toLowerCase();
+  const cacheKey = `${backend}:${namespace}`;
+  if (stores.has(cacheKey)) return stores.get(cacheKey);
+
+  let store;
+  if (backend === 'file') {
+    store = createFileStore(namespace, path.resolve(env.STORAGE_DIR || '.data'));
+  } else if (backend === 'memory') {
+    store = createMemoryStore();
+  } else if (backend === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('REDIS_URL not configured');
+    }
+    store = createRedisStore(namespace, getRedisClient(env.REDIS_URL));
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected file, redis or memory`);
+  }
+
+  stores.set(cacheKey, store);
+  return store;
+}
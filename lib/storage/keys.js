@@ -0,0 +1,15 @@
+// Keys end up in file names and Redis keys, so keep them to a safe alphabet
+export function checkKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(key)) {
+    throw new Error('Invalid storage key');
+  }
+  return key;
+}
+
+export function expiryFrom(ttlSeconds) {
+  return ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+}
+
+export function isExpired(expiresAt) {
+  return Boolean(expiresAt) && expiresAt <= Date.now();
+}
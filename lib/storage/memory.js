@@ -0,0 +1,34 @@
+// In-process storage backend. Lost on restart and not shared between
+// instances - for development and throwaway deployments.
+
+import { checkKey, expiryFrom, isExpired } from './keys';
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(checkKey(key));
+      if (!entry) return null;
+      if (isExpired(entry.expiresAt)) {
+        entries.delete(key);
+        return null;
+      }
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, { ttlSeconds } = {}) {
+      entries.set(checkKey(key), { value: structuredClone(value), expiresAt: expiryFrom(ttlSeconds) });
+    },
+
+    async delete(key) {
+      return entries.delete(checkKey(key));
+    },
+
+    async list() {
+      return [...entries.entries()]
+        .filter(([, entry]) => !isExpired(entry.expiresAt))
+        .map(([key]) => key);
+    }
+  };
+}
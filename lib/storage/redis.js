@@ -0,0 +1,38 @@
+// Redis storage backend - for production and multi-instance deployments
+
+import { checkKey } from './keys';
+
+const KEY_PREFIX = 'prompt-optimiser';
+
+export function createRedisStore(namespace, client) {
+  const prefix = `${KEY_PREFIX}:${namespace}:`;
+  const redisKey = key => prefix + checkKey(key);
+
+  return {
+    async get(key) {
+      const raw = await client.command('GET', redisKey(key));
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, { ttlSeconds } = {}) {
+      const args = ['SET', redisKey(key), JSON.stringify(value)];
+      if (ttlSeconds) args.push('EX', Math.ceil(ttlSeconds));
+      await client.command(...args);
+    },
+
+    async delete(key) {
+      return (await client.command('DEL', redisKey(key))) > 0;
+    },
+
+    async list() {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await client.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+        batch.forEach(k => keys.push(k.slice(prefix.length)));
+        cursor = nextCursor;
+      } while (cursor !== '0');
+      return keys;
+    }
+  };
+}
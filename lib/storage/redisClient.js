@@ -0,0 +1,157 @@
+// Minimal Redis client (RESP2 over TCP or TLS) - just enough for the storage
+// backend, without pulling in a driver. Works with Redis, Valkey, KeyDB and
+// hosted services that speak the Redis protocol (e.g. Upstash with rediss://).
+
+import net from 'net';
+import tls from 'tls';
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+const CONNECT_TIMEOUT = 10000;
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  args.forEach(arg => {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return out;
+}
+
+// Parse one reply starting at `start`. Returns { value, next } or null if the
+// buffer doesn't hold a complete reply yet. Error replies become RedisError values.
+function parseReply(buffer, start) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, next };
+    case '-':
+      return { value: new RedisError(line), next };
+    case ':':
+      return { value: Number(line), next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.next;
+      }
+      return { value: items, next: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+export function createRedisClient(url) {
+  const target = new URL(url);
+  const secure = target.protocol === 'rediss:';
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failPending = (error) => {
+    while (pending.length) pending.shift().reject(error);
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    while (pending.length && (reply = parseReply(buffer, 0))) {
+      buffer = buffer.subarray(reply.next);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof RedisError) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  };
+
+  const write = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+
+  const open = () => new Promise((resolve, reject) => {
+    const options = { host: target.hostname, port: Number(target.port) || 6379 };
+    const s = secure
+      ? tls.connect({ ...options, servername: target.hostname })
+      : net.connect(options);
+
+    const timer = setTimeout(() => s.destroy(new RedisError('Redis connection timed out')), CONNECT_TIMEOUT);
+
+    s.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      resolve(s);
+    });
+    s.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    s.on('data', onData);
+    s.on('error', failPending);
+    s.on('close', () => {
+      socket = null;
+      ready = null;
+      buffer = Buffer.alloc(0);
+      failPending(new RedisError('Redis connection closed'));
+    });
+
+    // Don't keep short-lived processes (CLI, scripts) alive just for this socket
+    s.unref();
+  }).then(async (s) => {
+    socket = s;
+
+    const username = decodeURIComponent(target.username);
+    const password = decodeURIComponent(target.password);
+    if (password) {
+      await write(username ? ['AUTH', username, password] : ['AUTH', password]);
+    }
+
+    const db = target.pathname.slice(1);
+    if (db) {
+      await write(['SELECT', db]);
+    }
+  });
+
+  const connect = () => {
+    if (!ready) {
+      ready = open().catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    async command(...args) {
+      await connect();
+      return write(args);
+    }
+  };
+}
@@ -0,0 +1,121 @@
+// Offline token estimates, context window checks and cost estimates.
+// No vendor tokenizer ships to the browser, so counts are approximations of
+// each family's tokenizer - typically within 10-15% for English prose and
+// code, less reliable for other scripts. They are labelled "~" in the UI.
+
+import { GUIDANCE } from './guidance';
+
+// How each family splits text:
+//   wholeWord       words up to this many letters are usually one token
+//   charsPerToken   average letters per token for longer words
+//   digitGroup      digits per token in numbers
+const TOKENIZERS = {
+  // o200k_base
+  gpt: { wholeWord: 8, charsPerToken: 4.2, digitGroup: 3 },
+  // Claude's vocabulary is smaller, so long words split more
+  claude: { wholeWord: 7, charsPerToken: 3.6, digitGroup: 3 },
+  // SentencePiece, which splits numbers into single digits
+  gemini: { wholeWord: 8, charsPerToken: 4, digitGroup: 1 },
+  default: { wholeWord: 7, charsPerToken: 3.8, digitGroup: 2 }
+};
+
+// Copilot runs on OpenAI models; custom profiles use the default
+const VENDOR_TOKENIZERS = { claude: 'claude', gpt: 'gpt', copilot: 'gpt', gemini: 'gemini' };
+
+// Tokenizer family for a vendor
+export function tokenizerFor(vendor) {
+  return VENDOR_TOKENIZERS[vendor] || 'default';
+}
+
+// A leading space belongs to the word after it, as in BPE vocabularies
+const PIECES = / ?[A-Za-z]+| ?\d+|\s+|[\x21-\x2F\x3A-\x40\x5B-\x60\x7B-\x7E]+|[^\x00-\x7F]/g;
+
+export function estimateTokens(text, vendor) {
+  if (!text) return 0;
+  const { wholeWord, charsPerToken, digitGroup } = TOKENIZERS[tokenizerFor(vendor)];
+
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECES)) {
+    const body = piece.trimStart();
+    if (!body) {
+      // Runs of spaces are merged; each line break is usually its own token
+      tokens += Math.max(1, (piece.match(/\n/g) || []).length);
+    } else if (/[A-Za-z]/.test(body[0])) {
+      tokens += body.length <= wholeWord ? 1 : Math.ceil(body.length / charsPerToken);
+    } else if (/\d/.test(body[0])) {
+      tokens += Math.ceil(body.length / digitGroup);
+    } else if (body.charCodeAt(0) > 0x7f) {
+      // Accented letters, CJK and emoji are mostly a token or more per character
+      tokens += 1;
+    } else {
+      // Punctuation: repeated marks like "---" or "###" merge
+      tokens += Math.ceil(body.length / 2);
+    }
+  }
+  return tokens;
+}
+
+// "200K tokens (1M beta for Sonnet)" -> 200000. Null when the guidance
+// doesn't give a number ("Varies by product").
+export function contextWindowTokens(vendor) {
+  const match = GUIDANCE[vendor]?.contextWindow.match(/(\d+(?:\.\d+)?)\s*([KM])\b/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * (match[2].toUpperCase() === 'M' ? 1e6 : 1e3));
+}
+
+// Warn from this share of the context window upwards
+export const CONTEXT_WARNING_RATIO = 0.8;
+
+// Input and output price (USD per million tokens) for a target model, if the
+// guidance lists one
+export function priceFor(vendor, model) {
+  return GUIDANCE[vendor]?.pricing?.[model] || null;
+}
+
+export function costUsd(price, inputTokens, outputTokens = 0) {
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+// Everything the UI shows about one piece of text on one target model
+export function estimateFor(text, vendor, model) {
+  const tokens = estimateTokens(text, vendor);
+  const contextWindow = contextWindowTokens(vendor);
+  const price = priceFor(vendor, model);
+
+  return {
+    tokens,
+    contextWindow,
+    contextShare: contextWindow ? tokens / contextWindow : null,
+    price,
+    inputCost: price ? costUsd(price, tokens) : null
+  };
+}
+
+export function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(count >= 1e7 ? 0 : 1)}M`;
+  if (count >= 1e4) return `${Math.round(count / 1e3)}K`;
+  return count.toLocaleString('en-US');
+}
+
+// Small amounts keep two significant figures so they don't all read $0.00
+export function formatUsd(amount) {
+  if (amount === 0) return '$0';
+  if (amount < 0.0001) return '<$0.0001';
+  if (amount < 1) return `$${amount.toPrecision(2)}`;
+  return `$${amount.toFixed(2)}`;
+}
+
+// Running total of the analyser's API use, from the usage on each result.
+// Calls the server couldn't price are counted separately.
+export function addSpend(spend, usage) {
+  const total = spend || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+  if (!usage) return total;
+
+  return {
+    calls: total.calls + 1,
+    inputTokens: total.inputTokens + (usage.inputTokens || 0),
+    outputTokens: total.outputTokens + (usage.outputTokens || 0),
+    costUsd: total.costUsd + (usage.costUsd || 0),
+    unpricedCalls: total.unpricedCalls + (usage.costUsd === null ? 1 : 0)
+  };
+}
@@ -0,0 +1,67 @@
+// Analyser usage attributed to users, teams and API keys, for the admin page.
+// One counter per day for each, kept for a year. Counters are read and
+// written separately, so two requests finishing at the same instant can lose
+// a count - fine for attribution, not for billing.
+
+import { getStore } from './storage';
+
+const RETENTION_DAYS = 400;
+
+const counters = () => getStore('usage');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+async function addTo(key, entry, mode, usage) {
+  const current = await counters().get(key) || { ...entry, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, byMode: {} };
+  await counters().set(key, {
+    ...current,
+    calls: current.calls + 1,
+    inputTokens: current.inputTokens + (usage?.inputTokens || 0),
+    outputTokens: current.outputTokens + (usage?.outputTokens || 0),
+    costUsd: current.costUsd + (usage?.costUsd || 0),
+    byMode: { ...current.byMode, [mode]: (current.byMode[mode] || 0) + 1 }
+  }, { ttlSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+// Count one analyser call (usage as stamped on the result) for auth's user,
+// team and key. Nothing is recorded when sign-in is off.
+export async function recordUsage(auth, mode, usage) {
+  if (!auth?.user) return;
+  const day = today();
+  const { user, key } = auth;
+
+  try {
+    await Promise.all([
+      addTo(`${day}_user_${user.id}`, { day, kind: 'user', id: user.id, label: user.email }, mode, usage),
+      addTo(`${day}_team_${user.team}`, { day, kind: 'team', id: user.team, label: user.team }, mode, usage),
+      key && addTo(`${day}_key_${key.id}`, { day, kind: 'key', id: key.id, label: `${key.name} (${user.email})` }, mode, usage)
+    ]);
+  } catch (error) {
+    console.error('Usage error:', error.name || 'Unknown', error.code || '');
+  }
+}
+
+// Totals for the last `days` days (today included):
+// { users: [...], teams: [...], keys: [...] }, biggest spenders first
+export async function usageReport(days = 30) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const keys = (await counters().list()).filter(key => key.slice(0, 10) >= since);
+  const entries = (await Promise.all(keys.map(key => counters().get(key)))).filter(Boolean);
+
+  const totals = new Map();
+  entries.forEach(entry => {
+    const id = `${entry.kind}:${entry.id}`;
+    const total = totals.get(id) || { kind: entry.kind, id: entry.id, label: entry.label, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, byMode: {} };
+    total.calls += entry.calls;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.costUsd += entry.costUsd;
+    Object.entries(entry.byMode).forEach(([mode, count]) => {
+      total.byMode[mode] = (total.byMode[mode] || 0) + count;
+    });
+    totals.set(id, total);
+  });
+
+  const ofKind = kind => [...totals.values()].filter(t => t.kind === kind).sort((a, b) => b.costUsd - a.costUsd || b.calls - a.calls);
+  return { since, users: ofKind('user'), teams: ofKind('team'), keys: ofKind('key') };
+}